@@ -0,0 +1,378 @@
+/**
+ * Local Account Server
+ *
+ * A small stand-in for the backend's account endpoints, for trying out
+ * registration, email verification and password reset without the real
+ * API or a mail server. Node only, no dependencies. Data is kept in memory.
+ *
+ *   node dev/auth-server.js [port]      (default port 8788)
+ *
+ * Then, in the browser console of the login page served from localhost
+ * (the override is ignored on other hosts):
+ *
+ *   localStorage.setItem('apiBaseUrl', 'http://localhost:8788')
+ *
+ * and reload. Remove the key to go back to the real backend. Only the
+ * endpoints below exist, so the forum itself won't load against this server.
+ *
+ * Instead of sending email, every link is printed to the console and kept
+ * in an outbox:
+ *   GET  /dev/outbox   Links "sent" so far, newest first, as { success, data }
+ *
+ * Account endpoints, as in the real API:
+ *   POST /auth/register.php              { name, email, password }; data.errors by field on failure
+ *   POST /auth/login.php                 { email, password, remember }; 403 until the email is verified
+ *   POST /auth/logout.php
+ *   GET  /users/profile.php              Logged-in user, or 401
+ *   POST /auth/verify-email.php          { token }
+ *   POST /auth/resend-verification.php   { email }
+ *   POST /auth/forgot-password.php       { email }
+ *   POST /auth/reset-password.php        { token, password }; data.invalid_token on a bad link
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+
+const port = Number(process.argv[2]) || 8788;
+
+// How long links stay valid
+const VERIFY_TOKEN_TTL_MS = 24 * 60 * 60 * 1000;
+const RESET_TOKEN_TTL_MS = 60 * 60 * 1000;
+
+// How long a session lasts with and without "remember me"
+const REMEMBERED_SESSION_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+const SESSION_TTL_MS = 12 * 60 * 60 * 1000;
+
+// Minimum time between two verification emails to the same address
+const RESEND_INTERVAL_MS = 60 * 1000;
+
+const PASSWORD_MIN_LENGTH = 6;
+
+// Users by email
+const users = new Map();
+
+// Unused tokens: token => { type, email, expiresAt }
+const tokens = new Map();
+
+// Sessions by ID: { email, expiresAt }
+const sessions = new Map();
+
+// Links "sent" so far, newest first
+const outbox = [];
+
+/**
+ * Add CORS headers that allow credentialed requests from the page's origin
+ * @param {http.IncomingMessage} req - Request
+ * @param {http.ServerResponse} res - Response
+ */
+function setCorsHeaders(req, res) {
+    res.setHeader('Access-Control-Allow-Origin', req.headers.origin || '*');
+    res.setHeader('Access-Control-Allow-Credentials', 'true');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Accept-Language');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+}
+
+/**
+ * Send a JSON response
+ * @param {http.ServerResponse} res - Response
+ * @param {number} status - HTTP status
+ * @param {Object} body - Response body
+ */
+function sendJson(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+}
+
+/**
+ * Read a JSON request body
+ * @param {http.IncomingMessage} req - Request
+ * @returns {Promise<Object>} Parsed body, or an empty object
+ */
+function readJsonBody(req) {
+    return new Promise(resolve => {
+        let body = '';
+        req.on('data', chunk => {
+            body += chunk;
+        });
+        req.on('end', () => {
+            try {
+                resolve(JSON.parse(body || '{}'));
+            } catch (error) {
+                resolve({});
+            }
+        });
+    });
+}
+
+/**
+ * Hash a password; good enough for a throwaway dev server
+ * @param {string} password - Password
+ * @returns {string} Hex digest
+ */
+function hashPassword(password) {
+    return crypto.createHash('sha256').update(String(password)).digest('hex');
+}
+
+/**
+ * The user data the API returns, without the password
+ * @param {Object} user - Stored user
+ * @returns {Object} Public user data
+ */
+function publicUser(user) {
+    return {
+        user_id: user.user_id,
+        name: user.name,
+        email: user.email,
+        email_verified: user.email_verified,
+        created_at: user.created_at
+    };
+}
+
+/**
+ * Get the user of the request's session
+ * @param {http.IncomingMessage} req - Request
+ * @returns {Object|null} Stored user, or null if not logged in
+ */
+function getSessionUser(req) {
+    const match = /(?:^|;\s*)mock_session=([^;]+)/.exec(req.headers.cookie || '');
+    const session = match && sessions.get(match[1]);
+    if (!session || session.expiresAt < Date.now()) {
+        return null;
+    }
+    return users.get(session.email);
+}
+
+/**
+ * "Email" a link: create a token and put the link in the outbox
+ * Earlier unused tokens of the same type for the address stop working.
+ * @param {http.IncomingMessage} req - Request, whose origin the link points back to
+ * @param {string} type - 'verify' or 'reset'
+ * @param {string} email - Recipient
+ */
+function sendTokenLink(req, type, email) {
+    tokens.forEach((entry, token) => {
+        if (entry.type === type && entry.email === email) {
+            tokens.delete(token);
+        }
+    });
+
+    const token = crypto.randomBytes(24).toString('hex');
+    const ttl = type === 'verify' ? VERIFY_TOKEN_TTL_MS : RESET_TOKEN_TTL_MS;
+    tokens.set(token, { type, email, expiresAt: Date.now() + ttl });
+
+    const origin = req.headers.origin || 'http://localhost:8080';
+    const link = type === 'verify'
+        ? `${origin}/index.html?verify=${token}`
+        : `${origin}/reset-password.html?token=${token}`;
+
+    outbox.unshift({ type, email, token, link, sent_at: new Date().toISOString() });
+    console.log(`[${type}] ${email}: ${link}`);
+}
+
+/**
+ * Use up a token
+ * @param {string} token - Token from the link
+ * @param {string} type - Expected type
+ * @returns {string|null} Email the token was sent to, or null if unknown, expired or used
+ */
+function consumeToken(token, type) {
+    const entry = tokens.get(String(token || ''));
+    if (!entry || entry.type !== type) {
+        return null;
+    }
+
+    tokens.delete(token);
+    return entry.expiresAt > Date.now() ? entry.email : null;
+}
+
+const handlers = {
+    'POST /auth/register.php': (req, res, body) => {
+        const name = String(body.name || '').trim();
+        const email = String(body.email || '').trim().toLowerCase();
+
+        const errors = {};
+        if (name.length < 3 || name.length > 100) {
+            errors.name = 'Name must be between 3 and 100 characters';
+        }
+        if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+            errors.email = 'Invalid email address';
+        } else if (users.has(email)) {
+            errors.email = 'This email is already registered';
+        }
+        if (String(body.password || '').length < PASSWORD_MIN_LENGTH) {
+            errors.password = `Password must be at least ${PASSWORD_MIN_LENGTH} characters`;
+        }
+
+        if (Object.keys(errors).length) {
+            sendJson(res, errors.email && users.has(email) ? 409 : 400, {
+                success: false,
+                message: 'Please correct the highlighted fields',
+                data: { errors }
+            });
+            return;
+        }
+
+        users.set(email, {
+            user_id: users.size + 1,
+            name,
+            email,
+            password: hashPassword(body.password),
+            email_verified: false,
+            created_at: new Date().toISOString(),
+            last_verification_sent: Date.now()
+        });
+        sendTokenLink(req, 'verify', email);
+
+        sendJson(res, 201, {
+            success: true,
+            message: 'Registration successful. We sent you an email to confirm your address.',
+            data: { email, email_verified: false }
+        });
+    },
+
+    'POST /auth/login.php': (req, res, body) => {
+        const user = users.get(String(body.email || '').trim().toLowerCase());
+        if (!user || user.password !== hashPassword(body.password)) {
+            sendJson(res, 401, { success: false, message: 'Invalid email or password' });
+            return;
+        }
+        if (!user.email_verified) {
+            sendJson(res, 403, {
+                success: false,
+                message: 'Please confirm your email address before logging in',
+                data: { email: user.email, email_verified: false }
+            });
+            return;
+        }
+
+        // A remembered session survives closing the browser; otherwise the cookie goes with it
+        const sessionId = crypto.randomBytes(16).toString('hex');
+        const ttl = body.remember ? REMEMBERED_SESSION_TTL_MS : SESSION_TTL_MS;
+        sessions.set(sessionId, { email: user.email, expiresAt: Date.now() + ttl });
+
+        const maxAge = body.remember ? `; Max-Age=${ttl / 1000}` : '';
+        res.setHeader('Set-Cookie', `mock_session=${sessionId}; Path=/; HttpOnly; SameSite=Lax${maxAge}`);
+        sendJson(res, 200, { success: true, message: 'Login successful', data: publicUser(user) });
+    },
+
+    'POST /auth/logout.php': (req, res) => {
+        const match = /(?:^|;\s*)mock_session=([^;]+)/.exec(req.headers.cookie || '');
+        if (match) {
+            sessions.delete(match[1]);
+        }
+
+        res.setHeader('Set-Cookie', 'mock_session=; Path=/; Max-Age=0');
+        sendJson(res, 200, { success: true, message: 'Logged out' });
+    },
+
+    'GET /users/profile.php': (req, res) => {
+        const user = getSessionUser(req);
+        if (!user) {
+            sendJson(res, 401, { success: false, message: 'Not logged in' });
+            return;
+        }
+        sendJson(res, 200, { success: true, message: '', data: publicUser(user) });
+    },
+
+    'POST /auth/verify-email.php': (req, res, body) => {
+        const email = consumeToken(body.token, 'verify');
+        if (!email || !users.has(email)) {
+            sendJson(res, 400, { success: false, message: 'This confirmation link is invalid or has expired' });
+            return;
+        }
+
+        users.get(email).email_verified = true;
+        sendJson(res, 200, { success: true, message: 'Email confirmed. You can log in now.', data: { email } });
+    },
+
+    'POST /auth/resend-verification.php': (req, res, body) => {
+        const user = users.get(String(body.email || '').trim().toLowerCase());
+        if (user && !user.email_verified) {
+            const wait = user.last_verification_sent + RESEND_INTERVAL_MS - Date.now();
+            if (wait > 0) {
+                sendJson(res, 429, {
+                    success: false,
+                    message: 'Please wait before asking for another email',
+                    data: { retry_after: Math.ceil(wait / 1000) }
+                });
+                return;
+            }
+
+            user.last_verification_sent = Date.now();
+            sendTokenLink(req, 'verify', user.email);
+        }
+
+        // Same answer whether or not the address is registered
+        sendJson(res, 200, { success: true, message: 'If that address is waiting for confirmation, we sent a new link.' });
+    },
+
+    'POST /auth/forgot-password.php': (req, res, body) => {
+        const user = users.get(String(body.email || '').trim().toLowerCase());
+        if (user) {
+            sendTokenLink(req, 'reset', user.email);
+        }
+
+        // Same answer whether or not the address is registered
+        sendJson(res, 200, { success: true, message: 'If an account uses that address, we sent it a link to reset the password.' });
+    },
+
+    'POST /auth/reset-password.php': (req, res, body) => {
+        if (String(body.password || '').length < PASSWORD_MIN_LENGTH) {
+            sendJson(res, 400, { success: false, message: `Password must be at least ${PASSWORD_MIN_LENGTH} characters` });
+            return;
+        }
+
+        const email = consumeToken(body.token, 'reset');
+        if (!email || !users.has(email)) {
+            sendJson(res, 400, {
+                success: false,
+                message: 'This reset link is invalid or has expired',
+                data: { invalid_token: true }
+            });
+            return;
+        }
+
+        const user = users.get(email);
+        user.password = hashPassword(body.password);
+        // The link proves the address too
+        user.email_verified = true;
+
+        // Log out everywhere
+        sessions.forEach((session, sessionId) => {
+            if (session.email === email) {
+                sessions.delete(sessionId);
+            }
+        });
+
+        sendJson(res, 200, { success: true, message: 'Password changed. You can log in with your new password.' });
+    },
+
+    'GET /dev/outbox': (req, res) => {
+        sendJson(res, 200, { success: true, message: '', data: outbox });
+    }
+};
+
+const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, `http://localhost:${port}`);
+    setCorsHeaders(req, res);
+
+    if (req.method === 'OPTIONS') {
+        res.writeHead(204);
+        res.end();
+        return;
+    }
+
+    const handler = handlers[`${req.method} ${url.pathname}`];
+    if (!handler) {
+        sendJson(res, 404, { success: false, message: 'Not found' });
+        return;
+    }
+
+    const body = req.method === 'POST' ? await readJsonBody(req) : {};
+    handler(req, res, body);
+});
+
+server.listen(port, () => {
+    console.log(`Account server listening on http://localhost:${port}`);
+    console.log(`Sent links: http://localhost:${port}/dev/outbox`);
+});
@@ -0,0 +1,183 @@
+/**
+ * Local Event Server
+ *
+ * A small stand-in for the backend's live update endpoints, for trying
+ * out js/realtime.js without the real API. Node only, no dependencies.
+ *
+ *   node dev/event-server.js [port]      (default port 8787)
+ *
+ * Then, in the browser console of the forum page served from localhost
+ * (the override is ignored on other hosts):
+ *
+ *   localStorage.setItem('realtimeBaseUrl', 'http://localhost:8787')
+ *
+ * and reload. Remove the key to go back to the real backend.
+ *
+ * Endpoints:
+ *   GET  /stream.php   Server-sent events; replays events after ?last_event_id
+ *   GET  /poll.php     Events after ?since, as { success, data: { events, last_event_id } }
+ *   POST /emit         Broadcast { type, data }, e.g.
+ *                      curl -X POST localhost:8787/emit -d '{"type":"post_deleted","data":{"post_id":12}}'
+ *   POST /drop         Close open streams and refuse new ones for { seconds } (default 30),
+ *                      to watch the client back off and fall back to polling
+ */
+
+const http = require('http');
+
+const port = Number(process.argv[2]) || 8787;
+
+// Every event sent so far, for replays and polling
+const events = [];
+
+// Open stream responses
+const clients = new Set();
+
+// Streams are refused until this time (ms since epoch)
+let refuseStreamsUntil = 0;
+
+/**
+ * Add CORS headers that allow credentialed requests from the page's origin
+ * @param {http.IncomingMessage} req - Request
+ * @param {http.ServerResponse} res - Response
+ */
+function setCorsHeaders(req, res) {
+    res.setHeader('Access-Control-Allow-Origin', req.headers.origin || '*');
+    res.setHeader('Access-Control-Allow-Credentials', 'true');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+}
+
+/**
+ * Send a JSON response
+ * @param {http.ServerResponse} res - Response
+ * @param {number} status - HTTP status
+ * @param {Object} body - Response body
+ */
+function sendJson(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+}
+
+/**
+ * Write one event to a stream
+ * @param {http.ServerResponse} res - Stream response
+ * @param {Object} event - Event with id, type and data
+ */
+function writeEvent(res, event) {
+    res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`);
+}
+
+/**
+ * Events sent after the given ID
+ * @param {string} lastId - Last event ID the client has seen
+ * @returns {Array<Object>} Events
+ */
+function eventsAfter(lastId) {
+    const after = Number(lastId) || 0;
+    return events.filter(event => event.id > after);
+}
+
+/**
+ * Read a JSON request body
+ * @param {http.IncomingMessage} req - Request
+ * @returns {Promise<Object>} Parsed body, or an empty object
+ */
+function readJsonBody(req) {
+    return new Promise(resolve => {
+        let body = '';
+        req.on('data', chunk => {
+            body += chunk;
+        });
+        req.on('end', () => {
+            try {
+                resolve(JSON.parse(body || '{}'));
+            } catch (error) {
+                resolve({});
+            }
+        });
+    });
+}
+
+const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, `http://localhost:${port}`);
+    setCorsHeaders(req, res);
+
+    if (req.method === 'OPTIONS') {
+        res.writeHead(204);
+        res.end();
+        return;
+    }
+
+    if (req.method === 'GET' && url.pathname === '/stream.php') {
+        if (Date.now() < refuseStreamsUntil) {
+            res.writeHead(503);
+            res.end();
+            return;
+        }
+
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            Connection: 'keep-alive'
+        });
+        res.write(': connected\n\n');
+
+        const lastId = req.headers['last-event-id'] || url.searchParams.get('last_event_id');
+        eventsAfter(lastId).forEach(event => writeEvent(res, event));
+
+        clients.add(res);
+        req.on('close', () => clients.delete(res));
+        return;
+    }
+
+    if (req.method === 'GET' && url.pathname === '/poll.php') {
+        const pending = eventsAfter(url.searchParams.get('since'));
+        sendJson(res, 200, {
+            success: true,
+            message: '',
+            data: {
+                events: pending,
+                last_event_id: events.length ? events[events.length - 1].id : null
+            }
+        });
+        return;
+    }
+
+    if (req.method === 'POST' && url.pathname === '/emit') {
+        const body = await readJsonBody(req);
+        if (!body.type) {
+            sendJson(res, 400, { success: false, message: 'type is required' });
+            return;
+        }
+
+        const event = { id: events.length + 1, type: body.type, data: body.data || {} };
+        events.push(event);
+        clients.forEach(client => writeEvent(client, event));
+
+        sendJson(res, 200, { success: true, message: `Sent to ${clients.size} stream(s)`, data: event });
+        return;
+    }
+
+    if (req.method === 'POST' && url.pathname === '/drop') {
+        const body = await readJsonBody(req);
+        const seconds = Number(body.seconds) || 30;
+        refuseStreamsUntil = Date.now() + seconds * 1000;
+
+        clients.forEach(client => client.end());
+        clients.clear();
+
+        sendJson(res, 200, { success: true, message: `Streams refused for ${seconds}s` });
+        return;
+    }
+
+    sendJson(res, 404, { success: false, message: 'Not found' });
+});
+
+// Comments keep idle streams from being closed by proxies
+setInterval(() => {
+    clients.forEach(client => client.write(': ping\n\n'));
+}, 15000);
+
+server.listen(port, () => {
+    console.log(`Event server listening on http://localhost:${port}`);
+});
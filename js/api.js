@@ -0,0 +1,615 @@
+/**
+ * API Client Module
+ *
+ * Shared by every page. Wraps fetch for the backend API, owns the
+ * session helpers and provides the common message/loading UI.
+ * Load after config.js and before the page module.
+ */
+
+// API_BASE_URL, API_TIMEOUT_MS, API_MAX_RETRIES and API_UPLOAD_TIMEOUT_MS are defined in config.js
+// t and getLocale are defined in i18n.js
+// navigate and getLoginUrl are defined in router.js
+
+// Statuses Render returns while the backend is cold-starting
+const RETRYABLE_STATUSES = [502, 503, 504];
+
+// Roles of users.role allowed to use the moderation tools
+const MODERATOR_ROLES = ['moderator', 'admin'];
+
+// Guards against several failing requests each scheduling a redirect
+let sessionExpiredHandled = false;
+
+// Logged-in user as verified by the backend, shared by every view (see getCurrentUser)
+let currentUserPromise = null;
+
+/**
+ * Error thrown when a request does not produce a usable API response
+ */
+class ApiError extends Error {
+    /**
+     * @param {string} message - User-facing error message
+     * @param {number} status - HTTP status, or 0 when the server was not reached
+     * @param {Object|null} data - Parsed response body, if any
+     */
+    constructor(message, status = 0, data = null) {
+        super(message);
+        this.name = 'ApiError';
+        this.status = status;
+        this.data = data;
+    }
+}
+
+/* ====================================
+   UI HELPERS
+   ==================================== */
+
+/**
+ * Show a message to the user
+ * @param {string} message - The message text
+ * @param {string} type - Message type: 'success', 'error', or 'info'
+ */
+function showMessage(message, type = 'info') {
+    const messageDiv = document.getElementById('message');
+    if (!messageDiv) {
+        return;
+    }
+
+    messageDiv.textContent = message;
+    messageDiv.className = `message message-${type} show`;
+
+    // Auto-hide after 5 seconds
+    clearTimeout(showMessage.timer);
+    showMessage.timer = setTimeout(() => {
+        messageDiv.classList.remove('show');
+    }, 5000);
+}
+
+/**
+ * Show/hide loading spinner
+ * @param {boolean} show - Whether to show or hide the spinner
+ */
+function toggleLoading(show) {
+    const loadingDiv = document.getElementById('loading');
+    if (!loadingDiv) {
+        return;
+    }
+
+    if (show) {
+        loadingDiv.classList.add('show');
+    } else {
+        loadingDiv.classList.remove('show');
+    }
+}
+
+/**
+ * Display user name in header
+ * @param {string} name - User's name
+ */
+function displayUserName(name) {
+    const userNameElement = document.getElementById('userName');
+    if (userNameElement && name) {
+        userNameElement.textContent = name;
+    }
+}
+
+/**
+ * Escape HTML to prevent XSS
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+}
+
+/**
+ * Escape text for use inside a double-quoted HTML attribute
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeAttribute(text) {
+    return escapeHtml(text).replace(/"/g, '&quot;');
+}
+
+/**
+ * Update character count for text inputs
+ * @param {HTMLElement} input - The input element
+ * @param {HTMLElement} counter - The counter element
+ */
+function updateCharCount(input, counter) {
+    const currentLength = input.value.length;
+    counter.textContent = currentLength;
+}
+
+/**
+ * Show or clear the error message under a form field
+ * The message element is added to the field's .form-group on first use.
+ * @param {HTMLInputElement} input - The field
+ * @param {string|null} message - Error message, or null to clear it
+ */
+function setFieldError(input, message) {
+    const errorId = `${input.id}Error`;
+    let errorElement = document.getElementById(errorId);
+    if (!errorElement) {
+        errorElement = document.createElement('small');
+        errorElement.id = errorId;
+        errorElement.className = 'field-error';
+        input.closest('.form-group').appendChild(errorElement);
+    }
+
+    errorElement.textContent = message || '';
+    input.classList.toggle('invalid', Boolean(message));
+
+    // Let screen readers read the error with the field
+    const describedBy = (input.getAttribute('aria-describedby') || '').split(' ').filter(id => id && id !== errorId);
+    if (message) {
+        input.setAttribute('aria-invalid', 'true');
+        describedBy.push(errorId);
+    } else {
+        input.removeAttribute('aria-invalid');
+    }
+    if (describedBy.length) {
+        input.setAttribute('aria-describedby', describedBy.join(' '));
+    } else {
+        input.removeAttribute('aria-describedby');
+    }
+}
+
+/**
+ * Show the field errors sent back by the server next to their fields
+ * @param {HTMLFormElement} form - The submitted form
+ * @param {Object} errors - Messages by field name, e.g. { email: 'Email already registered' }
+ * @returns {boolean} True if any error belonged to a field of the form
+ */
+function showServerFieldErrors(form, errors) {
+    const fields = Object.keys(errors || {}).filter(name => form.elements[name]);
+    fields.forEach(name => setFieldError(form.elements[name], errors[name]));
+
+    if (fields.length) {
+        form.elements[fields[0]].focus();
+    }
+    return fields.length > 0;
+}
+
+/**
+ * Show a notice with an "Undo" button for a short time
+ * @param {string} message - Notice text
+ * @param {Function} onUndo - Called if the user clicks "Undo"
+ * @param {number} duration - How long the notice stays, in milliseconds
+ * @returns {Function} Call to dismiss the notice early
+ */
+function showUndoToast(message, onUndo, duration = 5000) {
+    const toast = document.createElement('div');
+    toast.className = 'undo-toast';
+    toast.setAttribute('role', 'status');
+    toast.innerHTML = `<span>${escapeHtml(message)}</span><button type="button" class="btn-link">${t('common.undo')}</button>`;
+
+    const dismiss = () => {
+        clearTimeout(timer);
+        toast.remove();
+    };
+    const timer = setTimeout(dismiss, duration);
+
+    toast.querySelector('button').addEventListener('click', function() {
+        dismiss();
+        onUndo();
+    });
+
+    document.body.appendChild(toast);
+    return dismiss;
+}
+
+/**
+ * Report a failed API call to the user
+ * Expired sessions are already reported by handleSessionExpired.
+ * @param {Error} error - The error thrown by apiRequest
+ * @param {string} message - Message to show the user
+ */
+function reportApiError(error, message) {
+    if (error instanceof ApiError && error.status === 401) {
+        return;
+    }
+
+    console.error(message, error);
+    showMessage(message, 'error');
+}
+
+/* ====================================
+   REQUESTS
+   ==================================== */
+
+/**
+ * Build a full API URL from an endpoint path and query parameters
+ * @param {string} path - Endpoint path, e.g. 'posts/list.php'
+ * @param {Object} params - Query parameters; empty values are skipped
+ * @param {string} baseUrl - Server to address (default API_BASE_URL)
+ * @returns {string} Absolute URL
+ */
+function buildApiUrl(path, params = {}, baseUrl = API_BASE_URL) {
+    const base = baseUrl.replace(/\/+$/, '');
+    const endpoint = String(path).replace(/^\/+/, '');
+    const query = new URLSearchParams();
+
+    Object.keys(params).forEach(key => {
+        const value = params[key];
+        if (value !== undefined && value !== null && value !== '') {
+            query.append(key, value);
+        }
+    });
+
+    const queryString = query.toString();
+    return `${base}/${endpoint}${queryString ? `?${queryString}` : ''}`;
+}
+
+/**
+ * Wait for the given number of milliseconds
+ * @param {number} ms - Delay in milliseconds
+ * @returns {Promise<void>}
+ */
+function wait(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Fetch with an abort after the given timeout
+ * @param {string} url - Request URL
+ * @param {Object} init - fetch options
+ * @param {number} timeoutMs - Timeout in milliseconds
+ * @returns {Promise<Response>}
+ */
+async function fetchWithTimeout(url, init, timeoutMs) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeoutMs);
+
+    try {
+        return await fetch(url, { ...init, signal: controller.signal });
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+/**
+ * Parse a response body as JSON
+ * @param {Response} response - fetch response
+ * @returns {Promise<Object|null>} Parsed body, or null if it is not JSON
+ */
+async function parseResponseBody(response) {
+    const text = await response.text();
+    try {
+        return JSON.parse(text);
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Make a request to the backend API and keep the HTTP status
+ * Use when the caller needs to tell statuses apart, e.g. a 404.
+ *
+ * @param {string} path - Endpoint path relative to API_BASE_URL
+ * @param {Object} options - Request options
+ * @param {string} options.method - HTTP method (default 'GET')
+ * @param {Object} options.body - Payload, sent as JSON
+ * @param {Object} options.params - Query string parameters
+ * @param {number} options.timeout - Per-attempt timeout in milliseconds
+ * @param {number} options.retries - Extra attempts on timeouts, network errors and 502/503/504 (default API_MAX_RETRIES for GET, 0 otherwise)
+ * @param {boolean} options.handleUnauthorized - Treat a 401 as an expired session (default true)
+ * @param {boolean} options.keepalive - Let the request outlive the page, e.g. when sent on pagehide
+ * @param {string} options.baseUrl - Server to address instead of API_BASE_URL
+ * @returns {Promise<{status: number, data: Object}>} HTTP status and parsed response body
+ * @throws {ApiError} When the server is unreachable, answers with non-JSON, or the session expired
+ */
+async function apiRequestWithStatus(path, options = {}) {
+    const method = (options.method || 'GET').toUpperCase();
+    const timeout = options.timeout || API_TIMEOUT_MS;
+    const retries = options.retries !== undefined ? options.retries : (method === 'GET' ? API_MAX_RETRIES : 0);
+    const handleUnauthorized = options.handleUnauthorized !== false;
+    const url = buildApiUrl(path, options.params, options.baseUrl);
+
+    const init = {
+        method,
+        headers: { 'Accept-Language': getLocale() }, // So the backend can answer in the user's language
+        credentials: 'include', // Important for session cookies
+        keepalive: Boolean(options.keepalive)
+    };
+
+    if (options.body !== undefined) {
+        init.headers['Content-Type'] = 'application/json';
+        init.body = JSON.stringify(options.body);
+    }
+
+    for (let attempt = 0; ; attempt++) {
+        let response;
+
+        try {
+            response = await fetchWithTimeout(url, init, timeout);
+        } catch (error) {
+            if (attempt < retries) {
+                await wait(1000 * 2 ** attempt);
+                continue;
+            }
+
+            if (error.name === 'AbortError') {
+                throw new ApiError(t('api.timeout'));
+            }
+            throw new ApiError(t('api.connectionFailed'));
+        }
+
+        if (RETRYABLE_STATUSES.includes(response.status) && attempt < retries) {
+            await wait(1000 * 2 ** attempt);
+            continue;
+        }
+
+        const data = await parseResponseBody(response);
+
+        if (response.status === 401 && handleUnauthorized) {
+            handleSessionExpired();
+            throw new ApiError(t('api.sessionExpired'), 401, data);
+        }
+
+        if (!data || typeof data !== 'object') {
+            throw new ApiError(t('api.unexpectedResponse', { status: response.status }), response.status);
+        }
+
+        return { status: response.status, data };
+    }
+}
+
+/**
+ * Make a request to the backend API
+ *
+ * Resolves with the parsed body ({ success, message, data }) for any JSON
+ * response, so callers keep checking data.success themselves.
+ * Takes the same options as apiRequestWithStatus.
+ *
+ * @param {string} path - Endpoint path relative to API_BASE_URL
+ * @param {Object} options - Request options
+ * @returns {Promise<Object>} Parsed response body
+ * @throws {ApiError} When the server is unreachable, answers with non-JSON, or the session expired
+ */
+async function apiRequest(path, options = {}) {
+    const { data } = await apiRequestWithStatus(path, options);
+    return data;
+}
+
+/**
+ * Upload a file to the backend API as multipart form data
+ *
+ * Uses XMLHttpRequest rather than fetch, which can't report upload progress.
+ * Resolves with the parsed body like apiRequest; uploads are never retried.
+ *
+ * @param {string} path - Endpoint path relative to API_BASE_URL
+ * @param {Blob} file - File to upload, sent as the "file" field
+ * @param {Object} options - Upload options
+ * @param {string} options.fileName - File name to send (default file.name)
+ * @param {Function} options.onProgress - Called with the fraction sent so far, from 0 to 1
+ * @param {AbortSignal} options.signal - Cancels the upload
+ * @returns {Promise<Object>} Parsed response body
+ * @throws {ApiError} When the server is unreachable, answers with non-JSON, or the session expired
+ * @throws {DOMException} AbortError when cancelled through options.signal
+ */
+function uploadFile(path, file, options = {}) {
+    return new Promise((resolve, reject) => {
+        const xhr = new XMLHttpRequest();
+        const formData = new FormData();
+        formData.append('file', file, options.fileName || file.name);
+
+        xhr.open('POST', buildApiUrl(path));
+        xhr.withCredentials = true; // Important for session cookies
+        xhr.timeout = API_UPLOAD_TIMEOUT_MS;
+        xhr.setRequestHeader('Accept-Language', getLocale());
+
+        xhr.upload.addEventListener('progress', e => {
+            if (e.lengthComputable && options.onProgress) {
+                options.onProgress(e.loaded / e.total);
+            }
+        });
+
+        xhr.addEventListener('load', () => {
+            let data = null;
+            try {
+                data = JSON.parse(xhr.responseText);
+            } catch (error) {
+                data = null;
+            }
+
+            if (xhr.status === 401) {
+                handleSessionExpired();
+                reject(new ApiError(t('api.sessionExpired'), 401, data));
+            } else if (!data || typeof data !== 'object') {
+                reject(new ApiError(t('api.unexpectedResponse', { status: xhr.status }), xhr.status));
+            } else {
+                resolve(data);
+            }
+        });
+        xhr.addEventListener('error', () => reject(new ApiError(t('api.connectionFailed'))));
+        xhr.addEventListener('timeout', () => reject(new ApiError(t('api.timeout'))));
+        xhr.addEventListener('abort', () => reject(new DOMException('Upload cancelled', 'AbortError')));
+
+        if (options.signal) {
+            if (options.signal.aborted) {
+                xhr.abort();
+                return;
+            }
+            options.signal.addEventListener('abort', () => xhr.abort());
+        }
+
+        xhr.send(formData);
+    });
+}
+
+/* ====================================
+   SESSION
+   ==================================== */
+
+/**
+ * Get the cached user from localStorage
+ * @returns {Object|null} User data, or null if not logged in
+ */
+function getStoredUser() {
+    try {
+        return JSON.parse(localStorage.getItem('user'));
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Check whether a user may use the moderation tools
+ * The role comes from users/profile.php; the backend checks it again on every moderation request.
+ * @param {Object|null} user - User data
+ * @returns {boolean} True for moderators and admins
+ */
+function isModerator(user) {
+    return Boolean(user) && MODERATOR_ROLES.includes(user.role);
+}
+
+/**
+ * Cache the logged-in user in localStorage
+ * @param {Object} user - User data from the API
+ */
+function saveSession(user) {
+    localStorage.setItem('user', JSON.stringify(user));
+    localStorage.setItem('isLoggedIn', 'true');
+    currentUserPromise = null;
+    sessionExpiredHandled = false;
+}
+
+/**
+ * Replace the cached user after their account details changed
+ * Updates the header here; other open tabs follow through the storage event.
+ * @param {Object} user - Updated user data
+ */
+function updateStoredUser(user) {
+    localStorage.setItem('user', JSON.stringify(user));
+    currentUserPromise = Promise.resolve(user);
+    displayUserName(user.name);
+}
+
+/**
+ * Remove the cached session from localStorage
+ */
+function clearSession() {
+    localStorage.removeItem('user');
+    localStorage.removeItem('isLoggedIn');
+    currentUserPromise = null;
+
+    // Don't leave this user's posts in the offline cache
+    if ('serviceWorker' in navigator && navigator.serviceWorker.controller) {
+        navigator.serviceWorker.controller.postMessage('clear-api-cache');
+    }
+}
+
+/**
+ * Handle an expired session
+ * Tells the user, then clears the cached session and returns to the login page.
+ * Pages can listen for the 'sessionexpired' window event to save state first.
+ */
+function handleSessionExpired() {
+    if (sessionExpiredHandled) {
+        return;
+    }
+    sessionExpiredHandled = true;
+
+    showMessage(t('api.sessionExpired'), 'error');
+    window.dispatchEvent(new CustomEvent('sessionexpired'));
+
+    // Log in again and come back to the same page
+    setTimeout(() => {
+        clearSession();
+        navigate(getLoginUrl(window.location.href), { replace: true });
+    }, 2000);
+}
+
+/**
+ * Get the logged-in user
+ * The backend is asked once; later calls share the answer, so moving
+ * between views doesn't check the session again.
+ * @returns {Promise<Object|null>} User data, or null if not logged in or the session is no longer valid
+ * @throws {ApiError} If the session couldn't be checked
+ */
+function getCurrentUser() {
+    if (localStorage.getItem('isLoggedIn') !== 'true') {
+        return Promise.resolve(null);
+    }
+
+    if (!currentUserPromise) {
+        currentUserPromise = apiRequest('users/profile.php', { handleUnauthorized: false }).then(data => {
+            if (!data.success) {
+                // Session expired or invalid
+                clearSession();
+                return null;
+            }
+
+            // Refresh cached user and header
+            updateStoredUser(data.data);
+            return data.data;
+        });
+
+        // Let a later call try again
+        currentUserPromise.catch(() => {
+            currentUserPromise = null;
+        });
+    }
+
+    return currentUserPromise;
+}
+
+/**
+ * Keep the header in step when another tab changes the cached user
+ * Pages showing more account details can listen for the 'userchange' window event.
+ */
+window.addEventListener('storage', function(e) {
+    if (e.key !== 'user' || !e.newValue) {
+        return;
+    }
+
+    const user = getStoredUser();
+    if (user) {
+        currentUserPromise = Promise.resolve(user);
+        displayUserName(user.name);
+        window.dispatchEvent(new CustomEvent('userchange', { detail: user }));
+    }
+});
+
+/**
+ * Handle user logout
+ */
+async function handleLogout() {
+    try {
+        await apiRequest('auth/logout.php', { method: 'POST', handleUnauthorized: false });
+    } catch (error) {
+        // Still log out locally even if the API call fails
+        console.error('Logout error:', error);
+    }
+
+    clearSession();
+    navigate('index.html', { replace: true });
+}
+
+/**
+ * Attach the logout handler to the header logout link
+ */
+function bindLogoutButton() {
+    const logoutBtn = document.getElementById('logoutBtn');
+    if (logoutBtn) {
+        logoutBtn.addEventListener('click', function(e) {
+            e.preventDefault();
+            handleLogout();
+        });
+    }
+}
+
+/* ====================================
+   OFFLINE SUPPORT
+   ==================================== */
+
+// The service worker (sw.js) caches the app and recent posts for offline use
+if ('serviceWorker' in navigator) {
+    window.addEventListener('load', function() {
+        navigator.serviceWorker.register('sw.js').catch(error => {
+            console.error('Service worker registration failed:', error);
+        });
+    });
+}
@@ -0,0 +1,591 @@
+/**
+ * Attachments Module
+ *
+ * Images and PDFs attached to posts. On the create post form, files are
+ * dropped or picked, checked, and images are scaled down and compressed in
+ * the browser. Each file then uploads right away with its own progress bar,
+ * so publishing the post only sends the IDs of its attachments.
+ * In posts, images show as a gallery that opens in a lightbox and PDFs as
+ * links with their size.
+ */
+
+// uploadFile, showMessage, escapeHtml and escapeAttribute are defined in api.js
+// API_BASE_URL is defined in config.js
+// t and formatFileSize are defined in i18n.js
+
+const ATTACHMENT_IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/gif', 'image/webp'];
+const ATTACHMENT_PDF_TYPE = 'application/pdf';
+
+// Per post, and per file as picked (images usually end up much smaller)
+const MAX_ATTACHMENTS = 6;
+const MAX_ATTACHMENT_BYTES = 10 * 1024 * 1024;
+
+// Images are scaled down to fit this many pixels on their longest side
+const IMAGE_MAX_DIMENSION = 1600;
+const IMAGE_QUALITY = 0.82;
+
+// Images this small that need no scaling are uploaded as they are
+const IMAGE_COMPRESS_MIN_BYTES = 300 * 1024;
+
+// Files on the create post form: { key, file, name, type, size, previewUrl,
+// status: 'preparing'|'uploading'|'done'|'error', progress, error, attachment, controller }
+const attachmentsState = {
+    items: [],
+    nextKey: 1
+};
+
+// Images of the gallery open in the lightbox, and the one shown
+const lightboxState = {
+    element: null,
+    images: [],
+    index: 0,
+    opener: null
+};
+
+/* ====================================
+   UPLOADS
+   ==================================== */
+
+/**
+ * Check that a file may be attached
+ * @param {File} file - Picked or dropped file
+ * @returns {string|null} Error message, or null if the file is fine
+ */
+function validateAttachmentFile(file) {
+    if (!ATTACHMENT_IMAGE_TYPES.includes(file.type) && file.type !== ATTACHMENT_PDF_TYPE) {
+        return t('attachments.invalidType', { name: file.name });
+    }
+    if (file.size > MAX_ATTACHMENT_BYTES) {
+        return t('attachments.tooLarge', { name: file.name, size: formatFileSize(MAX_ATTACHMENT_BYTES) });
+    }
+    return null;
+}
+
+/**
+ * Load an image file for drawing
+ * @param {File} file - Image file
+ * @returns {Promise<HTMLImageElement>} Decoded image
+ */
+function loadImageFile(file) {
+    return new Promise((resolve, reject) => {
+        const url = URL.createObjectURL(file);
+        const image = new Image();
+        image.onload = () => {
+            URL.revokeObjectURL(url);
+            resolve(image);
+        };
+        image.onerror = () => {
+            URL.revokeObjectURL(url);
+            reject(new Error(`Could not decode ${file.name}`));
+        };
+        image.src = url;
+    });
+}
+
+/**
+ * Scale down and compress an image before it is uploaded
+ * GIFs are left alone so animations survive, and the original is kept
+ * whenever re-encoding would not make it smaller.
+ * @param {File} file - Image file
+ * @returns {Promise<{blob: Blob, name: string}>} Image to upload and its file name
+ */
+async function compressImage(file) {
+    const original = { blob: file, name: file.name };
+    if (file.type === 'image/gif') {
+        return original;
+    }
+
+    const image = await loadImageFile(file);
+    const scale = Math.min(1, IMAGE_MAX_DIMENSION / Math.max(image.naturalWidth, image.naturalHeight));
+    if (scale === 1 && file.size < IMAGE_COMPRESS_MIN_BYTES) {
+        return original;
+    }
+
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(image.naturalWidth * scale);
+    canvas.height = Math.round(image.naturalHeight * scale);
+    canvas.getContext('2d').drawImage(image, 0, 0, canvas.width, canvas.height);
+
+    // PNGs stay PNG, as they may have transparency or be screenshots of text
+    const type = file.type === 'image/png' ? 'image/png' : 'image/jpeg';
+    const blob = await new Promise(resolve => canvas.toBlob(resolve, type, IMAGE_QUALITY));
+    if (!blob || (blob.size >= file.size && scale === 1)) {
+        return original;
+    }
+
+    const extension = type === 'image/png' ? '.png' : '.jpg';
+    return { blob, name: file.name.replace(/\.[^.]*$/, '') + extension };
+}
+
+/**
+ * Prepare and upload one file of the form
+ * @param {Object} item - Entry of attachmentsState.items
+ * @param {File} file - The file as picked
+ */
+async function uploadAttachment(item, file) {
+    item.controller = new AbortController();
+    item.status = 'preparing';
+    item.progress = 0;
+    item.error = '';
+    renderAttachmentList();
+
+    try {
+        let upload = { blob: file, name: file.name };
+        if (ATTACHMENT_IMAGE_TYPES.includes(file.type)) {
+            try {
+                upload = await compressImage(file);
+            } catch (error) {
+                // Upload the original instead; the server can still take it
+                console.error('Compress image error:', error);
+            }
+        }
+
+        if (item.controller.signal.aborted) {
+            return;
+        }
+
+        item.status = 'uploading';
+        item.size = upload.blob.size;
+        renderAttachmentList();
+
+        const data = await uploadFile('attachments/upload.php', upload.blob, {
+            fileName: upload.name,
+            signal: item.controller.signal,
+            onProgress: progress => updateAttachmentProgress(item, progress)
+        });
+
+        if (data.success) {
+            item.status = 'done';
+            item.attachment = data.data;
+        } else {
+            item.status = 'error';
+            item.error = data.message || t('attachments.uploadFailed');
+        }
+    } catch (error) {
+        if (error.name === 'AbortError') {
+            return;
+        }
+        console.error('Upload attachment error:', error);
+        item.status = 'error';
+        item.error = error.message || t('attachments.uploadFailed');
+    }
+
+    renderAttachmentList();
+}
+
+/**
+ * Add picked or dropped files to the form and start uploading them
+ * @param {FileList|Array<File>} files - Files
+ */
+function addAttachmentFiles(files) {
+    const errors = [];
+
+    Array.from(files).forEach(file => {
+        if (attachmentsState.items.length >= MAX_ATTACHMENTS) {
+            errors.push(t('attachments.tooMany', { count: MAX_ATTACHMENTS }));
+            return;
+        }
+
+        const error = validateAttachmentFile(file);
+        if (error) {
+            errors.push(error);
+            return;
+        }
+
+        const item = {
+            key: attachmentsState.nextKey++,
+            file,
+            name: file.name,
+            type: file.type,
+            size: file.size,
+            previewUrl: file.type === ATTACHMENT_PDF_TYPE ? '' : URL.createObjectURL(file),
+            status: 'preparing',
+            progress: 0,
+            error: '',
+            attachment: null,
+            controller: null
+        };
+        attachmentsState.items.push(item);
+        uploadAttachment(item, file);
+    });
+
+    if (errors.length) {
+        // The same limit can be hit by several files; say it once
+        showMessage([...new Set(errors)].join(' '), 'error');
+    }
+    renderAttachmentList();
+}
+
+/**
+ * Remove a file from the form, cancelling its upload
+ * @param {number} key - Item key
+ */
+function removeAttachment(key) {
+    const item = attachmentsState.items.find(entry => entry.key === key);
+    if (!item) {
+        return;
+    }
+
+    if (item.controller) {
+        item.controller.abort();
+    }
+    if (item.previewUrl) {
+        URL.revokeObjectURL(item.previewUrl);
+    }
+    attachmentsState.items = attachmentsState.items.filter(entry => entry !== item);
+    renderAttachmentList();
+}
+
+/**
+ * Move the progress bar of an uploading file
+ * Only the bar is touched, so the list isn't rebuilt on every progress event.
+ * @param {Object} item - Entry of attachmentsState.items
+ * @param {number} progress - Fraction sent, from 0 to 1
+ */
+function updateAttachmentProgress(item, progress) {
+    item.progress = progress;
+
+    const element = document.querySelector(`.attachment-item[data-attachment-key="${item.key}"]`);
+    if (!element) {
+        return;
+    }
+
+    const percent = Math.round(progress * 100);
+    element.querySelector('progress').value = percent;
+    element.querySelector('.attachment-status').textContent = t('attachments.uploading', { percent });
+}
+
+/**
+ * Create the HTML for the status part of a file in the form
+ * @param {Object} item - Entry of attachmentsState.items
+ * @returns {string} HTML string
+ */
+function createAttachmentStatusHTML(item) {
+    const percent = Math.round(item.progress * 100);
+
+    switch (item.status) {
+        case 'preparing':
+            return `<span class="attachment-status text-muted">${t('attachments.preparing')}</span>`;
+        case 'uploading':
+            return `
+                <progress max="100" value="${percent}" aria-label="${escapeAttribute(item.name)}"></progress>
+                <span class="attachment-status text-muted">${t('attachments.uploading', { percent })}</span>
+            `;
+        case 'done':
+            return `<span class="attachment-status attachment-done">${t('attachments.uploaded')}</span>`;
+        default:
+            return `
+                <span class="attachment-status attachment-error">${escapeHtml(item.error)}</span>
+                <button type="button" class="btn-link attachment-retry">${t('attachments.retry')}</button>
+            `;
+    }
+}
+
+/**
+ * Render the files of the create post form
+ */
+function renderAttachmentList() {
+    const list = document.getElementById('attachmentList');
+    if (!list) {
+        return;
+    }
+
+    list.innerHTML = attachmentsState.items.map(item => `
+        <li class="attachment-item attachment-${item.status}" data-attachment-key="${item.key}">
+            ${item.previewUrl
+                ? `<img class="attachment-thumb" src="${escapeAttribute(item.previewUrl)}" alt="">`
+                : '<span class="attachment-thumb attachment-pdf-icon" aria-hidden="true">PDF</span>'}
+            <div class="attachment-info">
+                <strong class="attachment-name">${escapeHtml(item.name)}</strong>
+                <small class="text-muted">${formatFileSize(item.size)}</small>
+                ${createAttachmentStatusHTML(item)}
+            </div>
+            <button type="button" class="btn-link attachment-remove" aria-label="${escapeAttribute(t('attachments.remove', { name: item.name }))}">&times;</button>
+        </li>
+    `).join('');
+}
+
+/**
+ * IDs of the files uploaded so far, to send with the post
+ * @returns {Array<number>} Attachment IDs
+ */
+function getAttachmentIds() {
+    return getUploadedAttachments().map(attachment => attachment.attachment_id);
+}
+
+/**
+ * The uploaded files as the server described them
+ * @returns {Array<Object>} Attachments, in the order they were added
+ */
+function getUploadedAttachments() {
+    return attachmentsState.items.filter(item => item.status === 'done').map(item => item.attachment);
+}
+
+/**
+ * Whether a file is still uploading or failed to upload
+ * Publishing then would silently leave it out.
+ * @returns {boolean}
+ */
+function hasUnfinishedAttachments() {
+    return attachmentsState.items.some(item => item.status !== 'done');
+}
+
+/**
+ * Empty the form's file list, cancelling any uploads
+ */
+function resetAttachments() {
+    attachmentsState.items.slice().forEach(item => removeAttachment(item.key));
+}
+
+/**
+ * Set up file picking and dropping on the create post form
+ * @param {AbortSignal} signal - Aborted when the view is left
+ */
+function initAttachmentUploads(signal) {
+    const dropzone = document.getElementById('attachmentDropzone');
+    const input = document.getElementById('attachmentInput');
+    if (!dropzone || !input) {
+        return;
+    }
+
+    document.getElementById('attachmentLimits').textContent = t('attachments.limits', {
+        count: MAX_ATTACHMENTS,
+        size: formatFileSize(MAX_ATTACHMENT_BYTES)
+    });
+    input.accept = [...ATTACHMENT_IMAGE_TYPES, ATTACHMENT_PDF_TYPE].join(',');
+
+    document.getElementById('attachmentBrowseBtn').addEventListener('click', () => input.click());
+    input.addEventListener('change', function() {
+        addAttachmentFiles(input.files);
+        // Let the same file be picked again after it was removed
+        input.value = '';
+    });
+
+    ['dragenter', 'dragover'].forEach(type => {
+        dropzone.addEventListener(type, function(e) {
+            e.preventDefault();
+            dropzone.classList.add('dragging');
+        });
+    });
+    dropzone.addEventListener('dragleave', function(e) {
+        if (!dropzone.contains(e.relatedTarget)) {
+            dropzone.classList.remove('dragging');
+        }
+    });
+    dropzone.addEventListener('drop', function(e) {
+        e.preventDefault();
+        dropzone.classList.remove('dragging');
+        addAttachmentFiles(e.dataTransfer.files);
+    });
+
+    document.getElementById('attachmentList').addEventListener('click', function(e) {
+        const element = e.target.closest('.attachment-item');
+        if (!element) {
+            return;
+        }
+
+        const item = attachmentsState.items.find(entry => entry.key === Number(element.dataset.attachmentKey));
+        if (e.target.closest('.attachment-remove')) {
+            removeAttachment(item.key);
+        } else if (e.target.closest('.attachment-retry')) {
+            uploadAttachment(item, item.file);
+        }
+    });
+
+    renderAttachmentList();
+    signal.addEventListener('abort', resetAttachments);
+}
+
+/* ====================================
+   DISPLAY
+   ==================================== */
+
+/**
+ * Resolve an attachment URL from the API, allowing only http(s)
+ * @param {string} url - URL as sent by the server, possibly relative to the API
+ * @returns {string} Absolute URL, or '' if it isn't safe to link
+ */
+function getAttachmentUrl(url) {
+    try {
+        const resolved = new URL(url, `${API_BASE_URL.replace(/\/+$/, '')}/`);
+        return resolved.protocol === 'http:' || resolved.protocol === 'https:' ? resolved.href : '';
+    } catch (error) {
+        return '';
+    }
+}
+
+/**
+ * Create the HTML for a post's attachments
+ * @param {Array<Object>} attachments - Attachments: attachment_id, url, thumbnail_url, file_name, mime_type, size
+ * @returns {string} HTML string, empty without attachments
+ */
+function createAttachmentsHTML(attachments) {
+    const valid = (attachments || []).filter(attachment => getAttachmentUrl(attachment.url));
+    const images = valid.filter(attachment => ATTACHMENT_IMAGE_TYPES.includes(attachment.mime_type));
+    const files = valid.filter(attachment => attachment.mime_type === ATTACHMENT_PDF_TYPE);
+
+    const galleryHTML = images.length ? `
+        <div class="attachment-gallery" role="list" aria-label="${escapeAttribute(t('attachments.gallery'))}">
+            ${images.map(image => `
+                <a href="${escapeAttribute(getAttachmentUrl(image.url))}" class="attachment-image" role="listitem">
+                    <img src="${escapeAttribute(getAttachmentUrl(image.thumbnail_url || image.url))}" alt="${escapeAttribute(image.file_name || '')}" loading="lazy">
+                </a>
+            `).join('')}
+        </div>
+    ` : '';
+
+    const filesHTML = files.length ? `
+        <ul class="attachment-files">
+            ${files.map(file => `
+                <li>
+                    <a href="${escapeAttribute(getAttachmentUrl(file.url))}" class="attachment-file" target="_blank" rel="noopener noreferrer">${escapeHtml(file.file_name || t('attachments.pdf'))}</a>
+                    <small class="text-muted">(PDF, ${formatFileSize(file.size)})</small>
+                </li>
+            `).join('')}
+        </ul>
+    ` : '';
+
+    return galleryHTML || filesHTML ? `<div class="post-attachments">${galleryHTML}${filesHTML}</div>` : '';
+}
+
+/* ====================================
+   LIGHTBOX
+   ==================================== */
+
+/**
+ * Create the lightbox on first use
+ * @returns {HTMLElement} Lightbox element
+ */
+function getLightbox() {
+    if (lightboxState.element) {
+        return lightboxState.element;
+    }
+
+    const lightbox = document.createElement('div');
+    lightbox.className = 'lightbox hidden';
+    lightbox.setAttribute('role', 'dialog');
+    lightbox.setAttribute('aria-modal', 'true');
+    lightbox.innerHTML = `
+        <button type="button" class="lightbox-close">&times;</button>
+        <button type="button" class="lightbox-prev">&#8249;</button>
+        <figure class="lightbox-figure">
+            <img class="lightbox-image" alt="">
+            <figcaption class="lightbox-caption"></figcaption>
+        </figure>
+        <button type="button" class="lightbox-next">&#8250;</button>
+    `;
+
+    lightbox.addEventListener('click', function(e) {
+        if (e.target.closest('.lightbox-prev')) {
+            showLightboxImage(lightboxState.index - 1);
+        } else if (e.target.closest('.lightbox-next')) {
+            showLightboxImage(lightboxState.index + 1);
+        } else if (e.target.closest('.lightbox-close') || !e.target.closest('.lightbox-figure')) {
+            closeLightbox();
+        }
+    });
+
+    document.body.appendChild(lightbox);
+    lightboxState.element = lightbox;
+    return lightbox;
+}
+
+/**
+ * Show an image of the open gallery, wrapping around at either end
+ * @param {number} index - Image index
+ */
+function showLightboxImage(index) {
+    const count = lightboxState.images.length;
+    lightboxState.index = (index + count) % count;
+
+    const link = lightboxState.images[lightboxState.index];
+    const lightbox = lightboxState.element;
+    const image = lightbox.querySelector('.lightbox-image');
+    const name = link.querySelector('img').alt;
+
+    image.src = link.href;
+    image.alt = name;
+    lightbox.querySelector('.lightbox-caption').textContent = count > 1
+        ? t('attachments.imagePosition', { name, current: lightboxState.index + 1, total: count })
+        : name;
+}
+
+/**
+ * Open the lightbox on an image of a post's gallery
+ * @param {HTMLAnchorElement} link - The clicked gallery link
+ */
+function openLightbox(link) {
+    const lightbox = getLightbox();
+    lightboxState.images = Array.from(link.closest('.attachment-gallery').querySelectorAll('.attachment-image'));
+    lightboxState.opener = link;
+
+    // Labels follow the current language
+    lightbox.setAttribute('aria-label', t('attachments.viewer'));
+    lightbox.querySelector('.lightbox-close').setAttribute('aria-label', t('attachments.close'));
+    lightbox.querySelector('.lightbox-prev').setAttribute('aria-label', t('attachments.previous'));
+    lightbox.querySelector('.lightbox-next').setAttribute('aria-label', t('attachments.next'));
+
+    const single = lightboxState.images.length < 2;
+    lightbox.querySelector('.lightbox-prev').classList.toggle('hidden', single);
+    lightbox.querySelector('.lightbox-next').classList.toggle('hidden', single);
+
+    showLightboxImage(lightboxState.images.indexOf(link));
+    lightbox.classList.remove('hidden');
+    document.body.classList.add('lightbox-open');
+    lightbox.querySelector('.lightbox-close').focus();
+}
+
+/**
+ * Close the lightbox and return focus to the image that opened it
+ */
+function closeLightbox() {
+    const lightbox = lightboxState.element;
+    if (!lightbox || lightbox.classList.contains('hidden')) {
+        return;
+    }
+
+    lightbox.classList.add('hidden');
+    lightbox.querySelector('.lightbox-image').removeAttribute('src');
+    document.body.classList.remove('lightbox-open');
+
+    if (lightboxState.opener && lightboxState.opener.isConnected) {
+        lightboxState.opener.focus();
+    }
+    lightboxState.opener = null;
+}
+
+// Gallery images open in the lightbox; delegated, as posts are rendered
+// and re-rendered by several modules. Modified clicks still open a new tab.
+document.addEventListener('click', function(e) {
+    const link = e.target.closest('.attachment-image');
+    if (!link || e.defaultPrevented || e.button !== 0 || e.metaKey || e.ctrlKey || e.shiftKey || e.altKey) {
+        return;
+    }
+
+    e.preventDefault();
+    openLightbox(link);
+});
+
+document.addEventListener('keydown', function(e) {
+    if (!lightboxState.element || lightboxState.element.classList.contains('hidden')) {
+        return;
+    }
+
+    if (e.key === 'Escape') {
+        closeLightbox();
+    } else if (e.key === 'ArrowLeft' && lightboxState.images.length > 1) {
+        showLightboxImage(lightboxState.index - 1);
+    } else if (e.key === 'ArrowRight' && lightboxState.images.length > 1) {
+        showLightboxImage(lightboxState.index + 1);
+    } else if (e.key === 'Tab') {
+        // Keep focus inside the dialog
+        const buttons = Array.from(lightboxState.element.querySelectorAll('button:not(.hidden)'));
+        const index = buttons.indexOf(document.activeElement);
+        const next = e.shiftKey ? index - 1 : index + 1;
+        e.preventDefault();
+        buttons[(next + buttons.length) % buttons.length].focus();
+    }
+});
+
+// Going back or to another view closes it too
+window.addEventListener('popstate', closeLightbox);
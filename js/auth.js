@@ -3,74 +3,326 @@
  * 
  * Handles user login and registration functionality.
  * Manages form submissions, API calls, and user feedback.
+ * Registration fields are checked as the user types, with errors shown
+ * under each field and a meter rating the chosen password.
+ * New accounts confirm their email through a link before they can log in,
+ * and users who forgot their password can ask for a reset link here.
  */
 
-// API_BASE_URL is defined in config.js
+// apiRequest, apiRequestWithStatus, escapeHtml, showMessage, reportApiError, toggleLoading,
+// setFieldError and showServerFieldErrors are defined in api.js
+// t is defined in i18n.js
+// isValidEmail, validateName, validateEmail, validatePassword, validatePasswordConfirmation
+// and checkPasswordStrength are defined in validation.js
+// registerView, navigate and getRedirectAfterLogin are defined in router.js
+
+// Rules for each form's fields, by input name; each returns an error message or null
+const LOGIN_FIELD_RULES = {
+    email: value => (isValidEmail(value.trim()) ? null : t('validation.invalidEmail')),
+    password: value => (value ? null : t('auth.passwordRequired'))
+};
+
+const REGISTER_FIELD_RULES = {
+    name: value => validateName(value.trim()),
+    email: value => validateEmail(value.trim()),
+    password: value => validatePassword(value),
+    confirm_password: (value, form) => validatePasswordConfirmation(form.elements.password.value, value)
+};
+
+// Fields to check again when another field changes, by input name
+const DEPENDENT_FIELDS = {
+    password: ['confirm_password']
+};
+
+// Seconds to wait before another confirmation email can be asked for
+const RESEND_COOLDOWN_SECONDS = 60;
+
+// Address waiting for confirmation and the resend countdown
+const verificationState = {
+    email: '',
+    secondsLeft: 0,
+    cooldownTimer: null
+};
 
 /**
- * Show a message to the user
- * @param {string} message - The message text
- * @param {string} type - Message type: 'success', 'error', or 'info'
+ * Show one of the login page's panels: the login and register forms,
+ * the forgot password form or the email confirmation notice
+ * @param {string} panelId - ID of the panel to show
  */
-function showMessage(message, type = 'info') {
-    const messageDiv = document.getElementById('message');
-    messageDiv.textContent = message;
-    messageDiv.className = `message message-${type} show`;
-    
-    // Auto-hide after 5 seconds
-    setTimeout(() => {
-        messageDiv.classList.remove('show');
-    }, 5000);
+function showAuthPanel(panelId) {
+    ['authForms', 'forgotPasswordPanel', 'verifyEmailPanel'].forEach(id => {
+        document.getElementById(id).classList.toggle('hidden', id !== panelId);
+    });
+}
+
+/**
+ * Tell the user to confirm their email, with the option to resend the link
+ * @param {string} email - Address the link was sent to
+ */
+function showVerificationPending(email) {
+    verificationState.email = email;
+    document.getElementById('verifyEmailText').innerHTML = t('auth.verifySent', {
+        email: `<strong>${escapeHtml(email)}</strong>`
+    });
+    showAuthPanel('verifyEmailPanel');
 }
 
 /**
- * Show/hide loading spinner
- * @param {boolean} show - Whether to show or hide the spinner
+ * Disable the resend button for a while, counting down on it
+ * @param {number} seconds - Seconds until another email may be asked for
  */
-function toggleLoading(show) {
-    const loadingDiv = document.getElementById('loading');
-    if (show) {
-        loadingDiv.classList.add('show');
-    } else {
-        loadingDiv.classList.remove('show');
+function startResendCooldown(seconds) {
+    const button = document.getElementById('resendVerificationBtn');
+    clearInterval(verificationState.cooldownTimer);
+    verificationState.secondsLeft = seconds;
+
+    const tick = () => {
+        if (verificationState.secondsLeft <= 0) {
+            clearInterval(verificationState.cooldownTimer);
+            button.disabled = false;
+            button.textContent = t('auth.resendVerification');
+            return;
+        }
+
+        button.disabled = true;
+        button.textContent = t('auth.resendIn', { count: verificationState.secondsLeft });
+        verificationState.secondsLeft--;
+    };
+
+    tick();
+    verificationState.cooldownTimer = setInterval(tick, 1000);
+}
+
+/**
+ * Send the confirmation email again
+ */
+async function handleResendVerification() {
+    toggleLoading(true);
+
+    try {
+        const { status, data } = await apiRequestWithStatus('auth/resend-verification.php', {
+            method: 'POST',
+            body: { email: verificationState.email },
+            handleUnauthorized: false
+        });
+
+        toggleLoading(false);
+
+        if (data.success) {
+            showMessage(data.message, 'success');
+            startResendCooldown(RESEND_COOLDOWN_SECONDS);
+        } else {
+            showMessage(data.message, 'error');
+            // Too soon: wait as long as the server asks
+            if (status === 429) {
+                startResendCooldown((data.data && data.data.retry_after) || RESEND_COOLDOWN_SECONDS);
+            }
+        }
+
+    } catch (error) {
+        toggleLoading(false);
+        reportApiError(error, t('auth.resendFailed'));
     }
 }
 
 /**
- * Validate email format
- * @param {string} email - Email address to validate
- * @returns {boolean} True if valid email format
+ * Confirm the email address from the link in the confirmation email
+ * The token is taken out of the URL afterwards, so a reload doesn't use it again.
+ * @param {string} token - Token from the link
  */
-function isValidEmail(email) {
-    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-    return emailRegex.test(email);
+async function verifyEmailFromLink(token) {
+    const url = new URL(window.location.href);
+    url.searchParams.delete('verify');
+    history.replaceState(null, '', url.href);
+
+    toggleLoading(true);
+
+    try {
+        const data = await apiRequest('auth/verify-email.php', {
+            method: 'POST',
+            body: { token },
+            handleUnauthorized: false
+        });
+
+        toggleLoading(false);
+
+        if (data.success) {
+            showMessage(data.message, 'success');
+            if (data.data && data.data.email) {
+                document.getElementById('loginEmail').value = data.data.email;
+                document.getElementById('loginPassword').focus();
+            }
+        } else {
+            showMessage(data.message, 'error');
+        }
+
+    } catch (error) {
+        toggleLoading(false);
+        reportApiError(error, t('auth.verifyFailed'));
+    }
 }
 
 /**
- * Handle user registration
+ * Ask for a password reset link
  * @param {Event} event - Form submit event
  */
-async function handleRegister(event) {
+async function handleForgotPassword(event) {
     event.preventDefault();
-    
-    // Get form values
-    const name = document.getElementById('registerName').value.trim();
-    const email = document.getElementById('registerEmail').value.trim();
-    const password = document.getElementById('registerPassword').value;
-    
-    // Client-side validation
-    if (name.length < 3 || name.length > 100) {
-        showMessage('Name must be between 3 and 100 characters', 'error');
+
+    const email = document.getElementById('forgotEmail').value.trim();
+    if (!isValidEmail(email)) {
+        showMessage(t('validation.invalidEmail'), 'error');
         return;
     }
-    
-    if (!isValidEmail(email) || email.length > 100) {
-        showMessage('Please enter a valid email address', 'error');
+
+    toggleLoading(true);
+
+    try {
+        const data = await apiRequest('auth/forgot-password.php', {
+            method: 'POST',
+            body: { email },
+            handleUnauthorized: false
+        });
+
+        toggleLoading(false);
+
+        if (data.success) {
+            showMessage(data.message, 'success');
+            document.getElementById('forgotPasswordForm').reset();
+            document.getElementById('loginEmail').value = email;
+            showAuthPanel('authForms');
+        } else {
+            showMessage(data.message, 'error');
+        }
+
+    } catch (error) {
+        toggleLoading(false);
+        reportApiError(error, t('auth.resetRequestFailed'));
+    }
+}
+
+/**
+ * Check a form's fields and show or clear their errors
+ * @param {HTMLFormElement} form - Form
+ * @param {Object} rules - Rules by input name
+ * @param {Array<string>} names - Fields to check (default all)
+ * @returns {HTMLInputElement|null} First field with an error, or null if all are valid
+ */
+function validateFields(form, rules, names = Object.keys(rules)) {
+    let firstInvalid = null;
+
+    names.forEach(name => {
+        const input = form.elements[name];
+        const error = rules[name](input.value, form);
+        // Once checked, a field keeps being checked as it changes
+        input.dataset.touched = 'true';
+        setFieldError(input, error);
+        if (error && !firstInvalid) {
+            firstInvalid = input;
+        }
+    });
+
+    return firstInvalid;
+}
+
+/**
+ * Check a form's fields as the user types
+ * A field is only checked once the user has filled it in and moved on, so
+ * nobody is told an address is invalid while still typing it. After that it
+ * is checked on every change, and so are the fields that depend on it.
+ * Only the changed fields are checked, so errors from the server stay put.
+ * @param {HTMLFormElement} form - Form
+ * @param {Object} rules - Rules by input name
+ */
+function bindLiveValidation(form, rules) {
+    const checkTouched = names => validateFields(form, rules, names.filter(name => (
+        rules[name] && form.elements[name].dataset.touched
+    )));
+
+    form.addEventListener('focusout', function(e) {
+        if (rules[e.target.name] && e.target.value) {
+            e.target.dataset.touched = 'true';
+            checkTouched([e.target.name]);
+        }
+    });
+    form.addEventListener('input', function(e) {
+        checkTouched([e.target.name].concat(DEPENDENT_FIELDS[e.target.name] || []));
+    });
+}
+
+/**
+ * Empty a form and clear its field errors
+ * @param {HTMLFormElement} form - Form
+ * @param {Object} rules - Rules by input name
+ */
+function resetValidatedForm(form, rules) {
+    form.reset();
+    Object.keys(rules).forEach(name => {
+        delete form.elements[name].dataset.touched;
+        setFieldError(form.elements[name], null);
+    });
+}
+
+/**
+ * Show how strong the password being registered is, and how to improve it
+ */
+function renderPasswordStrength() {
+    const form = document.getElementById('registerForm');
+    const password = form.elements.password.value;
+    const meter = document.getElementById('passwordStrength');
+
+    meter.classList.toggle('hidden', !password);
+    if (!password) {
         return;
     }
+
+    const { score, level, hints } = checkPasswordStrength(password, {
+        name: form.elements.name.value,
+        email: form.elements.email.value
+    });
+
+    meter.className = `password-strength strength-${level}`;
+    document.getElementById('passwordStrengthBar').style.width = `${Math.max(score, 1) * 25}%`;
+    document.getElementById('passwordStrengthLabel').textContent = t(`strength.${level}`);
+    document.getElementById('passwordStrengthHints').innerHTML = hints
+        .slice(0, 2)
+        .map(hint => `<li>${escapeHtml(hint)}</li>`)
+        .join('');
+}
+
+/**
+ * Show or hide the password typed into a field
+ * @param {HTMLButtonElement} button - The field's .password-toggle button
+ */
+function togglePasswordVisibility(button) {
+    const input = document.getElementById(button.getAttribute('aria-controls'));
+    const showing = input.type === 'password';
+
+    input.type = showing ? 'text' : 'password';
+    button.setAttribute('aria-pressed', String(showing));
+    button.textContent = t(showing ? 'auth.hidePassword' : 'auth.showPassword');
+}
+
+/**
+ * Handle user registration
+ * Field errors the server sends back in data.errors, by field name, are shown
+ * next to their fields.
+ * @param {Event} event - Form submit event
+ */
+async function handleRegister(event) {
+    event.preventDefault();
+    
+    const form = document.getElementById('registerForm');
+
+    // Get form values
+    const name = form.elements.name.value.trim();
+    const email = form.elements.email.value.trim();
+    const password = form.elements.password.value;
     
-    if (password.length < 6) {
-        showMessage('Password must be at least 6 characters long', 'error');
+    // Client-side validation, showing every field's error at once
+    const firstInvalid = validateFields(form, REGISTER_FIELD_RULES);
+    if (firstInvalid) {
+        firstInvalid.focus();
         return;
     }
     
@@ -79,53 +331,58 @@ async function handleRegister(event) {
     
     try {
         // Make API request
-        const response = await fetch(`${API_BASE_URL}/auth/register.php`, {
+        const data = await apiRequest('auth/register.php', {
             method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-            },
-            body: JSON.stringify({ name, email, password })
+            body: { name, email, password },
+            handleUnauthorized: false
         });
         
-        const data = await response.json();
-        
         // Hide loading spinner
         toggleLoading(false);
         
         if (data.success) {
-            showMessage(data.message + ' Please login to continue.', 'success');
             // Clear registration form
-            document.getElementById('registerForm').reset();
-        } else {
+            resetValidatedForm(form, REGISTER_FIELD_RULES);
+            renderPasswordStrength();
+
+            if (data.data && data.data.email_verified === false) {
+                // The new account has to confirm its address first
+                showMessage(data.message, 'success');
+                showVerificationPending(email);
+                startResendCooldown(RESEND_COOLDOWN_SECONDS);
+            } else {
+                showMessage(`${data.message} ${t('auth.loginToContinue')}`, 'success');
+            }
+        } else if (!showServerFieldErrors(form, data.data && data.data.errors)) {
             showMessage(data.message, 'error');
         }
         
     } catch (error) {
         toggleLoading(false);
-        console.error('Registration error:', error);
-        showMessage('Failed to connect to server. Please try again later.', 'error');
+        reportApiError(error, t('api.connectionFailed'));
     }
 }
 
 /**
  * Handle user login
+ * "Remember me" asks the server for a session that outlasts the browser;
+ * without it the session ends when the browser is closed.
  * @param {Event} event - Form submit event
  */
 async function handleLogin(event) {
     event.preventDefault();
     
+    const form = document.getElementById('loginForm');
+
     // Get form values
-    const email = document.getElementById('loginEmail').value.trim();
-    const password = document.getElementById('loginPassword').value;
+    const email = form.elements.email.value.trim();
+    const password = form.elements.password.value;
+    const remember = form.elements.remember.checked;
     
     // Client-side validation
-    if (!isValidEmail(email)) {
-        showMessage('Please enter a valid email address', 'error');
-        return;
-    }
-    
-    if (!password) {
-        showMessage('Password is required', 'error');
+    const firstInvalid = validateFields(form, LOGIN_FIELD_RULES);
+    if (firstInvalid) {
+        firstInvalid.focus();
         return;
     }
     
@@ -134,95 +391,77 @@ async function handleLogin(event) {
     
     try {
         // Make API request
-        const response = await fetch(`${API_BASE_URL}/auth/login.php`, {
+        const data = await apiRequest('auth/login.php', {
             method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-            },
-            credentials: 'include', // Important for session cookies
-            body: JSON.stringify({ email, password })
+            body: { email, password, remember },
+            handleUnauthorized: false
         });
         
-        const data = await response.json();
-        
         // Hide loading spinner
         toggleLoading(false);
         
         if (data.success) {
             // Store user info in localStorage for quick access
-            localStorage.setItem('user', JSON.stringify(data.data));
-            localStorage.setItem('isLoggedIn', 'true');
+            saveSession(data.data);
             
-            showMessage(data.message + ' Redirecting...', 'success');
+            showMessage(`${data.message} ${t('common.redirecting')}`, 'success');
             
-            // Redirect to forum page after short delay
+            // Go to the page the user asked for (the forum by default) after short delay
             setTimeout(() => {
-                window.location.href = 'forum.html';
+                navigate(getRedirectAfterLogin(), { replace: true });
             }, 1000);
-        } else {
+        } else if (data.data && data.data.email_verified === false) {
+            showMessage(data.message, 'error');
+            showVerificationPending(email);
+        } else if (!showServerFieldErrors(form, data.data && data.data.errors)) {
             showMessage(data.message, 'error');
         }
         
     } catch (error) {
         toggleLoading(false);
-        console.error('Login error:', error);
-        showMessage('Failed to connect to server. Please try again later.', 'error');
-    }
-}
-
-/**
- * Check if user is already logged in
- * If yes, redirect to forum page
- */
-function checkLoginStatus() {
-    const isLoggedIn = localStorage.getItem('isLoggedIn');
-    if (isLoggedIn === 'true') {
-        // Verify session with backend
-        verifySession();
+        reportApiError(error, t('api.connectionFailed'));
     }
 }
 
-/**
- * Verify session with backend
- * Redirects to forum if session is valid
- */
-async function verifySession() {
-    try {
-        const response = await fetch(`${API_BASE_URL}/users/profile.php`, {
-            method: 'GET',
-            credentials: 'include'
-        });
-        
-        const data = await response.json();
-        
-        if (data.success) {
-            // Session is valid, redirect to forum
-            window.location.href = 'forum.html';
-        } else {
-            // Session expired or invalid
-            localStorage.removeItem('user');
-            localStorage.removeItem('isLoggedIn');
-        }
-    } catch (error) {
-        console.error('Session verification error:', error);
-        // Don't show error message, just continue on login page
-    }
-}
-
-// Initialize when page loads
-document.addEventListener('DOMContentLoaded', function() {
-    // Check if user is already logged in
-    checkLoginStatus();
-    
+// Login view; users who are already logged in are sent on by the route guard
+registerView('login', function({ signal }) {
     // Attach form submit handlers
     const loginForm = document.getElementById('loginForm');
     const registerForm = document.getElementById('registerForm');
     
     if (loginForm) {
         loginForm.addEventListener('submit', handleLogin);
+        bindLiveValidation(loginForm, LOGIN_FIELD_RULES);
     }
     
     if (registerForm) {
         registerForm.addEventListener('submit', handleRegister);
+        bindLiveValidation(registerForm, REGISTER_FIELD_RULES);
+        registerForm.addEventListener('input', renderPasswordStrength);
+    }
+
+    document.querySelectorAll('.password-toggle').forEach(button => {
+        button.addEventListener('click', () => togglePasswordVisibility(button));
+    });
+
+    document.getElementById('forgotPasswordBtn').addEventListener('click', function() {
+        document.getElementById('forgotEmail').value = document.getElementById('loginEmail').value.trim();
+        showAuthPanel('forgotPasswordPanel');
+        document.getElementById('forgotEmail').focus();
+    });
+    document.getElementById('forgotPasswordForm').addEventListener('submit', handleForgotPassword);
+    document.getElementById('resendVerificationBtn').addEventListener('click', handleResendVerification);
+    document.querySelectorAll('.auth-back').forEach(button => {
+        button.addEventListener('click', () => showAuthPanel('authForms'));
+    });
+
+    signal.addEventListener('abort', () => clearInterval(verificationState.cooldownTimer));
+
+    // Arriving from a link in an email
+    const params = new URLSearchParams(window.location.search);
+    if (params.get('verify')) {
+        verifyEmailFromLink(params.get('verify'));
+    } else if (window.location.hash === '#forgot') {
+        showAuthPanel('forgotPasswordPanel');
     }
 });
@@ -0,0 +1,439 @@
+/**
+ * Bookmarks Module
+ *
+ * Bookmarks ("Save") and thread follows on posts. Bookmarked posts are
+ * listed in the "Saved" tab of the profile. Bookmarks are also kept per user
+ * in localStorage: changes made while offline are saved there and sent once
+ * the connection is back, and the Saved list can be read without the backend.
+ * Following a thread needs the backend, which then notifies the user of its
+ * new replies.
+ */
+
+// apiRequest, showMessage, reportApiError, getStoredUser, escapeAttribute and ApiError are defined in api.js
+// renderedPosts is defined in posts.js
+// t is defined in i18n.js
+
+// localStorage key prefix; the user ID is appended
+const BOOKMARKS_KEY_PREFIX = 'bookmarks:';
+
+// Saved posts kept on the device, most recently saved first
+const MAX_LOCAL_BOOKMARKS = 200;
+
+// Number of saved posts requested per page
+const BOOKMARKS_PAGE_SIZE = 10;
+
+// Whether offline bookmark changes are being sent
+const bookmarkSyncState = {
+    running: false
+};
+
+// Parsed copy of the device's bookmarks, so rendering a list of posts doesn't
+// parse localStorage once per post; key is the storage key it was read from
+const bookmarkStoreCache = {
+    key: null,
+    store: null
+};
+
+/**
+ * Get the localStorage key of the logged-in user's bookmarks
+ * @returns {string} Storage key
+ */
+function getBookmarksStorageKey() {
+    const user = getStoredUser();
+    return `${BOOKMARKS_KEY_PREFIX}${user ? user.user_id : ''}`;
+}
+
+/**
+ * Get the cached bookmarks of the logged-in user, reading localStorage if needed
+ * Not to be changed; see loadLocalBookmarks for a copy to edit.
+ * @returns {{posts: Array<Object>, pending: Object}}
+ */
+function getCachedBookmarks() {
+    const key = getBookmarksStorageKey();
+    if (bookmarkStoreCache.key === key) {
+        return bookmarkStoreCache.store;
+    }
+
+    let store = { posts: [], pending: {} };
+    try {
+        const stored = JSON.parse(localStorage.getItem(key));
+        if (stored && Array.isArray(stored.posts)) {
+            store = { posts: stored.posts, pending: stored.pending || {} };
+        }
+    } catch (error) {
+        // Unreadable; start over
+    }
+
+    bookmarkStoreCache.key = key;
+    bookmarkStoreCache.store = store;
+    return store;
+}
+
+/**
+ * Read the bookmarks kept on the device
+ * @returns {{posts: Array<Object>, pending: Object}} Saved posts, newest first,
+ *   and changes not sent yet: true (save) or false (remove) by post ID
+ */
+function loadLocalBookmarks() {
+    const store = getCachedBookmarks();
+    return { posts: store.posts.slice(), pending: { ...store.pending } };
+}
+
+/**
+ * Write the bookmarks back to localStorage
+ * @param {Object} store - As returned by loadLocalBookmarks
+ */
+function storeLocalBookmarks(store) {
+    const key = getBookmarksStorageKey();
+    bookmarkStoreCache.key = key;
+    bookmarkStoreCache.store = {
+        posts: store.posts.slice(0, MAX_LOCAL_BOOKMARKS),
+        pending: { ...store.pending }
+    };
+
+    try {
+        localStorage.setItem(key, JSON.stringify(bookmarkStoreCache.store));
+    } catch (error) {
+        // Storage full or disabled; bookmarks then only live on the server
+        console.error('Save bookmarks error:', error);
+    }
+}
+
+/**
+ * Add or remove a post in the device's copy of the bookmarks
+ * @param {Object} store - As returned by loadLocalBookmarks; changed in place
+ * @param {Object} post - Post data object
+ * @param {boolean} bookmarked - True to add it
+ */
+function setLocalBookmark(store, post, bookmarked) {
+    const postId = Number(post.post_id);
+    store.posts = store.posts.filter(item => Number(item.post_id) !== postId);
+    if (bookmarked) {
+        store.posts.unshift({ ...post, bookmarked_by_me: true });
+    }
+}
+
+/**
+ * Check whether the user bookmarked a post
+ * A change made offline wins over what the backend last said.
+ * @param {Object} post - Post data object; bookmarked_by_me is set by the backend
+ * @returns {boolean}
+ */
+function isPostBookmarked(post) {
+    const pending = getCachedBookmarks().pending[Number(post.post_id)];
+    return pending !== undefined ? pending : Boolean(post.bookmarked_by_me);
+}
+
+/**
+ * Create HTML for the bookmark and follow buttons of a post
+ * @param {Object} post - Post data object; followed_by_me is set by the backend
+ * @returns {string} HTML string
+ */
+function createBookmarkButtonsHTML(post) {
+    const bookmarked = isPostBookmarked(post);
+    const followed = Boolean(post.followed_by_me);
+
+    return `
+        <span class="bookmark-actions">
+            <button type="button" class="btn-link bookmark-toggle${bookmarked ? ' active' : ''}" aria-pressed="${bookmarked}"
+                    title="${escapeAttribute(t(bookmarked ? 'bookmarks.removeHint' : 'bookmarks.saveHint'))}">
+                <span aria-hidden="true">${bookmarked ? '&#9733;' : '&#9734;'}</span> ${t(bookmarked ? 'bookmarks.saved' : 'bookmarks.save')}
+            </button>
+            <button type="button" class="btn-link follow-toggle${followed ? ' active' : ''}" aria-pressed="${followed}"
+                    title="${escapeAttribute(t(followed ? 'bookmarks.unfollowHint' : 'bookmarks.followHint'))}">
+                ${t(followed ? 'bookmarks.following' : 'bookmarks.follow')}
+            </button>
+        </span>
+    `;
+}
+
+/**
+ * Show new bookmark/follow states on every card of a post
+ * The same post can be on screen twice, e.g. in My posts and Saved.
+ * @param {number} postId - Post ID
+ * @param {Object} changes - bookmarked_by_me and/or followed_by_me
+ */
+function updateBookmarkButtons(postId, changes) {
+    const entry = renderedPosts.get(postId);
+    if (!entry) {
+        return;
+    }
+    Object.assign(entry.post, changes);
+
+    document.querySelectorAll(`.post[data-post-id="${postId}"] .bookmark-actions`).forEach(actions => {
+        actions.outerHTML = createBookmarkButtonsHTML(entry.post);
+    });
+}
+
+/**
+ * Show a bookmark state and tell open lists about it (the Saved tab)
+ * @param {number} postId - Post ID
+ * @param {boolean} bookmarked - New state
+ */
+function setBookmarkState(postId, bookmarked) {
+    updateBookmarkButtons(postId, { bookmarked_by_me: bookmarked });
+    window.dispatchEvent(new CustomEvent('bookmarkchange', { detail: { postId, bookmarked } }));
+}
+
+/**
+ * Send a bookmark change to the backend
+ * @param {number} postId - Post ID
+ * @param {boolean} bookmarked - True to save the post, false to remove it
+ * @returns {Promise<Object>} Parsed response body
+ * @throws {ApiError} As apiRequest
+ */
+function sendBookmark(postId, bookmarked) {
+    return apiRequest(bookmarked ? 'bookmarks/add.php' : 'bookmarks/remove.php', {
+        method: 'POST',
+        body: { post_id: postId }
+    });
+}
+
+/**
+ * Save or remove a post
+ * Shows the change at once. Without a connection it is kept on the device
+ * and sent later; a change the backend rejects is rolled back.
+ * @param {HTMLElement} postElement - The .post element
+ */
+async function toggleBookmark(postElement) {
+    const postId = Number(postElement.dataset.postId);
+    const entry = renderedPosts.get(postId);
+    if (!entry) {
+        return;
+    }
+
+    const bookmarked = !isPostBookmarked(entry.post);
+    const store = loadLocalBookmarks();
+    setLocalBookmark(store, entry.post, bookmarked);
+    storeLocalBookmarks(store);
+    setBookmarkState(postId, bookmarked);
+
+    // Keep the change on the device and send it once back online
+    const keepForLater = () => {
+        const latest = loadLocalBookmarks();
+        latest.pending[postId] = bookmarked;
+        storeLocalBookmarks(latest);
+        showMessage(t('bookmarks.savedOffline'), 'info');
+    };
+
+    // Put things back as they were
+    const rollBack = () => {
+        const latest = loadLocalBookmarks();
+        setLocalBookmark(latest, entry.post, !bookmarked);
+        storeLocalBookmarks(latest);
+        setBookmarkState(postId, !bookmarked);
+    };
+
+    if (!navigator.onLine) {
+        keepForLater();
+        return;
+    }
+
+    try {
+        const data = await sendBookmark(postId, bookmarked);
+
+        if (!data.success) {
+            rollBack();
+            showMessage(data.message, 'error');
+        }
+
+    } catch (error) {
+        if (error instanceof ApiError && error.status === 0) {
+            keepForLater();
+        } else {
+            rollBack();
+            reportApiError(error, t('bookmarks.saveFailed'));
+        }
+    }
+}
+
+/**
+ * Send the bookmark changes made offline, oldest first
+ * Stops at the first one the backend doesn't answer, e.g. while still offline
+ * or once the session has expired; changes the backend rejects are dropped,
+ * as the post may be gone.
+ */
+async function syncPendingBookmarks() {
+    if (bookmarkSyncState.running) {
+        return;
+    }
+    bookmarkSyncState.running = true;
+
+    try {
+        await sendPendingBookmarks();
+    } finally {
+        bookmarkSyncState.running = false;
+    }
+}
+
+/**
+ * Send each bookmark change waiting on the device
+ */
+async function sendPendingBookmarks() {
+    const postIds = Object.keys(getCachedBookmarks().pending);
+
+    for (const key of postIds) {
+        const postId = Number(key);
+        const bookmarked = getCachedBookmarks().pending[postId];
+        if (bookmarked === undefined) {
+            continue;
+        }
+
+        try {
+            const data = await sendBookmark(postId, bookmarked);
+            if (!data.success) {
+                console.error('Sync bookmark error:', data.message);
+            }
+        } catch (error) {
+            // No answer from the backend (offline, session expired, server error):
+            // keep this change and the rest for the next sync
+            if (!(error instanceof ApiError) || (error.status !== 0 && error.status !== 401)) {
+                console.error('Sync bookmark error:', error);
+            }
+            return;
+        }
+
+        const latest = loadLocalBookmarks();
+        // Unless the user changed it again meanwhile
+        if (latest.pending[postId] === bookmarked) {
+            delete latest.pending[postId];
+            storeLocalBookmarks(latest);
+        }
+    }
+}
+
+/**
+ * Follow or unfollow the thread of a post
+ * Needs the backend, so nothing is kept for later.
+ * @param {HTMLElement} postElement - The .post element
+ */
+async function toggleFollow(postElement) {
+    const postId = Number(postElement.dataset.postId);
+    const entry = renderedPosts.get(postId);
+    if (!entry) {
+        return;
+    }
+
+    const followed = !entry.post.followed_by_me;
+    updateBookmarkButtons(postId, { followed_by_me: followed });
+
+    try {
+        const data = await apiRequest(followed ? 'follows/add.php' : 'follows/remove.php', {
+            method: 'POST',
+            body: { post_id: postId }
+        });
+
+        if (data.success) {
+            showMessage(t(followed ? 'bookmarks.followed' : 'bookmarks.unfollowed'), 'success');
+        } else {
+            updateBookmarkButtons(postId, { followed_by_me: !followed });
+            showMessage(data.message, 'error');
+        }
+
+    } catch (error) {
+        updateBookmarkButtons(postId, { followed_by_me: !followed });
+        reportApiError(error, t('bookmarks.followFailed'));
+    }
+}
+
+/**
+ * Check whether a post matches a search of the Saved list
+ * @param {Object} post - Post data object
+ * @param {string} query - Search text
+ * @returns {boolean} True if every word is in the title or content
+ */
+function matchesBookmarkSearch(post, query) {
+    const text = `${post.title} ${post.content}`.toLowerCase();
+    return query.toLowerCase().split(/\s+/).filter(Boolean).every(word => text.includes(word));
+}
+
+/**
+ * Get a page of the user's saved posts
+ * Falls back to the copy on the device when the backend can't be reached;
+ * the result then has offline set and no next page.
+ * @param {Object} options - Options
+ * @param {string} options.query - Search text, matched against title and content
+ * @param {string|null} options.cursor - Cursor of the page to get, null for the first
+ * @returns {Promise<Object>} Response body as from bookmarks/list.php
+ * @throws {ApiError} As apiRequest, except when the server wasn't reached
+ */
+async function fetchBookmarkedPosts({ query = '', cursor = null } = {}) {
+    const localResult = () => ({
+        success: true,
+        data: getCachedBookmarks().posts.filter(post => !query || matchesBookmarkSearch(post, query)),
+        next_cursor: null,
+        offline: true
+    });
+
+    if (!navigator.onLine) {
+        return localResult();
+    }
+
+    let data;
+    try {
+        data = await apiRequest('bookmarks/list.php', {
+            params: { q: query, limit: BOOKMARKS_PAGE_SIZE, cursor }
+        });
+    } catch (error) {
+        if (error instanceof ApiError && error.status === 0) {
+            return localResult();
+        }
+        throw error;
+    }
+
+    if (!data.success) {
+        return data;
+    }
+
+    // Leave out removals not sent yet, and refresh the device's copy
+    const store = loadLocalBookmarks();
+    const posts = data.data
+        .filter(post => store.pending[Number(post.post_id)] !== false)
+        .map(post => ({ ...post, bookmarked_by_me: true }));
+    posts.forEach(post => {
+        const index = store.posts.findIndex(item => Number(item.post_id) === Number(post.post_id));
+        if (index === -1) {
+            store.posts.push(post);
+        } else {
+            store.posts[index] = post;
+        }
+    });
+    storeLocalBookmarks(store);
+
+    return { ...data, data: posts, offline: false };
+}
+
+/**
+ * Attach bookmark and follow handlers to a posts container
+ * @param {HTMLElement} container - Element holding the .post cards
+ */
+function initBookmarkActions(container) {
+    if (!container) {
+        return;
+    }
+
+    container.addEventListener('click', function(e) {
+        const postElement = e.target.closest('.post');
+        if (!postElement) {
+            return;
+        }
+
+        if (e.target.closest('.bookmark-toggle')) {
+            toggleBookmark(postElement);
+        } else if (e.target.closest('.follow-toggle')) {
+            toggleFollow(postElement);
+        }
+    });
+
+    syncPendingBookmarks();
+}
+
+// Send changes made offline once the connection is back
+window.addEventListener('online', syncPendingBookmarks);
+
+// Read the bookmarks again once another tab changed them
+window.addEventListener('storage', function(e) {
+    if (e.key === null || e.key.startsWith(BOOKMARKS_KEY_PREFIX)) {
+        bookmarkStoreCache.key = null;
+    }
+});
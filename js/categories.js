@@ -0,0 +1,145 @@
+/**
+ * Categories Module
+ *
+ * Loads the subjects/categories the backend provides and renders
+ * the category sidebar and the category picker of the create form.
+ */
+
+// apiRequest, escapeHtml and escapeAttribute are defined in api.js
+// t is defined in i18n.js
+
+// Tag rules, checked before sending a post
+const MAX_TAGS = 5;
+const TAG_PATTERN = /^[a-z0-9][a-z0-9-]{1,29}$/;
+
+// Categories from the backend, in display order
+let categories = [];
+
+/**
+ * Load the category list from the backend
+ * @returns {Promise<Array>} Categories with category_id, name and post_count
+ */
+async function loadCategories() {
+    try {
+        const data = await apiRequest('categories/list.php');
+
+        if (data.success) {
+            categories = data.data || [];
+        } else {
+            console.error('Load categories error:', data.message);
+        }
+
+    } catch (error) {
+        // Posts still work without categories, so don't interrupt the user
+        console.error('Load categories error:', error);
+    }
+
+    return categories;
+}
+
+/**
+ * Find a loaded category by ID
+ * @param {number|string} categoryId - Category ID
+ * @returns {Object|null} Category, or null if unknown
+ */
+function getCategory(categoryId) {
+    return categories.find(category => String(category.category_id) === String(categoryId)) || null;
+}
+
+/**
+ * Parse the comma-separated tags input
+ * @param {string} input - Raw input value
+ * @returns {Array<string>} Lowercase tags without duplicates; "#" prefixes are dropped
+ */
+function parseTags(input) {
+    const tags = input.split(',')
+        .map(tag => tag.trim().replace(/^#/, '').toLowerCase().replace(/\s+/g, '-'))
+        .filter(Boolean);
+
+    return Array.from(new Set(tags));
+}
+
+/**
+ * Validate tags
+ * @param {Array<string>} tags - Parsed tags
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateTags(tags) {
+    if (tags.length > MAX_TAGS) {
+        return t('tags.tooMany', { count: MAX_TAGS });
+    }
+
+    if (!tags.every(tag => TAG_PATTERN.test(tag))) {
+        return t('tags.invalid');
+    }
+
+    return null;
+}
+
+/**
+ * Create HTML for the category and tag chips of a post
+ * Chips link to the filtered forum list.
+ * @param {Object} post - Post data object
+ * @returns {string} HTML string, empty if the post has neither
+ */
+function createPostChipsHTML(post) {
+    const tags = Array.isArray(post.tags) ? post.tags : [];
+    if (!post.category_id && tags.length === 0) {
+        return '';
+    }
+
+    const categoryHTML = post.category_id
+        ? `<a href="forum.html?category=${encodeURIComponent(post.category_id)}" class="chip chip-category" data-category-id="${escapeAttribute(post.category_id)}">${escapeHtml(post.category_name || t('categories.unnamed'))}</a>`
+        : '';
+
+    const tagsHTML = tags.map(tag => (
+        `<a href="forum.html?tag=${encodeURIComponent(tag)}" class="chip" data-tag="${escapeAttribute(tag)}">#${escapeHtml(tag)}</a>`
+    )).join('');
+
+    return `<div class="post-chips">${categoryHTML}${tagsHTML}</div>`;
+}
+
+/**
+ * Render the category sidebar
+ * @param {HTMLElement} list - The category list element
+ * @param {string} activeId - Selected category ID, or '' for all posts
+ */
+function renderCategoryList(list, activeId = '') {
+    if (!list) {
+        return;
+    }
+
+    const totalPosts = categories.reduce((sum, category) => sum + (Number(category.post_count) || 0), 0);
+    const itemHTML = (id, name, count) => `
+        <li>
+            <a href="forum.html${id ? `?category=${encodeURIComponent(id)}` : ''}"
+               class="category-link${String(id) === String(activeId) ? ' active' : ''}"
+               data-category-id="${escapeAttribute(id)}">
+                <span>${escapeHtml(name)}</span>
+                <span class="category-count">${Number(count) || 0}</span>
+            </a>
+        </li>
+    `;
+
+    list.innerHTML = itemHTML('', t('categories.allPosts'), totalPosts) +
+        categories.map(category => itemHTML(category.category_id, category.name, category.post_count)).join('');
+}
+
+/**
+ * Fill the category picker of a form
+ * The picker is hidden when the backend has no categories.
+ * @param {HTMLSelectElement} select - The category select element
+ */
+function populateCategorySelect(select) {
+    if (!select) {
+        return;
+    }
+
+    select.innerHTML = `<option value="">${t('categories.choose')}</option>` + categories.map(category => (
+        `<option value="${escapeAttribute(category.category_id)}">${escapeHtml(category.name)}</option>`
+    )).join('');
+
+    const hasCategories = categories.length > 0;
+    select.required = hasCategories;
+    select.closest('.form-group').classList.toggle('hidden', !hasCategories);
+}
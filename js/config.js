@@ -5,4 +5,42 @@
  * Update the API_BASE_URL here to change it for all pages.
  */
 
-const API_BASE_URL = 'https://academiatalkapi.onrender.com';
\ No newline at end of file
+// Hosts where the localStorage overrides below are honored
+const DEV_HOSTNAMES = ['localhost', '127.0.0.1'];
+
+/**
+ * Read a setting overridden in localStorage for local development
+ * Ignored on any other host, so a stored value can't send requests elsewhere.
+ * @param {string} key - localStorage key
+ * @returns {string|null} The stored value, or null
+ */
+function getDevOverride(key) {
+    if (!DEV_HOSTNAMES.includes(window.location.hostname)) {
+        return null;
+    }
+    return localStorage.getItem(key);
+}
+
+// To try the account pages against dev/auth-server.js, serve the site from
+// localhost, run localStorage.setItem('apiBaseUrl', 'http://localhost:8788')
+// in the browser console and reload.
+const API_BASE_URL = getDevOverride('apiBaseUrl') || 'https://academiatalkapi.onrender.com';
+
+// Per-attempt request timeout. The Render backend can take a while to wake up.
+const API_TIMEOUT_MS = 15000;
+
+// Extra attempts for GET requests that time out or hit a cold-starting server
+const API_MAX_RETRIES = 2;
+
+// File uploads get longer, as a large PDF on a slow connection takes a while
+const API_UPLOAD_TIMEOUT_MS = 120000;
+
+// Live forum updates: a server-sent events stream (stream.php) and a polling
+// endpoint (poll.php) used while the stream is unavailable. To try them against
+// dev/event-server.js, serve the site from localhost, run
+// localStorage.setItem('realtimeBaseUrl', 'http://localhost:8787') in the browser
+// console and reload.
+const REALTIME_BASE_URL = getDevOverride('realtimeBaseUrl') || `${API_BASE_URL}/events`;
+
+// How often to poll for updates while the stream is down
+const REALTIME_POLL_INTERVAL_MS = 15000;
@@ -0,0 +1,113 @@
+/**
+ * Direct Messages Module
+ *
+ * The parts of one-to-one messaging shared by the logged-in pages: the
+ * Messages link in the header with its unread count, and the "Message" links
+ * next to author names. Conversations themselves are on inbox.html (see inbox.js).
+ */
+
+// apiRequest, escapeAttribute and getStoredUser are defined in api.js
+// t is defined in i18n.js
+
+// How often to check for new messages
+const MESSAGES_POLL_MS = 30000;
+
+// State of the header badge
+const messagesBadgeState = {
+    unreadCount: 0,
+    pollTimer: null
+};
+
+/**
+ * Get the URL of the conversation with a user
+ * The inbox opens the conversation, starting it if there is none yet.
+ * @param {number} userId - User ID
+ * @returns {string} Relative URL of the inbox
+ */
+function getMessageUrl(userId) {
+    return `inbox.html?user=${encodeURIComponent(userId)}`;
+}
+
+/**
+ * Create HTML for the "Message" link next to an author name
+ * Not shown for the logged-in user's own posts and replies.
+ * @param {Object} item - Post or reply data with author_id and author_name
+ * @returns {string} HTML string, empty if there is no one to message
+ */
+function createMessageLinkHTML(item) {
+    const user = getStoredUser();
+    if (!item.author_id || !user || Number(item.author_id) === Number(user.user_id)) {
+        return '';
+    }
+
+    const label = t('messages.messageUser', { name: item.author_name });
+    return `<a href="${getMessageUrl(Number(item.author_id))}" class="dm-link" aria-label="${escapeAttribute(label)}" title="${escapeAttribute(label)}">${t('messages.message')}</a>`;
+}
+
+/**
+ * Show the unread count on the header's Messages link
+ */
+function renderUnreadMessagesBadge() {
+    const link = document.getElementById('messagesLink');
+    const count = document.getElementById('messagesCount');
+    if (!link || !count) {
+        return;
+    }
+
+    const { unreadCount } = messagesBadgeState;
+    count.textContent = unreadCount > 99 ? '99+' : unreadCount;
+    count.classList.toggle('hidden', unreadCount === 0);
+    if (unreadCount) {
+        link.setAttribute('aria-label', t('messages.unreadLabel', { count: unreadCount }));
+    } else {
+        link.removeAttribute('aria-label');
+    }
+}
+
+/**
+ * Set the unread count, e.g. once the inbox marked a conversation read
+ * @param {number} count - Unread messages across all conversations
+ */
+function setUnreadMessagesCount(count) {
+    messagesBadgeState.unreadCount = Math.max(0, Number(count) || 0);
+    renderUnreadMessagesBadge();
+}
+
+/**
+ * Load the number of unread messages
+ */
+async function loadUnreadMessagesCount() {
+    try {
+        const data = await apiRequest('messages/unread-count.php');
+
+        if (data.success) {
+            setUnreadMessagesCount(data.data.unread_count);
+        } else {
+            console.error('Load unread messages error:', data.message);
+        }
+
+    } catch (error) {
+        // Like the notification bell, the badge stays out of the user's way
+        console.error('Load unread messages error:', error);
+    }
+}
+
+/**
+ * Set up the Messages link in the header
+ * Call once the user is authenticated.
+ * @param {AbortSignal} signal - Stops polling when the view is left
+ */
+function initMessagesBadge(signal) {
+    if (!document.getElementById('messagesLink')) {
+        return;
+    }
+
+    renderUnreadMessagesBadge();
+    loadUnreadMessagesCount();
+
+    const clearPollTimer = () => clearInterval(messagesBadgeState.pollTimer);
+    clearPollTimer();
+    messagesBadgeState.pollTimer = setInterval(loadUnreadMessagesCount, MESSAGES_POLL_MS);
+    window.addEventListener('sessionexpired', clearPollTimer, { signal });
+    signal.addEventListener('abort', clearPollTimer);
+}
@@ -0,0 +1,278 @@
+/**
+ * Drafts Module
+ *
+ * Autosaves the create post form to localStorage while the user types,
+ * so nothing is lost when they leave the page or their session expires.
+ * Drafts are kept per user, restored when the forum opens, and listed so
+ * several can be resumed or discarded.
+ */
+
+// escapeHtml and escapeAttribute are defined in api.js
+// formatDate is defined in posts.js
+// t is defined in i18n.js
+
+// localStorage key prefix; the user ID is appended
+const DRAFTS_KEY_PREFIX = 'postDrafts:';
+
+// Oldest drafts are dropped beyond this many
+const MAX_DRAFTS = 20;
+
+// Wait for a pause in typing before saving
+const DRAFT_SAVE_DELAY_MS = 500;
+
+// Form being autosaved and the draft it currently holds
+const draftsState = {
+    form: null,
+    storageKey: '',
+    currentId: null,
+    saveTimer: null
+};
+
+/**
+ * Read the saved drafts
+ * @returns {Array<Object>} Drafts, most recently saved first
+ */
+function loadDrafts() {
+    try {
+        const drafts = JSON.parse(localStorage.getItem(draftsState.storageKey)) || [];
+        return drafts.sort((a, b) => b.updated_at.localeCompare(a.updated_at));
+    } catch (error) {
+        return [];
+    }
+}
+
+/**
+ * Write the drafts back to localStorage
+ * @param {Array<Object>} drafts - Drafts, most recently saved first
+ */
+function storeDrafts(drafts) {
+    try {
+        localStorage.setItem(draftsState.storageKey, JSON.stringify(drafts.slice(0, MAX_DRAFTS)));
+    } catch (error) {
+        // Storage full or disabled; the form still works, just without autosave
+        console.error('Save draft error:', error);
+    }
+}
+
+/**
+ * Read the draft fields from the form
+ * @returns {Object} title, content, category_id and tags as typed
+ */
+function readDraftFields() {
+    const elements = draftsState.form.elements;
+    return {
+        title: elements.title.value,
+        content: elements.content.value,
+        category_id: elements.category.value,
+        tags: elements.tags.value
+    };
+}
+
+/**
+ * Save the form as the current draft now
+ * An emptied form removes its draft.
+ */
+function saveCurrentDraft() {
+    clearTimeout(draftsState.saveTimer);
+
+    const fields = readDraftFields();
+    const isEmpty = !fields.title.trim() && !fields.content.trim() && !fields.tags.trim();
+    const drafts = loadDrafts().filter(draft => draft.draft_id !== draftsState.currentId);
+
+    if (isEmpty) {
+        draftsState.currentId = null;
+        storeDrafts(drafts);
+        renderDraftsList();
+        return;
+    }
+
+    if (!draftsState.currentId) {
+        draftsState.currentId = `draft-${Date.now()}`;
+    }
+
+    drafts.unshift({ draft_id: draftsState.currentId, ...fields, updated_at: new Date().toISOString() });
+    storeDrafts(drafts);
+    renderDraftsList();
+
+    document.getElementById('draftStatus').textContent = t('drafts.saved');
+}
+
+/**
+ * Save the current draft once typing pauses
+ */
+function scheduleDraftSave() {
+    clearTimeout(draftsState.saveTimer);
+    document.getElementById('draftStatus').textContent = '';
+    draftsState.saveTimer = setTimeout(saveCurrentDraft, DRAFT_SAVE_DELAY_MS);
+}
+
+/**
+ * Put a draft into the form
+ * @param {Object} draft - Saved draft
+ */
+function fillDraftForm(draft) {
+    const elements = draftsState.form.elements;
+    elements.title.value = draft.title;
+    elements.content.value = draft.content;
+    elements.tags.value = draft.tags;
+    elements.category.value = draft.category_id;
+    draftsState.currentId = draft.draft_id;
+    refreshDraftFormCounters();
+}
+
+/**
+ * Let the character counters catch up after the form was filled in code
+ * The autosave these input events would trigger is cancelled, as nothing was typed.
+ */
+function refreshDraftFormCounters() {
+    const elements = draftsState.form.elements;
+    elements.title.dispatchEvent(new Event('input', { bubbles: true }));
+    elements.content.dispatchEvent(new Event('input', { bubbles: true }));
+    clearTimeout(draftsState.saveTimer);
+}
+
+/**
+ * Empty the form without touching the saved drafts
+ */
+function resetDraftForm() {
+    draftsState.currentId = null;
+    draftsState.form.reset();
+    refreshDraftFormCounters();
+}
+
+/**
+ * Select the current draft's subject again
+ * Needed once the category picker has been filled, as it starts out empty.
+ */
+function restoreDraftCategory() {
+    const draft = loadDrafts().find(item => item.draft_id === draftsState.currentId);
+    if (draft) {
+        draftsState.form.elements.category.value = draft.category_id;
+    }
+}
+
+/**
+ * Render the list of saved drafts
+ */
+function renderDraftsList() {
+    const panel = document.getElementById('draftsPanel');
+    const drafts = loadDrafts();
+
+    panel.classList.toggle('hidden', drafts.length === 0);
+    document.getElementById('draftsCount').textContent = drafts.length;
+
+    document.getElementById('draftsList').innerHTML = drafts.map(draft => {
+        const current = draft.draft_id === draftsState.currentId;
+        const snippet = draft.content.trim().slice(0, 80);
+
+        return `
+            <li class="draft-item${current ? ' current' : ''}" data-draft-id="${escapeAttribute(draft.draft_id)}">
+                <div class="draft-summary">
+                    <strong>${escapeHtml(draft.title.trim() || t('drafts.untitled'))}</strong>
+                    <span class="text-muted">${escapeHtml(snippet)}</span>
+                    <small class="text-muted">${t(current ? 'drafts.savedEditing' : 'drafts.savedAt', { date: formatDate(draft.updated_at) })}</small>
+                </div>
+                <div class="draft-actions">
+                    ${current ? '' : `<button type="button" class="btn-link draft-resume">${t('drafts.resume')}</button>`}
+                    <button type="button" class="btn-link draft-discard">${t('common.discard')}</button>
+                </div>
+            </li>
+        `;
+    }).join('');
+}
+
+/**
+ * Switch the form to another saved draft
+ * The draft being edited stays saved.
+ * @param {string} draftId - Draft ID
+ */
+function resumeDraft(draftId) {
+    const draft = loadDrafts().find(item => item.draft_id === draftId);
+    if (!draft) {
+        return;
+    }
+
+    saveCurrentDraft();
+    fillDraftForm(draft);
+    renderDraftsList();
+    draftsState.form.elements.title.focus();
+}
+
+/**
+ * Delete a saved draft, clearing the form if it was being edited
+ * @param {string} draftId - Draft ID
+ */
+function discardDraft(draftId) {
+    if (draftId === draftsState.currentId) {
+        resetDraftForm();
+    }
+
+    storeDrafts(loadDrafts().filter(draft => draft.draft_id !== draftId));
+    renderDraftsList();
+}
+
+/**
+ * Keep the current draft and start a new post in an empty form
+ */
+function startNewDraft() {
+    saveCurrentDraft();
+    resetDraftForm();
+    renderDraftsList();
+    draftsState.form.elements.title.focus();
+}
+
+/**
+ * Forget the current draft once its post has been published or queued
+ */
+function clearCurrentDraft() {
+    clearTimeout(draftsState.saveTimer);
+    storeDrafts(loadDrafts().filter(draft => draft.draft_id !== draftsState.currentId));
+    draftsState.currentId = null;
+    document.getElementById('draftStatus').textContent = '';
+    renderDraftsList();
+}
+
+/**
+ * Autosave a post form and restore the latest draft into it
+ * @param {HTMLFormElement} form - Form with title, content, category and tags fields
+ * @param {number} userId - Logged-in user's ID, so drafts stay with their author
+ * @param {AbortSignal} signal - Aborted when the view is left
+ */
+function initDrafts(form, userId, signal) {
+    if (!form) {
+        return;
+    }
+
+    draftsState.form = form;
+    draftsState.storageKey = `${DRAFTS_KEY_PREFIX}${userId}`;
+
+    // Pick up where the user left off
+    const latest = loadDrafts()[0];
+    if (latest) {
+        fillDraftForm(latest);
+        document.getElementById('draftStatus').textContent = t('drafts.restored');
+    }
+    renderDraftsList();
+
+    form.addEventListener('input', scheduleDraftSave);
+    form.addEventListener('change', scheduleDraftSave);
+
+    document.getElementById('draftsList').addEventListener('click', function(e) {
+        const item = e.target.closest('.draft-item');
+        if (!item) {
+            return;
+        }
+
+        if (e.target.closest('.draft-resume')) {
+            resumeDraft(item.dataset.draftId);
+        } else if (e.target.closest('.draft-discard') && confirm(t('drafts.discardConfirm'))) {
+            discardDraft(item.dataset.draftId);
+        }
+    });
+    document.getElementById('newDraftBtn').addEventListener('click', startNewDraft);
+
+    // Save right away before the page or view goes, including the session-expired redirect
+    window.addEventListener('sessionexpired', saveCurrentDraft, { signal });
+    window.addEventListener('pagehide', saveCurrentDraft, { signal });
+    signal.addEventListener('abort', saveCurrentDraft);
+}
@@ -2,234 +2,353 @@
  * Forum Module
  * 
  * Handles forum post creation, listing, and user interactions.
- * Manages authentication state and logout functionality.
  */
 
-// API_BASE_URL is defined in config.js
+// apiRequest, showMessage, toggleLoading and session helpers are defined in api.js
+// createPostHTML, validatePost and isPostHiddenFromUser are defined in posts.js
+// Search filter helpers are defined in search.js
+// Category and tag helpers are defined in categories.js
+// startRealtime and stopRealtime are defined in realtime.js
+// initMentionAutocomplete is defined in mentions.js
+// Offline queue helpers are defined in offline-queue.js
+// Draft helpers are defined in drafts.js
+// Attachment upload helpers are defined in attachments.js
+// initReportActions is defined in reports.js
+// initBookmarkActions is defined in bookmarks.js
+// initPollBuilder, getPollFormData, setPollFormData, togglePollBuilder and initPollVoting are defined in polls.js
+// registerView is defined in router.js
+// t is defined in i18n.js
+
+// Number of posts requested per page
+const POSTS_PAGE_SIZE = 20;
+
+// sessionStorage key for the list position kept while viewing a post
+const LIST_STATE_KEY = 'forumListState';
+
+// Pagination state of the posts list
+const postsState = {
+    filters: getSearchFiltersFromUrl(),
+    nextCursor: null,
+    loading: false,
+    postIds: new Set()
+};
+
+// Logged-in user, set when the view starts
+let currentUser = null;
+
+// Posts announced live but not shown yet, newest first
+const pendingNewPosts = [];
 
 /**
- * Show a message to the user
- * @param {string} message - The message text
- * @param {string} type - Message type: 'success', 'error', or 'info'
+ * Request one page of posts
+ * @param {string|null} cursor - Cursor returned with the previous page, or null for the first page
+ * @param {number} limit - Maximum number of posts to return
+ * @returns {Promise<Object>} Parsed response; next_cursor is null on the last page
  */
-function showMessage(message, type = 'info') {
-    const messageDiv = document.getElementById('message');
-    messageDiv.textContent = message;
-    messageDiv.className = `message message-${type} show`;
-    
-    // Auto-hide after 5 seconds
-    setTimeout(() => {
-        messageDiv.classList.remove('show');
-    }, 5000);
+function fetchPostsPage(cursor, limit = POSTS_PAGE_SIZE) {
+    return apiRequest('posts/list.php', {
+        params: { limit, cursor, ...getSearchParams(postsState.filters, currentUser) }
+    });
 }
 
 /**
- * Show/hide loading spinner
- * @param {boolean} show - Whether to show or hide the spinner
+ * Add posts to the list, skipping any already shown
+ * @param {Array} posts - Post data objects
+ * @param {string} position - 'beforeend' to append, 'afterbegin' to prepend
  */
-function toggleLoading(show) {
-    const loadingDiv = document.getElementById('loading');
-    if (show) {
-        loadingDiv.classList.add('show');
-    } else {
-        loadingDiv.classList.remove('show');
+function renderPosts(posts, position = 'beforeend') {
+    const postsContainer = document.getElementById('postsContainer');
+    const newPosts = posts.filter(post => !postsState.postIds.has(post.post_id));
+
+    const placeholder = postsContainer.querySelector('.no-posts');
+    if (placeholder) {
+        placeholder.remove();
     }
+    
+    newPosts.forEach(post => postsState.postIds.add(post.post_id));
+    const highlight = getSearchTerms(postsState.filters);
+    postsContainer.insertAdjacentHTML(position, newPosts.map(post => createPostHTML(post, { highlight })).join(''));
 }
 
 /**
- * Check if user is authenticated
- * Redirects to login page if not authenticated
+ * Show the "load more" button only while there are more pages
  */
-async function checkAuthentication() {
-    const isLoggedIn = localStorage.getItem('isLoggedIn');
+function updateLoadMoreButton() {
+    const loadMoreBtn = document.getElementById('loadMoreBtn');
+    if (loadMoreBtn) {
+        loadMoreBtn.classList.toggle('hidden', !postsState.nextCursor);
+        loadMoreBtn.disabled = postsState.loading;
+        loadMoreBtn.textContent = postsState.loading ? t('common.loading') : t('common.loadMore');
+    }
+}
+
+/**
+ * Show whether the list holds recent posts or search results
+ */
+function updatePostsHeading() {
+    const heading = document.getElementById('postsHeading');
+    const clearBtn = document.getElementById('clearSearchBtn');
+    const filters = postsState.filters;
+    const category = getCategory(filters.category);
     
-    if (isLoggedIn !== 'true') {
-        // Not logged in locally, redirect to login
-        window.location.href = 'index.html';
-        return false;
+    if (hasSearchQuery(filters)) {
+        heading.textContent = t('forum.searchResults');
+    } else if (filters.tag) {
+        heading.textContent = t('forum.taggedPosts', { tag: filters.tag });
+    } else if (filters.category) {
+        heading.textContent = category ? category.name : t('categories.unnamed');
+    } else {
+        heading.textContent = t('forum.recentPosts');
     }
     
-    // Verify session with backend
+    clearBtn.classList.toggle('hidden', !hasActiveFilters(filters));
+    renderCategoryList(document.getElementById('categoryList'), filters.category);
+}
+
+/**
+ * Load and display the first page of forum posts
+ * @param {number} limit - Number of posts to load (more than one page when restoring the list)
+ */
+async function loadPosts(limit = POSTS_PAGE_SIZE) {
+    const postsContainer = document.getElementById('postsContainer');
+    postsState.nextCursor = null;
+    postsState.loading = true;
+    postsState.postIds.clear();
+    pendingNewPosts.length = 0;
+    updateNewPostsBanner();
+    updateLoadMoreButton();
+    updatePostsHeading();
+    toggleLoading(true);
+    
     try {
-        const response = await fetch(`${API_BASE_URL}/users/profile.php`, {
-            method: 'GET',
-            credentials: 'include'
-        });
+        const data = await fetchPostsPage(null, limit);
         
-        const data = await response.json();
+        toggleLoading(false);
         
-        if (!data.success) {
-            // Session expired or invalid
-            localStorage.removeItem('user');
-            localStorage.removeItem('isLoggedIn');
-            window.location.href = 'index.html';
-            return false;
+        if (data.success) {
+            postsContainer.innerHTML = '';
+            
+            if (data.from_cache) {
+                showMessage(t('forum.showingCached'), 'info');
+            }
+            
+            if (data.data.length === 0) {
+                postsContainer.innerHTML = hasActiveFilters(postsState.filters)
+                    ? `<div class="no-posts">${t('forum.noMatches')}</div>`
+                    : `<div class="no-posts">${t('forum.noPosts')}</div>`;
+            } else {
+                renderPosts(data.data);
+                postsState.nextCursor = data.next_cursor || null;
+            }
+        } else {
+            showMessage(data.message, 'error');
+            postsContainer.innerHTML = `<div class="no-posts">${t('forum.loadFailed')}</div>`;
         }
+        
+    } catch (error) {
+        toggleLoading(false);
+        reportApiError(error, t('api.connectionFailed'));
+        postsContainer.innerHTML = `<div class="no-posts">${t('forum.loadFailed')}</div>`;
+    }
+    
+    postsState.loading = false;
+    updateLoadMoreButton();
+}
 
-        // Display user name in header
-        displayUserName(data.data.name);
-
-        return true;
+/**
+ * Load the next page of posts and append it to the list
+ */
+async function loadMorePosts() {
+    if (postsState.loading || !postsState.nextCursor) {
+        return;
+    }
+    
+    postsState.loading = true;
+    updateLoadMoreButton();
+    
+    try {
+        const data = await fetchPostsPage(postsState.nextCursor);
+        
+        if (data.success) {
+            renderPosts(data.data);
+            postsState.nextCursor = data.next_cursor || null;
+        } else {
+            showMessage(data.message, 'error');
+        }
         
     } catch (error) {
-        console.error('Authentication check error:', error);
-        showMessage('Failed to verify authentication', 'error');
-        return false;
+        reportApiError(error, t('forum.loadMoreFailed'));
     }
+    
+    postsState.loading = false;
+    updateLoadMoreButton();
 }
 
 /**
- * Display user name in header
- * @param {string} name - User's name
+ * Load more posts automatically when the end of the list scrolls into view
+ * The "load more" button stays as a fallback.
+ * @param {AbortSignal} signal - Stops watching when the view is left
  */
-function displayUserName(name) {
-    const userNameElement = document.getElementById('userName');
-    if (userNameElement && name) {
-        userNameElement.textContent = name;
+function initInfiniteScroll(signal) {
+    const sentinel = document.getElementById('postsSentinel');
+    if (!sentinel || !('IntersectionObserver' in window)) {
+        return;
     }
+    
+    const observer = new IntersectionObserver(entries => {
+        if (entries.some(entry => entry.isIntersecting)) {
+            loadMorePosts();
+        }
+    }, { rootMargin: '400px' });
+    
+    observer.observe(sentinel);
+    signal.addEventListener('abort', () => observer.disconnect());
+}
+
+/**
+ * Remember how much of the list is loaded and where the user scrolled to,
+ * so coming back from a post shows the same place
+ */
+function saveListState() {
+    sessionStorage.setItem(LIST_STATE_KEY, JSON.stringify({
+        count: postsState.postIds.size,
+        scrollY: window.scrollY
+    }));
 }
 
 /**
- * Handle user logout
+ * Load the posts list, restoring the previous position if there is one
  */
-async function handleLogout() {
+async function restorePostsList() {
+    let state = null;
     try {
-        const response = await fetch(`${API_BASE_URL}/auth/logout.php`, {
-            method: 'POST',
-            credentials: 'include'
-        });
-        
-        const data = await response.json();
-        
-        // Clear local storage
-        localStorage.removeItem('user');
-        localStorage.removeItem('isLoggedIn');
-        
-        // Redirect to login page
-        window.location.href = 'index.html';
-        
+        state = JSON.parse(sessionStorage.getItem(LIST_STATE_KEY));
     } catch (error) {
-        console.error('Logout error:', error);
-        // Still redirect even if API call fails
-        localStorage.removeItem('user');
-        localStorage.removeItem('isLoggedIn');
-        window.location.href = 'index.html';
+        state = null;
     }
+    sessionStorage.removeItem(LIST_STATE_KEY);
+    
+    if (!state) {
+        await loadPosts();
+        return;
+    }
+    
+    await loadPosts(Math.max(state.count, POSTS_PAGE_SIZE));
+    window.scrollTo(0, state.scrollY);
 }
 
 /**
- * Update character count for text inputs
- * @param {HTMLElement} input - The input element
- * @param {HTMLElement} counter - The counter element
+ * Handle search form submission
+ * @param {Event} event - Form submit event
  */
-function updateCharCount(input, counter) {
-    const currentLength = input.value.length;
-    counter.textContent = currentLength;
+function handleSearch(event) {
+    event.preventDefault();
+    
+    const filters = readSearchForm(postsState.filters);
+    const validationError = validateSearchFilters(filters);
+    if (validationError) {
+        showMessage(validationError, 'error');
+        return;
+    }
+    
+    postsState.filters = filters;
+    setSearchFiltersInUrl(filters);
+    loadPosts();
 }
 
 /**
- * Format date for display
- * @param {string} dateString - ISO date string
- * @returns {string} Formatted date string
+ * Clear all search filters and show recent posts again
  */
-function formatDate(dateString) {
-    const date = new Date(dateString);
-    const now = new Date();
-    const diffMs = now - date;
-    const diffMins = Math.floor(diffMs / 60000);
-    const diffHours = Math.floor(diffMs / 3600000);
-    const diffDays = Math.floor(diffMs / 86400000);
-    
-    if (diffMins < 1) {
-        return 'Just now';
-    } else if (diffMins < 60) {
-        return `${diffMins} minute${diffMins > 1 ? 's' : ''} ago`;
-    } else if (diffHours < 24) {
-        return `${diffHours} hour${diffHours > 1 ? 's' : ''} ago`;
-    } else if (diffDays < 7) {
-        return `${diffDays} day${diffDays > 1 ? 's' : ''} ago`;
-    } else {
-        return date.toLocaleDateString('en-US', { 
-            year: 'numeric', 
-            month: 'short', 
-            day: 'numeric' 
-        });
-    }
+function clearSearch() {
+    document.getElementById('searchForm').reset();
+    postsState.filters = readSearchForm({ sort: postsState.filters.sort });
+    setSearchFiltersInUrl(postsState.filters);
+    loadPosts();
 }
 
 /**
- * Create HTML for a single post
- * @param {Object} post - Post data object
- * @returns {string} HTML string for the post
+ * Filter the list by category or tag, keeping the other search filters
+ * @param {Object} change - { category } or { tag }; an empty value removes that filter
  */
-function createPostHTML(post) {
-    return `
-        <div class="post">
-            <div class="post-header">
-                <div>
-                    <h3 class="post-title">${escapeHtml(post.title)}</h3>
-                    <div class="post-meta">
-                        <span class="post-author">${escapeHtml(post.author_name)}</span>
-                        <span class="post-date">${formatDate(post.created_at)}</span>
-                    </div>
-                </div>
-            </div>
-            <div class="post-content">${escapeHtml(post.content)}</div>
-        </div>
-    `;
+function applyBrowseFilter(change) {
+    postsState.filters = { ...postsState.filters, ...change };
+    setSearchFiltersInUrl(postsState.filters);
+    loadPosts();
+    document.getElementById('postsHeading').scrollIntoView({ behavior: 'smooth' });
 }
 
 /**
- * Escape HTML to prevent XSS
- * @param {string} text - Text to escape
- * @returns {string} Escaped text
+ * Handle a change of the sort selector
+ * @param {Event} event - Change event
  */
-function escapeHtml(text) {
-    const div = document.createElement('div');
-    div.textContent = text;
-    return div.innerHTML;
+function handleSortChange(event) {
+    postsState.filters = { ...postsState.filters, sort: event.target.value };
+    setSearchFiltersInUrl(postsState.filters);
+    loadPosts();
 }
 
 /**
- * Load and display all forum posts
+ * Handle clicks on category links and post chips
+ * Filters in place instead of reloading the page.
+ * @param {Event} event - Click event
  */
-async function loadPosts() {
-    const postsContainer = document.getElementById('postsContainer');
-    toggleLoading(true);
+function handleBrowseClick(event) {
+    const link = event.target.closest('.category-link, .chip');
+    if (!link) {
+        return;
+    }
     
-    try {
-        const response = await fetch(`${API_BASE_URL}/posts/list.php`, {
-            method: 'GET',
-            credentials: 'include'
-        });
-        
-        const data = await response.json();
-        
-        toggleLoading(false);
-        
-        if (data.success) {
-            if (data.data.length === 0) {
-                postsContainer.innerHTML = '<div class="no-posts">No posts yet. Be the first to share your thoughts!</div>';
-            } else {
-                // Create HTML for all posts
-                const postsHTML = data.data.map(post => createPostHTML(post)).join('');
-                postsContainer.innerHTML = postsHTML;
-            }
-        } else {
-            showMessage(data.message, 'error');
-            postsContainer.innerHTML = '<div class="no-posts">Failed to load posts</div>';
-        }
-        
-    } catch (error) {
-        toggleLoading(false);
-        console.error('Load posts error:', error);
-        showMessage('Failed to connect to server', 'error');
-        postsContainer.innerHTML = '<div class="no-posts">Failed to load posts</div>';
+    event.preventDefault();
+    if (link.dataset.tag) {
+        applyBrowseFilter({ tag: link.dataset.tag });
+    } else {
+        applyBrowseFilter({ category: link.dataset.categoryId, tag: '' });
+    }
+}
+
+/**
+ * Clear the create form after a post was sent or queued
+ */
+function resetCreatePostForm() {
+    document.getElementById('createPostForm').reset();
+    document.getElementById('titleCount').textContent = '0';
+    document.getElementById('contentCount').textContent = '0';
+    resetAttachments();
+    togglePollBuilder(false);
+}
+
+/**
+ * Show a post the user just published
+ * @param {Object} body - Fields sent to posts/create.php
+ * @param {Object} created - The data returned for the new post
+ */
+function showCreatedPost(body, created) {
+    // Keep the sidebar counts in step
+    loadCategories().then(() => renderCategoryList(document.getElementById('categoryList'), postsState.filters.category));
+    
+    // Show the new post at the top without reloading the list.
+    // A filtered or differently sorted list is reloaded instead, as the post may not belong on top.
+    const listIsDefault = !hasActiveFilters(postsState.filters) && postsState.filters.sort === SORT_MODES[0];
+    if (created && created.post_id && listIsDefault) {
+        const category = getCategory(body.category_id);
+        renderPosts([{
+            author_id: currentUser.user_id,
+            author_name: currentUser.name,
+            reply_count: 0,
+            category_id: body.category_id,
+            category_name: category ? category.name : '',
+            tags: body.tags,
+            attachments: body.attachments,
+            ...created
+        }], 'afterbegin');
+    } else {
+        loadPosts();
     }
 }
 
 /**
  * Handle post creation
+ * Posts that can't reach the server are queued and sent later.
  * @param {Event} event - Form submit event
  */
 async function handleCreatePost(event) {
@@ -238,70 +357,427 @@ async function handleCreatePost(event) {
     // Get form values
     const title = document.getElementById('postTitle').value.trim();
     const content = document.getElementById('postContent').value.trim();
+    const categorySelect = document.getElementById('postCategory');
+    const categoryId = categorySelect.value;
+    const tags = parseTags(document.getElementById('postTags').value);
     
     // Client-side validation
-    if (title.length < 5 || title.length > 200) {
-        showMessage('Title must be between 5 and 200 characters', 'error');
+    const validationError = validatePost(title, content) || validateTags(tags);
+    if (validationError) {
+        showMessage(validationError, 'error');
+        return;
+    }
+    
+    if (categorySelect.required && !categoryId) {
+        showMessage(t('forum.subjectRequired'), 'error');
         return;
     }
     
-    if (content.length < 10 || content.length > 5000) {
-        showMessage('Content must be between 10 and 5000 characters', 'error');
+    if (hasUnfinishedAttachments()) {
+        showMessage(t('attachments.unfinished'), 'error');
+        return;
+    }
+    
+    const { poll, error: pollError } = getPollFormData();
+    if (pollError) {
+        showMessage(pollError, 'error');
+        return;
+    }
+    
+    const body = { title, content, category_id: categoryId ? Number(categoryId) : null, tags };
+    const attachmentIds = getAttachmentIds();
+    if (attachmentIds.length) {
+        body.attachment_ids = attachmentIds;
+    }
+    if (poll) {
+        body.poll = poll;
+    }
+    
+    if (!navigator.onLine) {
+        queueOfflinePost(body);
         return;
     }
     
     try {
-        const response = await fetch(`${API_BASE_URL}/posts/create.php`, {
+        const data = await apiRequest('posts/create.php', {
             method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-            },
-            credentials: 'include',
-            body: JSON.stringify({ title, content })
+            body
         });
         
-        const data = await response.json();
-        
         if (data.success) {
+            const attachments = getUploadedAttachments();
             showMessage(data.message, 'success');
+            clearCurrentDraft();
+            resetCreatePostForm();
+            showCreatedPost({ ...body, attachments }, data.data);
+        } else {
+            showMessage(data.message, 'error');
+        }
+        
+    } catch (error) {
+        // Server unreachable or too slow: keep the post rather than losing it
+        if (error instanceof ApiError && error.status === 0) {
+            queueOfflinePost(body);
+        } else {
+            reportApiError(error, t('forum.createFailed'));
+        }
+    }
+}
+
+/**
+ * Create HTML for a post waiting in the offline queue
+ * @param {Object} queued - Queued post from offline-queue.js
+ * @returns {string} HTML string for the post
+ */
+function createQueuedPostHTML(queued) {
+    const failed = queued.status === 'failed';
+    const statusHTML = failed
+        ? `<span class="queue-status queue-failed">${escapeHtml(t('queue.failed', { error: queued.error || t('queue.rejected') }))}</span>`
+        : `<span class="queue-status queue-pending">${t('queue.pending')}</span>`;
+    
+    return `
+        <div class="post queued-post${failed ? ' queued-post-failed' : ''}" data-queue-id="${Number(queued.queue_id)}">
+            <div class="post-body">
+                <h3 class="post-title">${escapeHtml(queued.title)}</h3>
+                <div class="post-meta">
+                    <span class="post-author">${escapeHtml(currentUser.name)}</span>
+                    ${statusHTML}
+                </div>
+                <div class="post-content markdown">${renderMarkdown(queued.content)}</div>
+            </div>
+            <div class="post-actions">
+                <button type="button" class="btn-link queued-retry">${failed ? t('queue.retry') : t('queue.sendNow')}</button>
+                <button type="button" class="btn-link queued-edit">${t('common.edit')}</button>
+                <button type="button" class="btn-link queued-discard">${t('common.discard')}</button>
+            </div>
+        </div>
+    `;
+}
+
+/**
+ * Show the posts waiting in the offline queue above the list
+ */
+async function renderQueuedPosts() {
+    const container = document.getElementById('queuedPosts');
+    
+    try {
+        const queued = await getQueuedPosts(currentUser.user_id);
+        container.innerHTML = queued.slice().reverse().map(createQueuedPostHTML).join('');
+    } catch (error) {
+        console.error('Offline queue error:', error);
+    }
+}
+
+/**
+ * Queue a post that couldn't be sent
+ * @param {Object} body - Fields for posts/create.php
+ */
+async function queueOfflinePost(body) {
+    try {
+        await queuePost(body, currentUser.user_id);
+    } catch (error) {
+        // Without IndexedDB there is nowhere to keep the post, so leave it in the form
+        console.error('Offline queue error:', error);
+        showMessage(t('queue.unavailable'), 'error');
+        return;
+    }
+    
+    clearCurrentDraft();
+    resetCreatePostForm();
+    showMessage(t('queue.queued'), 'info');
+    renderQueuedPosts();
+}
+
+/**
+ * Send the pending posts of the offline queue, oldest first
+ * Stops at the first one that still can't reach the server.
+ */
+async function syncQueuedPosts() {
+    if (syncQueuedPosts.running) {
+        return;
+    }
+    syncQueuedPosts.running = true;
+    
+    try {
+        const queue = await getQueuedPosts(currentUser.user_id);
+        
+        for (const queued of queue.filter(item => item.status === 'pending')) {
+            const body = { title: queued.title, content: queued.content, category_id: queued.category_id, tags: queued.tags };
+            // Files uploaded before the connection dropped
+            if (queued.attachment_ids && queued.attachment_ids.length) {
+                body.attachment_ids = queued.attachment_ids;
+            }
+            if (queued.poll) {
+                // The poll may have been meant to close before the connection came back
+                if (queued.poll.closes_at && new Date(queued.poll.closes_at) <= new Date()) {
+                    await updateQueuedPost({ ...queued, status: 'failed', error: t('polls.closeDateInPast') });
+                    continue;
+                }
+                body.poll = queued.poll;
+            }
+            let data;
             
-            // Clear form
-            document.getElementById('createPostForm').reset();
-            document.getElementById('titleCount').textContent = '0';
-            document.getElementById('contentCount').textContent = '0';
+            try {
+                data = await apiRequest('posts/create.php', { method: 'POST', body });
+            } catch (error) {
+                // Still unreachable (or the session expired); try again later
+                break;
+            }
             
-            // Reload posts to show the new one
-            loadPosts();
-        } else {
-            if (response.status === 401) {
-                // Session expired
-                showMessage('Session expired. Please login again.', 'error');
-                setTimeout(() => {
-                    localStorage.removeItem('user');
-                    localStorage.removeItem('isLoggedIn');
-                    window.location.href = 'index.html';
-                }, 2000);
+            if (data.success) {
+                await removeQueuedPost(queued.queue_id);
+                showMessage(t('queue.published'), 'success');
+                showCreatedPost(body, data.data);
             } else {
-                showMessage(data.message, 'error');
+                await updateQueuedPost({ ...queued, status: 'failed', error: data.message });
             }
         }
         
     } catch (error) {
-        console.error('Create post error:', error);
-        showMessage('Failed to create post. Please try again.', 'error');
+        console.error('Offline queue error:', error);
     }
+    
+    syncQueuedPosts.running = false;
+    renderQueuedPosts();
 }
 
-// Initialize when page loads
-document.addEventListener('DOMContentLoaded', async function() {
-    // Check authentication
-    const isAuthenticated = await checkAuthentication();
-    if (!isAuthenticated) {
-        return; // Will be redirected by checkAuthentication
+/**
+ * Handle the retry, edit and discard buttons of queued posts
+ * @param {Event} event - Click event
+ */
+async function handleQueuedPostClick(event) {
+    const postElement = event.target.closest('.queued-post');
+    if (!postElement || !event.target.closest('button')) {
+        return;
+    }
+    
+    const queueId = Number(postElement.dataset.queueId);
+    const queued = (await getQueuedPosts(currentUser.user_id)).find(item => item.queue_id === queueId);
+    if (!queued) {
+        return;
     }
     
-    // Load posts
+    if (event.target.closest('.queued-retry')) {
+        await updateQueuedPost({ ...queued, status: 'pending', error: '' });
+        syncQueuedPosts();
+    } else if (event.target.closest('.queued-edit')) {
+        // Move the post back into the form, keeping whatever draft was there
+        startNewDraft();
+        document.getElementById('postTitle').value = queued.title;
+        document.getElementById('postContent').value = queued.content;
+        document.getElementById('postCategory').value = queued.category_id || '';
+        document.getElementById('postTags').value = (queued.tags || []).join(', ');
+        setPollFormData(queued.poll || null);
+        updateCharCount(document.getElementById('postTitle'), document.getElementById('titleCount'));
+        updateCharCount(document.getElementById('postContent'), document.getElementById('contentCount'));
+        
+        await removeQueuedPost(queueId);
+        renderQueuedPosts();
+        saveCurrentDraft();
+        document.getElementById('postTitle').focus();
+    } else if (event.target.closest('.queued-discard') && confirm(t('queue.discardConfirm'))) {
+        await removeQueuedPost(queueId);
+        renderQueuedPosts();
+    }
+}
+
+/**
+ * Show how many live posts are waiting, or hide the banner when none are
+ */
+function updateNewPostsBanner() {
+    const banner = document.getElementById('newPostsBanner');
+    if (!banner) {
+        return;
+    }
+
+    const count = pendingNewPosts.length;
+    banner.textContent = t('forum.newPostsBanner', { count });
+    banner.classList.toggle('hidden', count === 0);
+}
+
+/**
+ * Show the posts waiting behind the banner
+ * The default list gets them on top; a filtered or sorted list is reloaded,
+ * as the server decides where they belong.
+ */
+function showNewPosts() {
+    const listIsDefault = !hasActiveFilters(postsState.filters) && postsState.filters.sort === SORT_MODES[0];
+
+    if (listIsDefault) {
+        renderPosts(pendingNewPosts.splice(0), 'afterbegin');
+        updateNewPostsBanner();
+    } else {
+        loadPosts();
+    }
+
+    document.getElementById('postsHeading').scrollIntoView({ behavior: 'smooth' });
+}
+
+/**
+ * Apply a live event to the posts list
+ * @param {string} type - Event type, see realtime.js
+ * @param {Object} data - Event data
+ */
+function handleRealtimeEvent(type, data) {
+    const postId = Number(data.post ? data.post.post_id : data.post_id);
+    const postElement = document.querySelector(`#postsContainer .post[data-post-id="${postId}"]`);
+    const pendingIndex = pendingNewPosts.findIndex(post => Number(post.post_id) === postId);
+
+    if (type === 'post_created') {
+        // Our own posts are already added by handleCreatePost
+        const isOwn = Number(data.post.author_id) === Number(currentUser.user_id);
+        if (!isOwn && !postsState.postIds.has(data.post.post_id) && pendingIndex === -1) {
+            pendingNewPosts.unshift(data.post);
+            updateNewPostsBanner();
+        }
+
+    } else if (type === 'post_updated') {
+        if (pendingIndex !== -1) {
+            pendingNewPosts[pendingIndex] = { ...pendingNewPosts[pendingIndex], ...data.post };
+        }
+
+        // Leave a post alone while its author is editing it
+        const entry = renderedPosts.get(postId);
+        if (entry && postElement && !postElement.querySelector('.post-edit-form')) {
+            const post = { ...entry.post, ...data.post };
+            renderedPosts.set(postId, { post, options: entry.options });
+
+            // Hidden or restored by a moderator: the whole card changes
+            const body = postElement.querySelector('.post-body');
+            if (body && Boolean(post.is_hidden) === Boolean(entry.post.is_hidden)) {
+                body.outerHTML = createPostBodyHTML(post, entry.options);
+            } else {
+                postElement.outerHTML = createPostHTML(post, entry.options);
+            }
+        }
+
+    } else if (type === 'post_deleted') {
+        if (pendingIndex !== -1) {
+            pendingNewPosts.splice(pendingIndex, 1);
+            updateNewPostsBanner();
+        }
+
+        // Our own deletions are handled by post-actions.js, with their undo window
+        if (postElement && !pendingDeletes.has(postId)) {
+            postElement.remove();
+            renderedPosts.delete(postId);
+            postsState.postIds.delete(postId);
+        }
+
+    } else if (type === 'reply_created') {
+        const entry = renderedPosts.get(postId);
+        const isOwnReply = data.reply && Number(data.reply.author_id) === Number(currentUser.user_id);
+        // A hidden post shows as a placeholder, with no count or thread to update
+        if (!entry || !postElement || isOwnReply || isPostHiddenFromUser(entry.post)) {
+            return;
+        }
+
+        const count = data.reply_count !== undefined ? Number(data.reply_count) : (Number(entry.post.reply_count) || 0) + 1;
+        entry.post.reply_count = count;
+        updateReplyCount(postElement, count);
+
+        // Refresh an open thread, unless that would wipe a reply being typed
+        const thread = postElement.querySelector('.reply-thread');
+        const typing = Array.from(thread.querySelectorAll('textarea')).some(textarea => textarea.value.trim());
+        if (thread.dataset.loaded === 'true') {
+            if (!thread.classList.contains('hidden') && !typing) {
+                loadReplies(postElement);
+            } else {
+                thread.dataset.loaded = 'false';
+            }
+        }
+    }
+}
+
+/**
+ * Follow back/forward between searches
+ */
+function handleForumUrlChange() {
+    postsState.filters = getSearchFiltersFromUrl();
+    fillSearchForm(postsState.filters);
     loadPosts();
+}
+
+/**
+ * Start the forum view
+ * @param {Object} context - View context from the router: user and signal
+ */
+function initForumView({ user, signal }) {
+    currentUser = user;
+    
+    // Categories for the sidebar and the create form
+    loadCategories().then(() => {
+        populateCategorySelect(document.getElementById('postCategory'));
+        restoreDraftCategory();
+        updatePostsHeading();
+    });
+    document.getElementById('categoryList').addEventListener('click', handleBrowseClick);
+    
+    // Search form, filled from the URL
+    postsState.filters = getSearchFiltersFromUrl();
+    fillSearchForm(postsState.filters);
+    document.getElementById('searchForm').addEventListener('submit', handleSearch);
+    document.getElementById('clearSearchBtn').addEventListener('click', clearSearch);
+    document.getElementById('sortSelect').addEventListener('change', handleSortChange);
+    
+    // Load posts, returning to the previous position when coming back from a post
+    restorePostsList();
+    initInfiniteScroll(signal);
+    
+    const postsContainer = document.getElementById('postsContainer');
+    postsContainer.addEventListener('click', function(e) {
+        if (e.target.closest('.post-link')) {
+            saveListState();
+        }
+    });
+    
+    // Category and tag chips filter the list
+    postsContainer.addEventListener('click', handleBrowseClick);
+    
+    // Expandable reply threads on each post
+    initReplyThreads(postsContainer);
+    
+    // Votes on posts and replies
+    initVoting(postsContainer);
+    
+    // Edit and delete on the user's own posts
+    initPostActions(postsContainer, {
+        onDeleted: function(postId) {
+            postsState.postIds.delete(postId);
+            if (postsState.postIds.size === 0 && !postsState.nextCursor) {
+                postsContainer.innerHTML = `<div class="no-posts">${t('forum.noPosts')}</div>`;
+            }
+        },
+        signal
+    });
+    
+    // Reporting other people's posts to the moderators; saving and following posts
+    initReportActions(postsContainer);
+    initBookmarkActions(postsContainer);
+    initPollVoting(postsContainer);
+    
+    // Live updates, with new posts held behind a banner so the list doesn't jump
+    document.getElementById('newPostsBanner').addEventListener('click', showNewPosts);
+    startRealtime(handleRealtimeEvent);
+    window.addEventListener('sessionexpired', stopRealtime, { signal });
+    signal.addEventListener('abort', stopRealtime);
+    
+    // Posts written offline: show them, send them when the connection is back
+    document.getElementById('queuedPosts').addEventListener('click', handleQueuedPostClick);
+    renderQueuedPosts().then(syncQueuedPosts);
+    window.addEventListener('online', function() {
+        showMessage(t('forum.online'), 'success');
+        syncQueuedPosts();
+    }, { signal });
+    window.addEventListener('offline', function() {
+        showMessage(t('forum.offline'), 'info');
+    }, { signal });
+    
+    // "Load more" fallback for infinite scroll
+    const loadMoreBtn = document.getElementById('loadMoreBtn');
+    if (loadMoreBtn) {
+        loadMoreBtn.addEventListener('click', loadMorePosts);
+    }
     
     // Attach form submit handler
     const createPostForm = document.getElementById('createPostForm');
@@ -309,15 +785,6 @@ document.addEventListener('DOMContentLoaded', async function() {
         createPostForm.addEventListener('submit', handleCreatePost);
     }
     
-    // Attach logout handler
-    const logoutBtn = document.getElementById('logoutBtn');
-    if (logoutBtn) {
-        logoutBtn.addEventListener('click', function(e) {
-            e.preventDefault();
-            handleLogout();
-        });
-    }
-    
     // Character count for title
     const titleInput = document.getElementById('postTitle');
     const titleCounter = document.getElementById('titleCount');
@@ -327,6 +794,20 @@ document.addEventListener('DOMContentLoaded', async function() {
         });
     }
     
+    // Write/preview toggle for the Markdown content
+    initMarkdownEditor(
+        document.getElementById('postEditorTabs'),
+        document.getElementById('postContent'),
+        document.getElementById('postPreview')
+    );
+    
+    // @mention suggestions while writing a post
+    initMentionAutocomplete(document.getElementById('postContent'));
+    
+    // Images and PDFs, uploaded as soon as they are added
+    initAttachmentUploads(signal);
+    initPollBuilder();
+    
     // Character count for content
     const contentInput = document.getElementById('postContent');
     const contentCounter = document.getElementById('contentCount');
@@ -335,4 +816,9 @@ document.addEventListener('DOMContentLoaded', async function() {
             updateCharCount(contentInput, contentCounter);
         });
     }
-});
+    
+    // Autosaved drafts, set up last so restoring one updates the counters
+    initDrafts(createPostForm, currentUser.user_id, signal);
+}
+
+registerView('forum', initForumView, { update: handleForumUrlChange });
@@ -0,0 +1,202 @@
+/**
+ * Internationalization Module
+ *
+ * Translates the interface into the user's language. Texts live in the
+ * catalogs of messages.js and are looked up by key with t(). Static page
+ * text is marked in the HTML with data-i18n attributes and translated
+ * whenever a page is shown. Dates and relative times use the Intl APIs.
+ *
+ * The locale is chosen with the switcher in the header and remembered in
+ * localStorage; on a first visit the browser's language decides.
+ * Load after config.js and messages.js, before api.js.
+ */
+
+// MESSAGES is defined in messages.js
+
+// Locales with a catalog; the first one is the fallback for missing texts
+const SUPPORTED_LOCALES = ['en', 'es'];
+
+// Used when the browser prefers none of the supported locales
+const DEFAULT_LOCALE = 'es';
+
+// localStorage key remembering the chosen locale
+const LOCALE_KEY = 'locale';
+
+// Relative times switch unit at these ages, in seconds; older dates are shown in full
+const RELATIVE_TIME_STEPS = [
+    { unit: 'minute', seconds: 60, limit: 3600 },
+    { unit: 'hour', seconds: 3600, limit: 86400 },
+    { unit: 'day', seconds: 86400, limit: 7 * 86400 }
+];
+
+/**
+ * Pick the locale to start with
+ * @returns {string} The saved locale, else the browser's preferred supported one
+ */
+function detectLocale() {
+    const saved = localStorage.getItem(LOCALE_KEY);
+    if (SUPPORTED_LOCALES.includes(saved)) {
+        return saved;
+    }
+
+    const preferred = (navigator.languages || [navigator.language])
+        .map(language => String(language).slice(0, 2).toLowerCase())
+        .find(language => SUPPORTED_LOCALES.includes(language));
+    return preferred || DEFAULT_LOCALE;
+}
+
+// Locale in use
+let currentLocale = detectLocale();
+
+/**
+ * Get the locale in use
+ * @returns {string} Locale code, e.g. 'es'
+ */
+function getLocale() {
+    return currentLocale;
+}
+
+/**
+ * Translate a text
+ * Placeholders such as {name} are filled from params. Plural texts have a
+ * form per Intl.PluralRules category ('one', 'other', ...) chosen by params.count.
+ * @param {string} key - Message key, e.g. 'auth.loginTitle'
+ * @param {Object} params - Values for the placeholders
+ * @returns {string} Translated text, or the key if no catalog has it
+ */
+function t(key, params = {}) {
+    let message = MESSAGES[currentLocale][key];
+    if (message === undefined) {
+        message = MESSAGES[SUPPORTED_LOCALES[0]][key];
+    }
+    if (message === undefined) {
+        console.warn(`Missing translation: ${key}`);
+        return key;
+    }
+
+    if (typeof message === 'object') {
+        const form = new Intl.PluralRules(currentLocale).select(Number(params.count));
+        message = message[form] || message.other;
+    }
+
+    return message.replace(/\{(\w+)\}/g, (placeholder, name) => (
+        params[name] !== undefined ? String(params[name]) : placeholder
+    ));
+}
+
+/**
+ * Format a date in the current locale
+ * @param {Date|string} date - Date, or a date string the Date constructor accepts
+ * @param {Object} options - Intl.DateTimeFormat options
+ * @returns {string} Formatted date
+ */
+function formatLocalDate(date, options = {}) {
+    return new Intl.DateTimeFormat(currentLocale, options).format(new Date(date));
+}
+
+/**
+ * Format a past date relative to now, e.g. "5 minutes ago" or "hace 5 minutos"
+ * Dates older than a week are shown as a short date instead.
+ * @param {Date|string} date - Date, or a date string the Date constructor accepts
+ * @returns {string} Formatted date
+ */
+function formatRelativeTime(date) {
+    const elapsedSeconds = (Date.now() - new Date(date)) / 1000;
+    if (elapsedSeconds < 60) {
+        return t('time.justNow');
+    }
+
+    const step = RELATIVE_TIME_STEPS.find(item => elapsedSeconds < item.limit);
+    if (!step) {
+        return formatLocalDate(date, { year: 'numeric', month: 'short', day: 'numeric' });
+    }
+
+    const formatter = new Intl.RelativeTimeFormat(currentLocale, { numeric: 'auto' });
+    return formatter.format(-Math.floor(elapsedSeconds / step.seconds), step.unit);
+}
+
+/**
+ * Format a file size for the current locale, e.g. "1.5 MB"
+ * @param {number} bytes - Size in bytes
+ * @returns {string} Formatted size
+ */
+function formatFileSize(bytes) {
+    const units = ['byte', 'kilobyte', 'megabyte', 'gigabyte'];
+    let value = Number(bytes) || 0;
+    let unit = 0;
+    while (value >= 1024 && unit < units.length - 1) {
+        value /= 1024;
+        unit++;
+    }
+
+    const formatter = new Intl.NumberFormat(currentLocale, {
+        style: 'unit',
+        unit: units[unit],
+        unitDisplay: 'short',
+        maximumFractionDigits: unit > 0 ? 1 : 0
+    });
+    return formatter.format(value);
+}
+
+/**
+ * Translate the static text of a page
+ * Elements name their message with data-i18n (text), data-i18n-html (markup
+ * from the catalog, never user content), data-i18n-placeholder,
+ * data-i18n-aria-label or data-i18n-alt.
+ * @param {Document|HTMLElement} root - Page or element to translate
+ */
+function applyTranslations(root = document) {
+    root.querySelectorAll('[data-i18n]').forEach(element => {
+        element.textContent = t(element.dataset.i18n);
+    });
+    root.querySelectorAll('[data-i18n-html]').forEach(element => {
+        element.innerHTML = t(element.dataset.i18nHtml);
+    });
+    root.querySelectorAll('[data-i18n-placeholder]').forEach(element => {
+        element.setAttribute('placeholder', t(element.dataset.i18nPlaceholder));
+    });
+    root.querySelectorAll('[data-i18n-aria-label]').forEach(element => {
+        element.setAttribute('aria-label', t(element.dataset.i18nAriaLabel));
+    });
+    root.querySelectorAll('[data-i18n-alt]').forEach(element => {
+        element.setAttribute('alt', t(element.dataset.i18nAlt));
+    });
+    root.querySelectorAll('.locale-select').forEach(select => {
+        select.value = currentLocale;
+    });
+}
+
+/**
+ * Switch to another locale and remember it
+ * Views re-render through the 'localechange' window event (see router.js).
+ * @param {string} locale - Locale code
+ */
+function setLocale(locale) {
+    if (!SUPPORTED_LOCALES.includes(locale) || locale === currentLocale) {
+        return;
+    }
+
+    currentLocale = locale;
+    localStorage.setItem(LOCALE_KEY, locale);
+    document.documentElement.lang = locale;
+    window.dispatchEvent(new CustomEvent('localechange', { detail: locale }));
+}
+
+// Language switcher in the header; delegated, as the header is replaced between views
+document.addEventListener('change', function(e) {
+    if (e.target.classList.contains('locale-select')) {
+        setLocale(e.target.value);
+    }
+});
+
+// Follow a language change made in another tab
+window.addEventListener('storage', function(e) {
+    if (e.key === LOCALE_KEY && e.newValue) {
+        setLocale(e.newValue);
+    }
+});
+
+document.documentElement.lang = currentLocale;
+document.addEventListener('DOMContentLoaded', function() {
+    applyTranslations();
+});
@@ -0,0 +1,558 @@
+/**
+ * Inbox Module
+ *
+ * One-to-one direct messages (inbox.html): the user's conversations, most
+ * recent first, and the open conversation, with older messages paged in on
+ * request. inbox.html?conversation=123 opens a conversation;
+ * inbox.html?user=45, where the "Message" links go, opens the one with that
+ * user, starting it if needed. While the page is open the conversation is
+ * checked for new messages every few seconds.
+ */
+
+// apiRequest, showMessage, reportApiError, toggleLoading, escapeHtml, escapeAttribute, updateCharCount and getStoredUser are defined in api.js
+// formatDate and getProfileUrl are defined in posts.js
+// setUnreadMessagesCount and loadUnreadMessagesCount are defined in direct-messages.js
+// registerView is defined in router.js
+// t and formatLocalDate are defined in i18n.js
+
+// Number of conversations requested per page
+const CONVERSATIONS_PAGE_SIZE = 20;
+
+// Number of messages requested per page of a conversation
+const MESSAGES_PAGE_SIZE = 30;
+
+// Longest message accepted by the backend
+const MESSAGE_MAX_LENGTH = 2000;
+
+// How often the open conversation and the list are checked for new messages
+const INBOX_POLL_MS = 10000;
+
+// Conversations and the open conversation
+const inboxState = {
+    conversations: [],
+    nextCursor: null,
+    loadingConversations: false,
+    conversationId: null,
+    otherUser: null,
+    messages: [],
+    olderCursor: null,
+    loadingOlder: false,
+    sending: false,
+    requestId: 0
+};
+
+/**
+ * Read which conversation to open from the page URL
+ * @returns {{conversationId: number|null, userId: number|null}}
+ */
+function getInboxTargetFromUrl() {
+    const params = new URLSearchParams(window.location.search);
+    return {
+        conversationId: Number(params.get('conversation')) || null,
+        userId: Number(params.get('user')) || null
+    };
+}
+
+/**
+ * Check whether the logged-in user sent a message
+ * @param {Object} message - Message data with sender_id
+ * @returns {boolean}
+ */
+function isOwnMessage(message) {
+    const user = getStoredUser();
+    return Boolean(user) && Number(message.sender_id) === Number(user.user_id);
+}
+
+/**
+ * Create HTML for one entry of the conversations list
+ * @param {Object} conversation - Conversation with other_user, last_message and unread_count
+ * @returns {string} HTML string
+ */
+function createConversationItemHTML(conversation) {
+    const id = Number(conversation.conversation_id);
+    const unread = Number(conversation.unread_count) || 0;
+    const last = conversation.last_message;
+    const active = id === inboxState.conversationId;
+
+    let preview = '';
+    if (last) {
+        preview = isOwnMessage(last)
+            ? t('messages.youPrefix', { text: escapeHtml(last.body) })
+            : escapeHtml(last.body);
+    }
+
+    return `
+        <li class="dm-conversation-item${unread ? ' unread' : ''}${active ? ' active' : ''}" data-conversation-id="${id}">
+            <a href="inbox.html?conversation=${id}" class="dm-conversation-link"${active ? ' aria-current="true"' : ''}>
+                <span class="dm-conversation-name">${escapeHtml(conversation.other_user.name)}</span>
+                ${unread ? `<span class="messages-count" aria-label="${escapeAttribute(t('messages.unreadLabel', { count: unread }))}">${unread > 99 ? '99+' : unread}</span>` : ''}
+                <span class="dm-conversation-preview">${preview}</span>
+                ${last ? `<span class="dm-conversation-date">${formatDate(last.created_at)}</span>` : ''}
+            </a>
+        </li>
+    `;
+}
+
+/**
+ * Render the conversations list
+ */
+function renderConversations() {
+    const list = document.getElementById('conversationList');
+    list.innerHTML = inboxState.conversations.length
+        ? inboxState.conversations.map(createConversationItemHTML).join('')
+        : `<li class="text-muted">${t('messages.noConversations')}</li>`;
+
+    const loadMoreBtn = document.getElementById('loadMoreConversationsBtn');
+    loadMoreBtn.classList.toggle('hidden', !inboxState.nextCursor);
+    loadMoreBtn.disabled = inboxState.loadingConversations;
+    loadMoreBtn.textContent = inboxState.loadingConversations ? t('common.loading') : t('common.loadMore');
+}
+
+/**
+ * Put conversations at the top of the list, replacing older copies of them
+ * @param {Array<Object>} conversations - Most recent first
+ */
+function mergeConversations(conversations) {
+    const ids = new Set(conversations.map(conversation => Number(conversation.conversation_id)));
+    inboxState.conversations = conversations.concat(
+        inboxState.conversations.filter(conversation => !ids.has(Number(conversation.conversation_id)))
+    );
+}
+
+/**
+ * Load a page of conversations
+ * @param {Object} options - Options
+ * @param {boolean} options.append - Add the next page instead of refreshing the first one
+ * @param {boolean} options.quiet - Log failures instead of showing them, when polling
+ */
+async function loadConversations({ append = false, quiet = false } = {}) {
+    if (inboxState.loadingConversations || (append && !inboxState.nextCursor)) {
+        return;
+    }
+
+    inboxState.loadingConversations = true;
+    renderConversations();
+
+    try {
+        const data = await apiRequest('messages/conversations.php', {
+            params: {
+                limit: CONVERSATIONS_PAGE_SIZE,
+                cursor: append ? inboxState.nextCursor : null
+            }
+        });
+
+        if (data.success) {
+            if (append) {
+                inboxState.conversations = inboxState.conversations.concat(data.data);
+                inboxState.nextCursor = data.next_cursor || null;
+            } else {
+                mergeConversations(data.data);
+                // Keep paging from the end of what is already listed
+                if (inboxState.conversations.length <= data.data.length) {
+                    inboxState.nextCursor = data.next_cursor || null;
+                }
+            }
+        } else if (quiet) {
+            console.error('Load conversations error:', data.message);
+        } else {
+            showMessage(data.message, 'error');
+        }
+
+    } catch (error) {
+        if (quiet) {
+            console.error('Load conversations error:', error);
+        } else {
+            reportApiError(error, t('messages.loadConversationsFailed'));
+        }
+    }
+
+    inboxState.loadingConversations = false;
+    renderConversations();
+}
+
+/**
+ * Create HTML for one message
+ * The body is plain text: escaped, with line breaks kept by CSS.
+ * @param {Object} message - Message with message_id, sender_id, body and created_at
+ * @returns {string} HTML string
+ */
+function createDirectMessageHTML(message) {
+    const sentAt = formatLocalDate(message.created_at, { dateStyle: 'medium', timeStyle: 'short' });
+
+    return `
+        <li class="dm-message${isOwnMessage(message) ? ' dm-message-own' : ''}" data-message-id="${Number(message.message_id)}">
+            <div class="dm-message-body">${escapeHtml(message.body)}</div>
+            <time class="dm-message-date" datetime="${escapeAttribute(message.created_at)}" title="${escapeAttribute(sentAt)}">${formatDate(message.created_at)}</time>
+        </li>
+    `;
+}
+
+/**
+ * Render the open conversation's messages, oldest first
+ */
+function renderMessages() {
+    const thread = document.getElementById('messageThread');
+    thread.innerHTML = inboxState.messages.length
+        ? inboxState.messages.map(createDirectMessageHTML).join('')
+        : `<li class="text-muted dm-empty">${t('messages.noMessages')}</li>`;
+
+    const olderBtn = document.getElementById('loadOlderMessagesBtn');
+    olderBtn.classList.toggle('hidden', !inboxState.olderCursor);
+    olderBtn.disabled = inboxState.loadingOlder;
+    olderBtn.textContent = inboxState.loadingOlder ? t('common.loading') : t('messages.loadOlder');
+}
+
+/**
+ * Scroll the thread to its newest message
+ */
+function scrollToNewestMessage() {
+    const thread = document.getElementById('messageThread');
+    thread.scrollTop = thread.scrollHeight;
+}
+
+/**
+ * Add messages to the end of the open conversation, skipping ones already shown
+ * @param {Array<Object>} messages - Oldest first
+ * @returns {number} Number of messages added
+ */
+function appendMessages(messages) {
+    const shown = new Set(inboxState.messages.map(message => Number(message.message_id)));
+    const added = messages.filter(message => !shown.has(Number(message.message_id)));
+    inboxState.messages = inboxState.messages.concat(added);
+    return added.length;
+}
+
+/**
+ * Mark the open conversation as read and update the unread counts
+ */
+async function markConversationRead() {
+    const conversationId = inboxState.conversationId;
+    const conversation = inboxState.conversations.find(item => Number(item.conversation_id) === conversationId);
+    if (conversation && !Number(conversation.unread_count)) {
+        return;
+    }
+
+    try {
+        const data = await apiRequest('messages/read.php', {
+            method: 'POST',
+            body: { conversation_id: conversationId }
+        });
+
+        if (data.success) {
+            if (conversation) {
+                conversation.unread_count = 0;
+                renderConversations();
+            }
+            loadUnreadMessagesCount();
+        } else {
+            console.error('Mark conversation read error:', data.message);
+        }
+
+    } catch (error) {
+        // The messages are on screen either way; it is retried on the next check
+        console.error('Mark conversation read error:', error);
+    }
+}
+
+/**
+ * Show the conversation panel for the open conversation
+ */
+function showConversationView() {
+    document.getElementById('conversationPlaceholder').classList.add('hidden');
+    document.getElementById('conversationView').classList.remove('hidden');
+
+    const heading = document.getElementById('conversationHeading');
+    heading.innerHTML = inboxState.otherUser
+        ? `<a href="${getProfileUrl(Number(inboxState.otherUser.user_id))}" class="author-link">${escapeHtml(inboxState.otherUser.name)}</a>`
+        : '';
+    if (inboxState.otherUser) {
+        document.title = t('common.pageTitle', { title: inboxState.otherUser.name });
+    }
+}
+
+/**
+ * Open a conversation and load its latest messages
+ * @param {number} conversationId - Conversation ID
+ */
+async function openConversation(conversationId) {
+    const requestId = ++inboxState.requestId;
+    inboxState.conversationId = conversationId;
+    inboxState.messages = [];
+    inboxState.olderCursor = null;
+
+    const known = inboxState.conversations.find(item => Number(item.conversation_id) === conversationId);
+    inboxState.otherUser = known ? known.other_user : null;
+    renderConversations();
+    showConversationView();
+    renderMessages();
+
+    try {
+        const data = await apiRequest('messages/list.php', {
+            params: { conversation_id: conversationId, limit: MESSAGES_PAGE_SIZE }
+        });
+        if (requestId !== inboxState.requestId) {
+            return; // Another conversation was opened meanwhile
+        }
+
+        if (data.success) {
+            // Pages come newest first
+            inboxState.messages = data.data.slice().reverse();
+            inboxState.olderCursor = data.next_cursor || null;
+            if (data.conversation) {
+                inboxState.otherUser = data.conversation.other_user;
+            }
+            showConversationView();
+            renderMessages();
+            scrollToNewestMessage();
+            markConversationRead();
+        } else {
+            showMessage(data.message, 'error');
+        }
+
+    } catch (error) {
+        if (requestId === inboxState.requestId) {
+            reportApiError(error, t('messages.loadMessagesFailed'));
+        }
+    }
+}
+
+/**
+ * Open the conversation with a user, starting it if there is none yet
+ * The URL is then changed to point at the conversation itself.
+ * @param {number} userId - User ID
+ */
+async function openConversationWithUser(userId) {
+    const user = getStoredUser();
+    if (user && Number(user.user_id) === userId) {
+        showMessage(t('messages.cannotMessageSelf'), 'error');
+        return;
+    }
+
+    try {
+        const data = await apiRequest('messages/start.php', {
+            method: 'POST',
+            body: { user_id: userId }
+        });
+
+        if (data.success) {
+            const conversation = data.data;
+            const conversationId = Number(conversation.conversation_id);
+            if (!inboxState.conversations.some(item => Number(item.conversation_id) === conversationId)) {
+                inboxState.conversations.unshift({ unread_count: 0, last_message: null, ...conversation });
+            }
+            history.replaceState(null, '', `inbox.html?conversation=${conversationId}`);
+            openConversation(conversationId);
+            document.getElementById('messageBody').focus();
+        } else {
+            showMessage(data.message, 'error');
+        }
+
+    } catch (error) {
+        reportApiError(error, t('messages.startFailed'));
+    }
+}
+
+/**
+ * Load the page of messages before the oldest one shown
+ * Keeps the thread scrolled to the same message.
+ */
+async function loadOlderMessages() {
+    if (inboxState.loadingOlder || !inboxState.olderCursor) {
+        return;
+    }
+
+    const requestId = inboxState.requestId;
+    const thread = document.getElementById('messageThread');
+    inboxState.loadingOlder = true;
+    renderMessages();
+
+    try {
+        const data = await apiRequest('messages/list.php', {
+            params: {
+                conversation_id: inboxState.conversationId,
+                limit: MESSAGES_PAGE_SIZE,
+                cursor: inboxState.olderCursor
+            }
+        });
+        if (requestId !== inboxState.requestId) {
+            return;
+        }
+
+        if (data.success) {
+            const fromBottom = thread.scrollHeight - thread.scrollTop;
+            inboxState.messages = data.data.slice().reverse().concat(inboxState.messages);
+            inboxState.olderCursor = data.next_cursor || null;
+            inboxState.loadingOlder = false;
+            renderMessages();
+            thread.scrollTop = thread.scrollHeight - fromBottom;
+            return;
+        }
+        showMessage(data.message, 'error');
+
+    } catch (error) {
+        if (requestId === inboxState.requestId) {
+            reportApiError(error, t('messages.loadMessagesFailed'));
+        }
+    }
+
+    if (requestId === inboxState.requestId) {
+        inboxState.loadingOlder = false;
+        renderMessages();
+    }
+}
+
+/**
+ * Check the open conversation and the list for new messages
+ */
+async function refreshInbox() {
+    loadConversations({ quiet: true });
+
+    const conversationId = inboxState.conversationId;
+    if (!conversationId || document.hidden) {
+        return;
+    }
+
+    try {
+        const data = await apiRequest('messages/list.php', {
+            params: { conversation_id: conversationId, limit: MESSAGES_PAGE_SIZE }
+        });
+
+        if (data.success && conversationId === inboxState.conversationId) {
+            const thread = document.getElementById('messageThread');
+            const atBottom = thread.scrollHeight - thread.scrollTop - thread.clientHeight < 40;
+            if (appendMessages(data.data.slice().reverse())) {
+                renderMessages();
+                if (atBottom) {
+                    scrollToNewestMessage();
+                }
+                markConversationRead();
+            }
+        }
+
+    } catch (error) {
+        console.error('Refresh conversation error:', error);
+    }
+}
+
+/**
+ * Handle message form submission
+ * @param {Event} event - Form submit event
+ */
+async function handleSendMessage(event) {
+    event.preventDefault();
+
+    const form = event.target;
+    const input = document.getElementById('messageBody');
+    const body = input.value.trim();
+
+    if (!body) {
+        showMessage(t('messages.bodyRequired'), 'error');
+        input.focus();
+        return;
+    }
+    if (body.length > MESSAGE_MAX_LENGTH) {
+        showMessage(t('messages.bodyTooLong', { max: MESSAGE_MAX_LENGTH }), 'error');
+        return;
+    }
+    if (inboxState.sending) {
+        return;
+    }
+
+    const conversationId = inboxState.conversationId;
+    const submitButton = form.querySelector('button[type="submit"]');
+    inboxState.sending = true;
+    submitButton.disabled = true;
+
+    try {
+        const data = await apiRequest('messages/send.php', {
+            method: 'POST',
+            body: { conversation_id: conversationId, body }
+        });
+
+        if (data.success) {
+            const message = data.data;
+            if (conversationId === inboxState.conversationId) {
+                appendMessages([message]);
+                renderMessages();
+                scrollToNewestMessage();
+                input.value = '';
+                updateCharCount(input, document.getElementById('messageBodyCount'));
+            }
+
+            // The conversation moves to the top of the list
+            const conversation = inboxState.conversations.find(item => Number(item.conversation_id) === conversationId);
+            if (conversation) {
+                mergeConversations([{ ...conversation, last_message: message }]);
+                renderConversations();
+            }
+        } else {
+            showMessage(data.message, 'error');
+        }
+
+    } catch (error) {
+        reportApiError(error, t('messages.sendFailed'));
+    }
+
+    inboxState.sending = false;
+    submitButton.disabled = false;
+}
+
+/**
+ * Open what the URL asks for: a conversation, the one with a user, or none
+ */
+function openInboxTarget() {
+    const { conversationId, userId } = getInboxTargetFromUrl();
+
+    if (conversationId) {
+        openConversation(conversationId);
+    } else if (userId) {
+        openConversationWithUser(userId);
+    } else {
+        inboxState.conversationId = null;
+        inboxState.requestId++;
+        document.getElementById('conversationView').classList.add('hidden');
+        document.getElementById('conversationPlaceholder').classList.remove('hidden');
+        renderConversations();
+    }
+}
+
+/**
+ * Start the inbox view
+ * @param {Object} context - View context from the router: user and signal
+ */
+async function initInboxView({ signal }) {
+    inboxState.conversations = [];
+    inboxState.nextCursor = null;
+    inboxState.conversationId = null;
+
+    toggleLoading(true);
+    await loadConversations();
+    if (signal.aborted) {
+        return;
+    }
+    toggleLoading(false);
+    openInboxTarget();
+
+    document.getElementById('loadMoreConversationsBtn').addEventListener('click', function() {
+        loadConversations({ append: true });
+    });
+    document.getElementById('loadOlderMessagesBtn').addEventListener('click', loadOlderMessages);
+    document.getElementById('messageForm').addEventListener('submit', handleSendMessage);
+
+    const input = document.getElementById('messageBody');
+    input.addEventListener('input', function() {
+        updateCharCount(input, document.getElementById('messageBodyCount'));
+    });
+    // Enter sends, Shift+Enter starts a new line
+    input.addEventListener('keydown', function(e) {
+        if (e.key === 'Enter' && !e.shiftKey && !e.isComposing) {
+            e.preventDefault();
+            document.getElementById('messageForm').requestSubmit();
+        }
+    });
+
+    const pollTimer = setInterval(refreshInbox, INBOX_POLL_MS);
+    signal.addEventListener('abort', () => clearInterval(pollTimer));
+}
+
+registerView('inbox', initInboxView, { update: openInboxTarget });
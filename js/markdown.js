@@ -0,0 +1,313 @@
+/**
+ * Markdown Module
+ *
+ * Renders the Markdown subset used in post content, with LaTeX math.
+ * Supported: headings, bold, italics, links, inline code, fenced code blocks,
+ * lists, blockquotes, $inline$ and $$block$$ math.
+ *
+ * User text is escaped with escapeHtml before any markup is added, and the
+ * result goes through an allowlist sanitizer, so rendering keeps the same
+ * XSS protection as plain escaped text.
+ */
+
+// escapeHtml is defined in api.js
+// escapeRegExp is defined in posts.js
+// t is defined in i18n.js
+// katex is loaded from the CDN on pages that render posts; math falls back to code without it
+
+// Tags and attributes the sanitizer keeps
+const MARKDOWN_ALLOWED_TAGS = {
+    P: [], BR: [], STRONG: [], EM: [], CODE: ['class'], PRE: ['class'],
+    UL: [], OL: [], LI: [], BLOCKQUOTE: [], H4: [], H5: [], H6: [],
+    A: ['href', 'target', 'rel'], DIV: ['class'], MARK: []
+};
+
+// Link protocols allowed in href
+const MARKDOWN_SAFE_URL = /^(https?:\/\/|mailto:)/i;
+
+// Private-use characters marking stashed fragments (code, math) in the text
+const TOKEN_START = '\uE000';
+const TOKEN_END = '\uE001';
+const TOKEN_PATTERN = /\uE000(\d+)\uE001/g;
+
+/**
+ * Render a TeX formula
+ * @param {string} tex - TeX source
+ * @param {boolean} displayMode - True for block math
+ * @returns {string} HTML string
+ */
+function renderMath(tex, displayMode) {
+    if (window.katex) {
+        try {
+            return window.katex.renderToString(tex, {
+                displayMode,
+                throwOnError: false,
+                trust: false
+            });
+        } catch (error) {
+            console.error('Math render error:', error);
+        }
+    }
+
+    const code = `<code class="math-fallback">${escapeHtml(tex)}</code>`;
+    return displayMode ? `<pre>${code}</pre>` : code;
+}
+
+/**
+ * Render inline Markdown on already escaped text
+ * @param {string} text - Escaped text of one block
+ * @returns {string} HTML string
+ */
+function renderInlineMarkdown(text) {
+    return text
+        // [text](url), only for safe protocols; code or math in the URL is put back
+        // after sanitizing, so a URL holding a token could break out of the href
+        .replace(/\[([^\]]+)\]\(([^)\s]+)\)/g, (match, label, url) => {
+            if (!MARKDOWN_SAFE_URL.test(url) || url.includes(TOKEN_START)) {
+                return match;
+            }
+            return `<a href="${url.replace(/"/g, '&quot;')}" target="_blank" rel="noopener noreferrer nofollow">${label}</a>`;
+        })
+        .replace(/(\*\*|__)(?=\S)([\s\S]*?\S)\1/g, '<strong>$2</strong>')
+        .replace(/\*(?=\S)([^*]*?\S)\*/g, '<em>$1</em>')
+        // Underscores only at word edges, so snake_case stays as is
+        .replace(/(^|[^\w])_(?=\S)([^_]*?\S)_(?![\w])/g, '$1<em>$2</em>');
+}
+
+/**
+ * Group escaped lines into block-level HTML
+ * @param {Array<string>} lines - Escaped lines
+ * @param {Array<Object>} tokens - Stashed fragments, to tell block tokens apart
+ * @returns {string} HTML string
+ */
+function renderMarkdownBlocks(lines, tokens) {
+    const html = [];
+    let paragraph = [];
+    let quote = [];
+    let list = null;
+
+    const flush = () => {
+        if (paragraph.length) {
+            html.push(`<p>${paragraph.map(renderInlineMarkdown).join('<br>')}</p>`);
+            paragraph = [];
+        }
+        if (quote.length) {
+            html.push(`<blockquote>${quote.map(renderInlineMarkdown).join('<br>')}</blockquote>`);
+            quote = [];
+        }
+        if (list) {
+            const items = list.items.map(item => `<li>${renderInlineMarkdown(item)}</li>`).join('');
+            html.push(`<${list.tag}>${items}</${list.tag}>`);
+            list = null;
+        }
+    };
+
+    lines.forEach(line => {
+        const blockToken = line.trim().match(/^\uE000(\d+)\uE001$/);
+        const heading = line.match(/^(#{1,3})\s+(.*)$/);
+        const quoteLine = line.match(/^&gt;\s?(.*)$/);
+        const bullet = line.match(/^\s*[-*+]\s+(.*)$/);
+        const numbered = line.match(/^\s*\d+[.)]\s+(.*)$/);
+
+        if (!line.trim()) {
+            flush();
+        } else if (blockToken && tokens[blockToken[1]].block) {
+            flush();
+            html.push(line.trim());
+        } else if (heading) {
+            flush();
+            const tag = `h${heading[1].length + 3}`;
+            html.push(`<${tag}>${renderInlineMarkdown(heading[2])}</${tag}>`);
+        } else if (quoteLine) {
+            if (!quote.length) {
+                flush();
+            }
+            quote.push(quoteLine[1]);
+        } else if (bullet || numbered) {
+            const tag = bullet ? 'ul' : 'ol';
+            if (!list || list.tag !== tag) {
+                flush();
+                list = { tag, items: [] };
+            }
+            list.items.push((bullet || numbered)[1]);
+        } else {
+            if (quote.length || list) {
+                flush();
+            }
+            paragraph.push(line);
+        }
+    });
+
+    flush();
+    return html.join('');
+}
+
+/**
+ * Remove every tag and attribute that is not on the allowlist
+ * @param {string} html - HTML string
+ * @returns {string} Sanitized HTML string
+ */
+function sanitizeHtml(html) {
+    const template = document.createElement('template');
+    template.innerHTML = html;
+
+    Array.from(template.content.querySelectorAll('*')).forEach(element => {
+        const allowedAttributes = MARKDOWN_ALLOWED_TAGS[element.tagName];
+
+        if (!allowedAttributes) {
+            element.replaceWith(document.createTextNode(element.textContent));
+            return;
+        }
+
+        Array.from(element.attributes).forEach(attribute => {
+            if (!allowedAttributes.includes(attribute.name)) {
+                element.removeAttribute(attribute.name);
+            }
+        });
+
+        if (element.tagName === 'A' && !MARKDOWN_SAFE_URL.test(element.getAttribute('href') || '')) {
+            element.removeAttribute('href');
+        }
+    });
+
+    return template.innerHTML;
+}
+
+/**
+ * Wrap search term matches in <mark>, outside code and math
+ * Works on text nodes, so no markup is ever built from user text.
+ * @param {string} html - Sanitized HTML string
+ * @param {Array<string>} terms - Search terms
+ * @returns {string} HTML string with highlights
+ */
+function highlightHtml(html, terms) {
+    const template = document.createElement('template');
+    template.innerHTML = html;
+
+    const pattern = new RegExp(`(${terms.map(escapeRegExp).join('|')})`, 'gi');
+    const walker = document.createTreeWalker(template.content, NodeFilter.SHOW_TEXT);
+    const textNodes = [];
+    while (walker.nextNode()) {
+        if (!walker.currentNode.parentElement || !walker.currentNode.parentElement.closest('code, pre, .katex')) {
+            textNodes.push(walker.currentNode);
+        }
+    }
+
+    textNodes.forEach(node => {
+        const parts = node.textContent.split(pattern);
+        if (parts.length === 1) {
+            return;
+        }
+
+        // split() with a capturing group puts the matches at odd indexes
+        const fragment = document.createDocumentFragment();
+        parts.forEach((part, index) => {
+            if (index % 2 === 1) {
+                const mark = document.createElement('mark');
+                mark.textContent = part;
+                fragment.appendChild(mark);
+            } else if (part) {
+                fragment.appendChild(document.createTextNode(part));
+            }
+        });
+        node.replaceWith(fragment);
+    });
+
+    return template.innerHTML;
+}
+
+/**
+ * Render Markdown with math to safe HTML
+ * @param {string} source - Raw Markdown text
+ * @param {Object} options - Rendering options
+ * @param {Array<string>} options.highlight - Search terms to highlight
+ * @returns {string} Sanitized HTML string
+ */
+function renderMarkdown(source, options = {}) {
+    const tokens = [];
+    const stash = (html, block = false) => {
+        tokens.push({ html, block });
+        const token = `${TOKEN_START}${tokens.length - 1}${TOKEN_END}`;
+        return block ? `\n${token}\n` : token;
+    };
+
+    let text = String(source || '')
+        .replace(/[\uE000\uE001]/g, '')
+        .replace(/\r\n?/g, '\n');
+
+    // Code and math are taken out first so nothing inside them is parsed as Markdown
+    text = text
+        .replace(/^```[^\n]*\n([\s\S]*?)^```[ \t]*$/gm, (match, code) => (
+            stash(`<pre><code>${escapeHtml(code.replace(/\n$/, ''))}</code></pre>`, true)
+        ))
+        .replace(/`([^`\n]+)`/g, (match, code) => stash(`<code>${escapeHtml(code)}</code>`))
+        .replace(/\$\$([\s\S]+?)\$\$|\\\[([\s\S]+?)\\\]/g, (match, tex, bracketTex) => (
+            stash(`<div class="math-block">${renderMath(tex || bracketTex, true)}</div>`, true)
+        ))
+        // $x$ needs no space inside the dollars and no digit after, so "$5 and $10" stays text
+        .replace(/\$(?=\S)([^$\n]*?\S)\$(?!\d)|\\\(([\s\S]+?)\\\)/g, (match, tex, parenTex) => (
+            stash(renderMath(tex || parenTex, false))
+        ));
+
+    const lines = escapeHtml(text).split('\n');
+    let html = sanitizeHtml(renderMarkdownBlocks(lines, tokens));
+    html = html.replace(TOKEN_PATTERN, (match, index) => tokens[index].html);
+
+    if (options.highlight && options.highlight.length) {
+        html = highlightHtml(html, options.highlight);
+    }
+
+    return html;
+}
+
+/**
+ * Switch a write/preview editor between its two modes
+ * @param {HTMLElement} tabs - Element holding the .editor-tab buttons
+ * @param {HTMLTextAreaElement} textarea - The Markdown textarea
+ * @param {HTMLElement} preview - Element showing the rendered preview
+ * @param {string} mode - 'write' or 'preview'
+ */
+function setEditorMode(tabs, textarea, preview, mode) {
+    const previewing = mode === 'preview';
+
+    if (previewing) {
+        preview.innerHTML = textarea.value.trim()
+            ? renderMarkdown(textarea.value)
+            : `<p class="text-muted">${t('markdown.emptyPreview')}</p>`;
+    }
+
+    textarea.classList.toggle('hidden', previewing);
+    preview.classList.toggle('hidden', !previewing);
+
+    tabs.querySelectorAll('.editor-tab').forEach(tab => {
+        const active = tab.dataset.mode === mode;
+        tab.classList.toggle('active', active);
+        tab.setAttribute('aria-selected', String(active));
+    });
+}
+
+/**
+ * Attach write/preview tab handlers to a Markdown editor
+ * @param {HTMLElement} tabs - Element holding the .editor-tab buttons
+ * @param {HTMLTextAreaElement} textarea - The Markdown textarea
+ * @param {HTMLElement} preview - Element showing the rendered preview
+ */
+function initMarkdownEditor(tabs, textarea, preview) {
+    if (!tabs || !textarea || !preview) {
+        return;
+    }
+
+    tabs.addEventListener('click', function(e) {
+        const tab = e.target.closest('.editor-tab');
+        if (tab) {
+            setEditorMode(tabs, textarea, preview, tab.dataset.mode);
+        }
+    });
+
+    // Go back to writing when the form is cleared
+    if (textarea.form) {
+        textarea.form.addEventListener('reset', function() {
+            setEditorMode(tabs, textarea, preview, 'write');
+        });
+    }
+}
@@ -0,0 +1,173 @@
+/**
+ * Mentions Module
+ *
+ * @mention autocomplete for Markdown textareas. Typing "@" and the start
+ * of a name suggests matching users; picking one inserts the mention.
+ * Names are inserted with underscores for spaces (@Ana_Garcia) so a
+ * mention is always a single word the backend can pick out.
+ */
+
+// apiRequest and escapeHtml are defined in api.js
+// t is defined in i18n.js
+
+// Number of users suggested at once
+const MENTION_SUGGESTIONS_LIMIT = 5;
+
+// Wait for a pause in typing before searching
+const MENTION_SEARCH_DELAY_MS = 200;
+
+// "@" at the start or after whitespace, up to the caret
+const MENTION_QUERY_PATTERN = /(^|\s)@([\p{L}\p{N}_.-]{1,50})$/u;
+
+/**
+ * Find the mention being typed at the caret
+ * @param {HTMLTextAreaElement} textarea - The textarea
+ * @returns {Object|null} { start, query }, or null when not typing a mention
+ */
+function getMentionQuery(textarea) {
+    const beforeCaret = textarea.value.slice(0, textarea.selectionStart);
+    const match = beforeCaret.match(MENTION_QUERY_PATTERN);
+    if (!match) {
+        return null;
+    }
+
+    return {
+        start: beforeCaret.length - match[2].length - 1,
+        query: match[2].replace(/_/g, ' ')
+    };
+}
+
+/**
+ * Replace the mention being typed with the chosen user
+ * @param {HTMLTextAreaElement} textarea - The textarea
+ * @param {Object} user - User with name
+ */
+function insertMention(textarea, user) {
+    const mention = getMentionQuery(textarea);
+    if (!mention) {
+        return;
+    }
+
+    const text = `@${user.name.trim().replace(/\s+/g, '_')} `;
+    const caret = textarea.selectionStart;
+    textarea.value = textarea.value.slice(0, mention.start) + text + textarea.value.slice(caret);
+    textarea.selectionStart = textarea.selectionEnd = mention.start + text.length;
+
+    // Let character counters and other listeners see the change
+    textarea.dispatchEvent(new Event('input', { bubbles: true }));
+    textarea.focus();
+}
+
+/**
+ * Attach @mention autocomplete to a textarea
+ * @param {HTMLTextAreaElement} textarea - The textarea
+ */
+function initMentionAutocomplete(textarea) {
+    if (!textarea) {
+        return;
+    }
+
+    const list = document.createElement('ul');
+    list.className = 'mention-suggestions hidden';
+    list.setAttribute('role', 'listbox');
+    list.setAttribute('aria-label', t('mentions.label'));
+    textarea.insertAdjacentElement('afterend', list);
+
+    let users = [];
+    let activeIndex = 0;
+    let searchTimer = null;
+    let requestId = 0;
+
+    const close = () => {
+        users = [];
+        list.classList.add('hidden');
+        clearTimeout(searchTimer);
+        requestId++;
+    };
+
+    const render = () => {
+        if (users.length === 0) {
+            list.classList.add('hidden');
+            return;
+        }
+
+        list.innerHTML = users.map((user, index) => `
+            <li class="mention-option${index === activeIndex ? ' active' : ''}" role="option"
+                aria-selected="${index === activeIndex}" data-index="${index}">${escapeHtml(user.name)}</li>
+        `).join('');
+        list.classList.remove('hidden');
+    };
+
+    const choose = index => {
+        const user = users[index];
+        close();
+        if (user) {
+            insertMention(textarea, user);
+        }
+    };
+
+    const search = async query => {
+        const thisRequest = ++requestId;
+
+        try {
+            const data = await apiRequest('users/search.php', {
+                params: { q: query, limit: MENTION_SUGGESTIONS_LIMIT }
+            });
+
+            // Ignore answers to queries the user has already typed past
+            if (thisRequest !== requestId || !getMentionQuery(textarea)) {
+                return;
+            }
+
+            users = data.success ? (data.data || []) : [];
+            activeIndex = 0;
+            render();
+
+        } catch (error) {
+            // Suggestions are a convenience; typing carries on without them
+            console.error('Mention search error:', error);
+        }
+    };
+
+    textarea.addEventListener('input', function() {
+        const mention = getMentionQuery(textarea);
+        clearTimeout(searchTimer);
+
+        if (!mention) {
+            close();
+            return;
+        }
+
+        searchTimer = setTimeout(() => search(mention.query), MENTION_SEARCH_DELAY_MS);
+    });
+
+    textarea.addEventListener('keydown', function(e) {
+        if (list.classList.contains('hidden')) {
+            return;
+        }
+
+        if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+            e.preventDefault();
+            const step = e.key === 'ArrowDown' ? 1 : -1;
+            activeIndex = (activeIndex + step + users.length) % users.length;
+            render();
+        } else if (e.key === 'Enter' || e.key === 'Tab') {
+            e.preventDefault();
+            choose(activeIndex);
+        } else if (e.key === 'Escape') {
+            e.preventDefault();
+            close();
+        }
+    });
+
+    // mousedown rather than click, so the textarea keeps its caret
+    list.addEventListener('mousedown', function(e) {
+        const option = e.target.closest('.mention-option');
+        if (option) {
+            e.preventDefault();
+            choose(Number(option.dataset.index));
+        }
+    });
+
+    textarea.addEventListener('blur', close);
+}
@@ -0,0 +1,894 @@
+/**
+ * Message Catalogs
+ *
+ * Interface texts by locale and key, looked up with t() from i18n.js.
+ * Placeholders in braces are filled in from the params given to t(); texts
+ * that depend on a number have a form per plural category ('one', 'other').
+ * A key missing from a catalog falls back to English.
+ */
+
+const MESSAGES = {
+    en: {
+        // Shared
+        'common.undo': 'Undo',
+        'common.edit': 'Edit',
+        'common.delete': 'Delete',
+        'common.cancel': 'Cancel',
+        'common.save': 'Save',
+        'common.characterCount': 'Character count:',
+        'common.redirecting': 'Redirecting...',
+        'common.loading': 'Loading...',
+        'common.loadMore': 'Load more',
+        'common.discard': 'Discard',
+        'common.pageTitle': '{title} - AcademiaTalk',
+        'common.processing': 'Processing...',
+
+        // Server requests (api.js)
+        'api.timeout': 'The server took too long to respond. Please try again.',
+        'api.connectionFailed': 'Failed to connect to server. Please try again later.',
+        'api.sessionExpired': 'Session expired. Please login again.',
+        'api.unexpectedResponse': 'Unexpected response from server (HTTP {status})',
+
+        // Dates
+        'time.justNow': 'Just now',
+
+        // Page header
+        'header.logoAlt': 'AcademiaTalk Logo',
+        'header.home': 'Home',
+        'header.language': 'Language',
+        'header.forum': 'Forum',
+        'header.profile': 'Profile',
+        'header.logout': 'Logout',
+        'header.moderation': 'Moderation',
+        'header.messages': 'Messages',
+        'header.theme': 'Theme',
+
+        // Form validation (validation.js)
+        'validation.nameLength': 'Name must be between {min} and {max} characters',
+        'validation.invalidEmail': 'Please enter a valid email address',
+        'validation.passwordLength': 'Password must be at least {min} characters long',
+        'validation.passwordCommon': 'This password is too common. Choose one that is harder to guess.',
+        'validation.confirmRequired': 'Repeat your password',
+        'validation.passwordMismatch': 'Passwords do not match',
+        'validation.hintLength': 'Use at least {min} characters',
+        'validation.hintCase': 'Mix upper and lower case letters',
+        'validation.hintDigit': 'Add a number',
+        'validation.hintSymbol': 'Add a symbol such as ! or #',
+        'validation.hintPersonal': 'Don\'t use your name or email',
+
+        // Password strength meter
+        'strength.tooWeak': 'Too weak',
+        'strength.weak': 'Weak',
+        'strength.fair': 'Fair',
+        'strength.good': 'Good',
+        'strength.strong': 'Strong',
+
+        // Login page
+        'index.pageTitle': 'AcademiaTalk - Academic Forum Platform',
+        'index.welcome': 'Welcome to AcademiaTalk',
+        'index.tagline': 'Your platform for academic discussions and knowledge sharing',
+
+        // Login and registration (auth.js)
+        'auth.loginToContinue': 'Please login to continue.',
+        'auth.passwordRequired': 'Password is required',
+        'auth.loginTitle': 'Login',
+        'auth.email': 'Email',
+        'auth.password': 'Password',
+        'auth.passwordPlaceholder': 'Enter your password',
+        'auth.loginButton': 'Login',
+        'auth.registerTitle': 'Register',
+        'auth.name': 'Name',
+        'auth.namePlaceholder': 'Your full name',
+        'auth.passwordHint': 'At least 6 characters',
+        'auth.registerButton': 'Register',
+        'auth.forgotPassword': 'Forgot password?',
+        'auth.forgotTitle': 'Reset your password',
+        'auth.forgotHint': 'Enter the email you registered with and we\'ll send you a link to choose a new password.',
+        'auth.sendResetLink': 'Send reset link',
+        'auth.backToLogin': 'Back to login',
+        'auth.verifyTitle': 'Confirm your email',
+        'auth.verifySent': 'We sent a confirmation link to {email}. Open it to activate your account, then log in.',
+        'auth.verifyHint': 'Didn\'t get it? Check your spam folder or send it again.',
+        'auth.resendVerification': 'Resend email',
+        'auth.resendIn': { one: 'Resend in {count} second', other: 'Resend in {count} seconds' },
+        'auth.resendFailed': 'Failed to resend the email. Please try again.',
+        'auth.verifyFailed': 'Failed to confirm your email. Please try again.',
+        'auth.resetRequestFailed': 'Failed to send the reset link. Please try again.',
+        'auth.showPassword': 'Show',
+        'auth.hidePassword': 'Hide',
+        'auth.showPasswordLabel': 'Show password',
+        'auth.rememberMe': 'Keep me logged in for 30 days',
+        'auth.confirmPassword': 'Confirm password',
+
+        // Password reset page (password-reset.js)
+        'reset.pageTitle': 'Reset Password - AcademiaTalk',
+        'reset.title': 'Choose a new password',
+        'reset.submit': 'Save new password',
+        'reset.invalidTitle': 'This link can\'t be used',
+        'reset.invalidHint': 'Reset links work once and expire after a while. Ask for a new one and use the latest email.',
+        'reset.requestNew': 'Send me a new link',
+        'reset.doneTitle': 'Password changed',
+        'reset.doneHint': 'You can log in with your new password now.',
+        'reset.failed': 'Failed to change password. Please try again.',
+
+        // Navigation (router.js)
+        'router.authCheckFailed': 'Failed to verify authentication',
+
+        // Subjects (categories.js)
+        'categories.unnamed': 'Category',
+        'categories.allPosts': 'All posts',
+        'categories.choose': 'Choose a subject...',
+        'categories.heading': 'Subjects',
+
+        // Tags
+        'tags.tooMany': { one: 'Use at most {count} tag', other: 'Use at most {count} tags' },
+        'tags.invalid': 'Tags must be 2-30 characters: letters, numbers and hyphens',
+
+        // Search (search.js)
+        'search.tooLong': 'Search must be at most {max} characters',
+        'search.invalidDateRange': 'The start date must be before the end date',
+        'search.placeholder': 'Search posts by title or content',
+        'search.label': 'Search posts',
+        'search.submit': 'Search',
+        'search.author': 'Author',
+        'search.anyAuthor': 'Any author',
+        'search.from': 'From',
+        'search.to': 'To',
+        'search.mine': 'Only my posts',
+        'search.clear': 'Clear search',
+
+        // Markdown editor
+        'editor.write': 'Write',
+        'editor.preview': 'Preview',
+
+        // Markdown (markdown.js)
+        'markdown.emptyPreview': 'Nothing to preview',
+
+        // Posts (posts.js, post-actions.js)
+        'posts.contentLength': 'Content must be between {min} and {max} characters',
+        'posts.titleLength': 'Title must be between {min} and {max} characters',
+        'posts.edited': 'edited {date}',
+        'posts.answered': 'Answered',
+        'posts.title': 'Title',
+        'posts.content': 'Content',
+        'posts.updateFailed': 'Failed to update post. Please try again.',
+        'posts.deleteFailed': 'Failed to delete post. Please try again.',
+        'posts.deleteConfirm': 'Delete this post? This cannot be undone.',
+        'posts.deleted': 'Post deleted.',
+        'posts.hiddenBadge': 'Hidden',
+        'posts.hiddenPlaceholder': 'This post was hidden by the moderators.',
+
+        // Votes (votes.js)
+        'votes.ownContent': 'You can\'t vote on your own content',
+        'votes.upvote': 'Upvote',
+        'votes.score': 'Score',
+        'votes.downvote': 'Downvote',
+        'votes.saveFailed': 'Failed to save your vote. Please try again.',
+
+        // Replies (replies.js)
+        'replies.count': { one: '{count} reply', other: '{count} replies' },
+        'replies.placeholder': 'Write a reply... ({min}-{max} characters)',
+        'replies.reply': 'Reply',
+        'replies.accept': 'Accept answer',
+        'replies.unaccept': 'Unaccept',
+        'replies.accepted': 'Accepted answer',
+        'replies.loading': 'Loading replies...',
+        'replies.empty': 'No replies yet.',
+        'replies.loadFailed': 'Failed to load replies',
+        'replies.createFailed': 'Failed to post reply. Please try again.',
+        'replies.acceptFailed': 'Failed to update the accepted answer. Please try again.',
+
+        // Forum page (forum.js)
+        'forum.searchResults': 'Search Results',
+        'forum.taggedPosts': 'Posts tagged #{tag}',
+        'forum.recentPosts': 'Recent Posts',
+        'forum.showingCached': 'You are offline. Showing the posts saved from your last visit.',
+        'forum.noMatches': 'No posts match your search.',
+        'forum.noPosts': 'No posts yet. Be the first to share your thoughts!',
+        'forum.loadFailed': 'Failed to load posts',
+        'forum.loadMoreFailed': 'Failed to load more posts',
+        'forum.subjectRequired': 'Please choose a subject for your post',
+        'forum.createFailed': 'Failed to create post. Please try again.',
+        'forum.newPostsBanner': { one: '{count} new post — click to show', other: '{count} new posts — click to show' },
+        'forum.online': 'Back online.',
+        'forum.offline': 'You are offline. New posts will be saved and sent later.',
+        'forum.pageTitle': 'Forum - AcademiaTalk',
+        'forum.heading': 'Academic Forum',
+        'forum.createTitle': 'Create New Post',
+        'forum.titlePlaceholder': 'Enter post title (5-200 characters)',
+        'forum.subject': 'Subject',
+        'forum.contentPlaceholder': 'Share your thoughts... (10-5000 characters)',
+        'forum.contentHint': 'Markdown and math ($x^2$, $$...$$) supported · @mention people',
+        'forum.tags': 'Tags',
+        'forum.tagsPlaceholder': 'e.g. calculus, exam-prep (optional, up to 5)',
+        'forum.publish': 'Publish Post',
+        'forum.loadingPosts': 'Loading posts...',
+        'forum.sortBy': 'Sort by',
+        'forum.sortNewest': 'Newest',
+        'forum.sortVotes': 'Most voted',
+        'forum.sortActivity': 'Most active',
+        'forum.sortUnanswered': 'Unanswered',
+
+        // Posts written offline (forum.js)
+        'queue.failed': 'Not posted: {error}',
+        'queue.rejected': 'rejected by the server',
+        'queue.pending': 'Waiting to be posted — it will be sent when the connection is back',
+        'queue.retry': 'Retry',
+        'queue.sendNow': 'Send now',
+        'queue.unavailable': 'Failed to connect to server. Your post is still in the form; please try again later.',
+        'queue.queued': 'You seem to be offline. Your post was saved and will be published when the connection is back.',
+        'queue.published': 'Your saved post was published.',
+        'queue.discardConfirm': 'Discard this post? It has not been published.',
+
+        // Drafts (drafts.js)
+        'drafts.saved': 'Draft saved',
+        'drafts.restored': 'Draft restored',
+        'drafts.untitled': 'Untitled',
+        'drafts.savedAt': 'saved {date}',
+        'drafts.savedEditing': 'Editing now &middot; saved {date}',
+        'drafts.resume': 'Resume',
+        'drafts.discardConfirm': 'Discard this draft?',
+        'drafts.heading': 'Drafts',
+        'drafts.new': 'Start a new post',
+
+        // Post page (post.js)
+        'post.notFound': 'Post not found',
+        'post.linkCopied': 'Link copied to clipboard',
+        'post.showingCached': 'You are offline. Showing the version saved from your last visit.',
+        'post.loadFailed': 'Failed to load post',
+        'post.copyLink': 'Copy link',
+        'post.pageTitle': 'Post - AcademiaTalk',
+        'post.backToForum': 'Back to forum',
+        'post.loading': 'Loading post...',
+        'post.notFoundHint': 'This post does not exist or has been removed.',
+
+        // Profile page (profile.js)
+        'profile.loadFailed': 'Failed to load profile',
+        'profile.notFound': 'User not found',
+        'profile.noPosts': 'No posts yet.',
+        'profile.noChanges': 'No changes to save',
+        'profile.updateFailed': 'Failed to update profile. Please try again.',
+        'profile.currentPasswordRequired': 'Current password is required',
+        'profile.passwordMismatch': 'New passwords do not match',
+        'profile.passwordUnchanged': 'New password must be different from the current one',
+        'profile.passwordFailed': 'Failed to change password. Please try again.',
+        'profile.deleteConfirmHint': 'Type {text} to confirm',
+        'profile.deleteFailed': 'Failed to delete account. Please try again.',
+        'profile.myPosts': 'My Posts',
+        'profile.pageTitle': 'Profile - AcademiaTalk',
+        'profile.heading': 'My Profile',
+        'profile.loading': 'Loading profile...',
+        'profile.notFoundHint': 'This user doesn\'t exist or has deleted their account.',
+        'profile.accountInfo': 'Account Information',
+        'profile.userId': 'User ID',
+        'profile.memberSince': 'Member Since',
+        'profile.posts': 'Posts',
+        'profile.replies': 'Replies',
+        'profile.accountTab': 'Account',
+        'profile.postsTab': 'My posts',
+        'profile.editTitle': 'Edit Profile',
+        'profile.saveChanges': 'Save Changes',
+        'profile.passwordTitle': 'Change Password',
+        'profile.currentPassword': 'Current Password',
+        'profile.newPassword': 'New Password',
+        'profile.confirmPassword': 'Confirm New Password',
+        'profile.deleteTitle': 'Delete Account',
+        'profile.deleteWarning': 'This permanently deletes your account. This cannot be undone.',
+        'profile.deleteConfirmLabel': 'Type <strong>DELETE</strong> to confirm',
+        'profile.deleteButton': 'Delete My Account',
+        'profile.savedTab': 'Saved',
+        'profile.savedHeading': 'Saved posts',
+        'profile.savedSearchPlaceholder': 'Search saved posts by title or content',
+        'profile.savedSearchLabel': 'Search saved posts',
+        'profile.noSaved': 'No saved posts yet. Use &ldquo;Save&rdquo; on a post to keep it here.',
+        'profile.noSavedMatches': 'No saved posts match your search.',
+
+        // Notifications (notifications.js)
+        'notifications.untitledPost': 'a post',
+        'notifications.mention': '{actor} mentioned you in &ldquo;{title}&rdquo;',
+        'notifications.reply': '{actor} replied to your post &ldquo;{title}&rdquo;',
+        'notifications.title': 'Notifications',
+        'notifications.unreadLabel': { one: 'Notifications ({count} unread)', other: 'Notifications ({count} unread)' },
+        'notifications.empty': 'No notifications yet.',
+        'notifications.markRead': 'Mark read',
+        'notifications.markReadLabel': 'Mark as read',
+        'notifications.updateFailed': 'Failed to update notification',
+        'notifications.updateAllFailed': 'Failed to update notifications',
+        'notifications.desktopOff': 'Turn off browser notifications',
+        'notifications.desktopOn': 'Turn on browser notifications',
+        'notifications.desktopEnabled': 'Browser notifications turned on',
+        'notifications.desktopBlocked': 'Browser notifications are blocked for this site',
+        'notifications.markAllRead': 'Mark all read',
+        'notifications.followedReply': '{actor} replied in &ldquo;{title}&rdquo;, a thread you follow',
+
+        // Mentions (mentions.js)
+        'mentions.label': 'Mention suggestions',
+
+        // Attachments (attachments.js)
+        'attachments.label': 'Attachments',
+        'attachments.dropHint': 'Drag images or PDFs here, or',
+        'attachments.browse': 'choose files',
+        'attachments.limits': { one: 'Up to {count} file: JPEG, PNG, GIF or WebP images and PDFs, {size} each at most', other: 'Up to {count} files: JPEG, PNG, GIF or WebP images and PDFs, {size} each at most' },
+        'attachments.invalidType': '{name} can\'t be attached: only images and PDFs are allowed.',
+        'attachments.tooLarge': '{name} is larger than {size}.',
+        'attachments.tooMany': { one: 'A post can have at most {count} attachment.', other: 'A post can have at most {count} attachments.' },
+        'attachments.preparing': 'Preparing...',
+        'attachments.uploading': 'Uploading... {percent}%',
+        'attachments.uploaded': 'Uploaded',
+        'attachments.uploadFailed': 'Upload failed.',
+        'attachments.retry': 'Retry',
+        'attachments.remove': 'Remove {name}',
+        'attachments.unfinished': 'Wait for the attachments to finish uploading, or remove the ones that failed.',
+        'attachments.gallery': 'Attached images',
+        'attachments.pdf': 'PDF document',
+        'attachments.viewer': 'Image viewer',
+        'attachments.close': 'Close',
+        'attachments.previous': 'Previous image',
+        'attachments.next': 'Next image',
+        'attachments.imagePosition': '{name} ({current} of {total})',
+
+        // Reporting posts (reports.js)
+        'reports.report': 'Report',
+        'reports.reported': 'Reported',
+        'reports.reasonLabel': 'Why are you reporting this post?',
+        'reports.chooseReason': 'Choose a reason',
+        'reports.reasons.spam': 'Spam or advertising',
+        'reports.reasons.harassment': 'Harassment or bullying',
+        'reports.reasons.offensive': 'Offensive or hateful content',
+        'reports.reasons.off_topic': 'Off-topic or in the wrong subject',
+        'reports.reasons.other': 'Something else',
+        'reports.detailsLabel': 'Details (optional)',
+        'reports.detailsPlaceholder': 'Tell the moderators what is wrong',
+        'reports.send': 'Send report',
+        'reports.sent': 'Thanks. The moderators will review this post.',
+        'reports.reasonRequired': 'Choose a reason for the report.',
+        'reports.detailsRequired': 'Tell the moderators what is wrong with this post.',
+        'reports.failed': 'Could not send the report. Please try again.',
+
+        // Moderation page (moderation.js)
+        'moderation.pageTitle': 'Moderation - AcademiaTalk',
+        'moderation.heading': 'Moderation',
+        'moderation.loading': 'Loading reports...',
+        'moderation.openTab': 'Reported',
+        'moderation.hiddenTab': 'Hidden',
+        'moderation.noReports': 'No reported posts. All clear!',
+        'moderation.noHidden': 'No hidden posts.',
+        'moderation.loadFailed': 'Could not load the moderation queue. Please try again.',
+        'moderation.reportCount': { one: '{count} report', other: '{count} reports' },
+        'moderation.author': 'By {name}',
+        'moderation.warningCount': { one: '{count} warning', other: '{count} warnings' },
+        'moderation.suspendedUntil': 'suspended until {date}',
+        'moderation.reportedBy': '{name} · {date}',
+        'moderation.hide': 'Hide',
+        'moderation.restore': 'Restore',
+        'moderation.dismiss': 'Dismiss reports',
+        'moderation.deleteConfirm': 'Delete this post for good? This cannot be undone.',
+        'moderation.warn': 'Warn author',
+        'moderation.warnLabel': 'Message to the author',
+        'moderation.sendWarning': 'Send warning',
+        'moderation.messageRequired': 'Write the warning message.',
+        'moderation.suspend': 'Suspend author',
+        'moderation.suspendLength': 'Suspend for',
+        'moderation.days': { one: '{count} day', other: '{count} days' },
+        'moderation.suspendReason': 'Reason, shown to the author',
+        'moderation.reasonRequired': 'Give a reason for the suspension.',
+        'moderation.actionFailed': 'Could not complete the action. Please try again.',
+
+        // Bookmarks and follows (bookmarks.js)
+        'bookmarks.save': 'Save',
+        'bookmarks.saved': 'Saved',
+        'bookmarks.saveHint': 'Save this post to read it later',
+        'bookmarks.removeHint': 'Remove from your saved posts',
+        'bookmarks.follow': 'Follow',
+        'bookmarks.following': 'Following',
+        'bookmarks.followHint': 'Get notified of new replies in this thread',
+        'bookmarks.unfollowHint': 'Stop getting notified of this thread',
+        'bookmarks.followed': 'You will be notified of new replies in this thread.',
+        'bookmarks.unfollowed': 'You no longer follow this thread.',
+        'bookmarks.savedOffline': 'You\'re offline. The change is saved on this device and will sync when you\'re back online.',
+        'bookmarks.offlineNotice': 'You\'re offline: showing the saved posts stored on this device.',
+        'bookmarks.saveFailed': 'Failed to update your saved posts. Please try again.',
+        'bookmarks.followFailed': 'Failed to update the thread follow. Please try again.',
+        'bookmarks.loadFailed': 'Failed to load your saved posts. Please try again.',
+
+        // Direct messages (direct-messages.js, inbox.js)
+        'messages.pageTitle': 'Messages - AcademiaTalk',
+        'messages.heading': 'Messages',
+        'messages.loading': 'Loading conversations...',
+        'messages.conversations': 'Conversations',
+        'messages.noConversations': 'No conversations yet.',
+        'messages.pickConversation': 'Pick a conversation, or use &ldquo;Message&rdquo; next to an author\'s name to start one.',
+        'messages.noMessages': 'No messages yet. Say hello!',
+        'messages.loadOlder': 'Load older messages',
+        'messages.bodyLabel': 'Your message',
+        'messages.bodyPlaceholder': 'Write a message... (Enter to send, Shift+Enter for a new line)',
+        'messages.send': 'Send',
+        'messages.message': 'Message',
+        'messages.messageUser': 'Send {name} a message',
+        'messages.youPrefix': 'You: {text}',
+        'messages.unreadLabel': { one: 'Messages ({count} unread)', other: 'Messages ({count} unread)' },
+        'messages.bodyRequired': 'Write a message first.',
+        'messages.bodyTooLong': 'Messages can be at most {max} characters long.',
+        'messages.cannotMessageSelf': 'You can\'t send messages to yourself.',
+        'messages.loadConversationsFailed': 'Failed to load your conversations. Please try again.',
+        'messages.loadMessagesFailed': 'Failed to load the messages. Please try again.',
+        'messages.startFailed': 'Failed to start the conversation. Please try again.',
+        'messages.sendFailed': 'Failed to send your message. Please try again.',
+
+        // Polls (polls.js)
+        'polls.add': '+ Add a poll',
+        'polls.label': 'Poll',
+        'polls.addOption': 'Add option',
+        'polls.optionLabel': 'Option {number}',
+        'polls.removeOption': 'Remove option {number}',
+        'polls.allowMultiple': 'Let people choose more than one option',
+        'polls.closesAtLabel': 'Closes on (optional)',
+        'polls.remove': 'Remove poll',
+        'polls.tooFewOptions': 'A poll needs at least {min} options.',
+        'polls.tooManyOptions': 'A poll can have at most {max} options.',
+        'polls.optionTooLong': 'Poll options can be at most {max} characters long.',
+        'polls.duplicateOptions': 'Each poll option must be different.',
+        'polls.closeDateInPast': 'The closing date must be in the future.',
+        'polls.singleChoice': 'Choose one option',
+        'polls.multipleChoice': 'Choose one or more options',
+        'polls.result': { one: '{percent}% ({count} vote)', other: '{percent}% ({count} votes)' },
+        'polls.voters': { one: '{count} person voted', other: '{count} people voted' },
+        'polls.yourVote': 'Your vote',
+        'polls.closed': 'Voting has closed',
+        'polls.closesOn': 'Closes {date}',
+        'polls.vote': 'Vote',
+        'polls.voted': 'Your vote was saved.',
+        'polls.chooseOption': 'Choose an option first.',
+        'polls.alreadyVoted': 'You already voted in this poll.',
+        'polls.closedError': 'This poll is closed.',
+        'polls.voteFailed': 'Failed to save your vote. Please try again.',
+
+        // Color themes (theme.js)
+        'theme.system': 'System theme',
+        'theme.light': 'Light',
+        'theme.dark': 'Dark',
+        'theme.highContrast': 'High contrast'
+    },
+
+    es: {
+        // Shared
+        'common.undo': 'Deshacer',
+        'common.edit': 'Editar',
+        'common.delete': 'Eliminar',
+        'common.cancel': 'Cancelar',
+        'common.save': 'Guardar',
+        'common.characterCount': 'Caracteres:',
+        'common.redirecting': 'Redirigiendo...',
+        'common.loading': 'Cargando...',
+        'common.loadMore': 'Cargar más',
+        'common.discard': 'Descartar',
+        'common.pageTitle': '{title} - AcademiaTalk',
+        'common.processing': 'Procesando...',
+
+        // Server requests (api.js)
+        'api.timeout': 'El servidor tardó demasiado en responder. Inténtalo de nuevo.',
+        'api.connectionFailed': 'No se pudo conectar con el servidor. Inténtalo más tarde.',
+        'api.sessionExpired': 'Tu sesión ha caducado. Vuelve a iniciar sesión.',
+        'api.unexpectedResponse': 'Respuesta inesperada del servidor (HTTP {status})',
+
+        // Dates
+        'time.justNow': 'Justo ahora',
+
+        // Page header
+        'header.logoAlt': 'Logotipo de AcademiaTalk',
+        'header.home': 'Inicio',
+        'header.language': 'Idioma',
+        'header.forum': 'Foro',
+        'header.profile': 'Perfil',
+        'header.logout': 'Cerrar sesión',
+        'header.moderation': 'Moderación',
+        'header.messages': 'Mensajes',
+        'header.theme': 'Tema',
+
+        // Form validation (validation.js)
+        'validation.nameLength': 'El nombre debe tener entre {min} y {max} caracteres',
+        'validation.invalidEmail': 'Introduce un correo electrónico válido',
+        'validation.passwordLength': 'La contraseña debe tener al menos {min} caracteres',
+        'validation.passwordCommon': 'Esta contraseña es demasiado común. Elige una más difícil de adivinar.',
+        'validation.confirmRequired': 'Repite tu contraseña',
+        'validation.passwordMismatch': 'Las contraseñas no coinciden',
+        'validation.hintLength': 'Usa al menos {min} caracteres',
+        'validation.hintCase': 'Combina mayúsculas y minúsculas',
+        'validation.hintDigit': 'Añade un número',
+        'validation.hintSymbol': 'Añade un símbolo como ! o #',
+        'validation.hintPersonal': 'No uses tu nombre ni tu correo',
+
+        // Password strength meter
+        'strength.tooWeak': 'Demasiado débil',
+        'strength.weak': 'Débil',
+        'strength.fair': 'Aceptable',
+        'strength.good': 'Buena',
+        'strength.strong': 'Fuerte',
+
+        // Login page
+        'index.pageTitle': 'AcademiaTalk - Plataforma de foros académicos',
+        'index.welcome': 'Bienvenido a AcademiaTalk',
+        'index.tagline': 'Tu plataforma para debatir y compartir conocimiento académico',
+
+        // Login and registration (auth.js)
+        'auth.loginToContinue': 'Inicia sesión para continuar.',
+        'auth.passwordRequired': 'La contraseña es obligatoria',
+        'auth.loginTitle': 'Iniciar sesión',
+        'auth.email': 'Correo electrónico',
+        'auth.password': 'Contraseña',
+        'auth.passwordPlaceholder': 'Escribe tu contraseña',
+        'auth.loginButton': 'Entrar',
+        'auth.registerTitle': 'Registrarse',
+        'auth.name': 'Nombre',
+        'auth.namePlaceholder': 'Tu nombre completo',
+        'auth.passwordHint': 'Al menos 6 caracteres',
+        'auth.registerButton': 'Crear cuenta',
+        'auth.forgotPassword': '¿Olvidaste tu contraseña?',
+        'auth.forgotTitle': 'Restablecer la contraseña',
+        'auth.forgotHint': 'Escribe el correo con el que te registraste y te enviaremos un enlace para elegir una contraseña nueva.',
+        'auth.sendResetLink': 'Enviar enlace',
+        'auth.backToLogin': 'Volver a iniciar sesión',
+        'auth.verifyTitle': 'Confirma tu correo',
+        'auth.verifySent': 'Enviamos un enlace de confirmación a {email}. Ábrelo para activar tu cuenta y después inicia sesión.',
+        'auth.verifyHint': '¿No te ha llegado? Revisa la carpeta de spam o vuelve a enviarlo.',
+        'auth.resendVerification': 'Reenviar correo',
+        'auth.resendIn': { one: 'Reenviar en {count} segundo', other: 'Reenviar en {count} segundos' },
+        'auth.resendFailed': 'No se pudo reenviar el correo. Inténtalo de nuevo.',
+        'auth.verifyFailed': 'No se pudo confirmar tu correo. Inténtalo de nuevo.',
+        'auth.resetRequestFailed': 'No se pudo enviar el enlace. Inténtalo de nuevo.',
+        'auth.showPassword': 'Mostrar',
+        'auth.hidePassword': 'Ocultar',
+        'auth.showPasswordLabel': 'Mostrar contraseña',
+        'auth.rememberMe': 'Mantener la sesión iniciada 30 días',
+        'auth.confirmPassword': 'Repite la contraseña',
+
+        // Password reset page (password-reset.js)
+        'reset.pageTitle': 'Restablecer contraseña - AcademiaTalk',
+        'reset.title': 'Elige una contraseña nueva',
+        'reset.submit': 'Guardar contraseña',
+        'reset.invalidTitle': 'Este enlace no es válido',
+        'reset.invalidHint': 'Los enlaces solo sirven una vez y caducan al cabo de un tiempo. Pide uno nuevo y usa el correo más reciente.',
+        'reset.requestNew': 'Enviarme otro enlace',
+        'reset.doneTitle': 'Contraseña cambiada',
+        'reset.doneHint': 'Ya puedes iniciar sesión con tu nueva contraseña.',
+        'reset.failed': 'No se pudo cambiar la contraseña. Inténtalo de nuevo.',
+
+        // Navigation (router.js)
+        'router.authCheckFailed': 'No se pudo verificar la sesión',
+
+        // Subjects (categories.js)
+        'categories.unnamed': 'Categoría',
+        'categories.allPosts': 'Todas las publicaciones',
+        'categories.choose': 'Elige una asignatura...',
+        'categories.heading': 'Asignaturas',
+
+        // Tags
+        'tags.tooMany': { one: 'Usa como máximo {count} etiqueta', other: 'Usa como máximo {count} etiquetas' },
+        'tags.invalid': 'Las etiquetas deben tener entre 2 y 30 caracteres: letras, números y guiones',
+
+        // Search (search.js)
+        'search.tooLong': 'La búsqueda no puede superar los {max} caracteres',
+        'search.invalidDateRange': 'La fecha de inicio debe ser anterior a la fecha de fin',
+        'search.placeholder': 'Busca por título o contenido',
+        'search.label': 'Buscar publicaciones',
+        'search.submit': 'Buscar',
+        'search.author': 'Autor',
+        'search.anyAuthor': 'Cualquier autor',
+        'search.from': 'Desde',
+        'search.to': 'Hasta',
+        'search.mine': 'Solo mis publicaciones',
+        'search.clear': 'Borrar búsqueda',
+
+        // Markdown editor
+        'editor.write': 'Escribir',
+        'editor.preview': 'Vista previa',
+
+        // Markdown (markdown.js)
+        'markdown.emptyPreview': 'Nada que previsualizar',
+
+        // Posts (posts.js, post-actions.js)
+        'posts.contentLength': 'El contenido debe tener entre {min} y {max} caracteres',
+        'posts.titleLength': 'El título debe tener entre {min} y {max} caracteres',
+        'posts.edited': 'editado {date}',
+        'posts.answered': 'Respondida',
+        'posts.title': 'Título',
+        'posts.content': 'Contenido',
+        'posts.updateFailed': 'No se pudo actualizar la publicación. Inténtalo de nuevo.',
+        'posts.deleteFailed': 'No se pudo eliminar la publicación. Inténtalo de nuevo.',
+        'posts.deleteConfirm': '¿Eliminar esta publicación? No se puede deshacer.',
+        'posts.deleted': 'Publicación eliminada.',
+        'posts.hiddenBadge': 'Oculta',
+        'posts.hiddenPlaceholder': 'Los moderadores ocultaron esta publicación.',
+
+        // Votes (votes.js)
+        'votes.ownContent': 'No puedes votar tu propio contenido',
+        'votes.upvote': 'Votar a favor',
+        'votes.score': 'Puntuación',
+        'votes.downvote': 'Votar en contra',
+        'votes.saveFailed': 'No se pudo guardar tu voto. Inténtalo de nuevo.',
+
+        // Replies (replies.js)
+        'replies.count': { one: '{count} respuesta', other: '{count} respuestas' },
+        'replies.placeholder': 'Escribe una respuesta... ({min}-{max} caracteres)',
+        'replies.reply': 'Responder',
+        'replies.accept': 'Aceptar respuesta',
+        'replies.unaccept': 'Quitar aceptación',
+        'replies.accepted': 'Respuesta aceptada',
+        'replies.loading': 'Cargando respuestas...',
+        'replies.empty': 'Todavía no hay respuestas.',
+        'replies.loadFailed': 'No se pudieron cargar las respuestas',
+        'replies.createFailed': 'No se pudo publicar la respuesta. Inténtalo de nuevo.',
+        'replies.acceptFailed': 'No se pudo actualizar la respuesta aceptada. Inténtalo de nuevo.',
+
+        // Forum page (forum.js)
+        'forum.searchResults': 'Resultados de búsqueda',
+        'forum.taggedPosts': 'Publicaciones con #{tag}',
+        'forum.recentPosts': 'Publicaciones recientes',
+        'forum.showingCached': 'Estás sin conexión. Se muestran las publicaciones guardadas en tu última visita.',
+        'forum.noMatches': 'Ninguna publicación coincide con tu búsqueda.',
+        'forum.noPosts': 'Todavía no hay publicaciones. ¡Sé el primero en compartir tus ideas!',
+        'forum.loadFailed': 'No se pudieron cargar las publicaciones',
+        'forum.loadMoreFailed': 'No se pudieron cargar más publicaciones',
+        'forum.subjectRequired': 'Elige una asignatura para tu publicación',
+        'forum.createFailed': 'No se pudo crear la publicación. Inténtalo de nuevo.',
+        'forum.newPostsBanner': { one: '{count} publicación nueva — pulsa para verla', other: '{count} publicaciones nuevas — pulsa para verlas' },
+        'forum.online': 'Conexión recuperada.',
+        'forum.offline': 'Estás sin conexión. Las nuevas publicaciones se guardarán y se enviarán más tarde.',
+        'forum.pageTitle': 'Foro - AcademiaTalk',
+        'forum.heading': 'Foro académico',
+        'forum.createTitle': 'Nueva publicación',
+        'forum.titlePlaceholder': 'Escribe el título (5-200 caracteres)',
+        'forum.subject': 'Asignatura',
+        'forum.contentPlaceholder': 'Comparte tus ideas... (10-5000 caracteres)',
+        'forum.contentHint': 'Admite Markdown y fórmulas ($x^2$, $$...$$) · @menciona a otras personas',
+        'forum.tags': 'Etiquetas',
+        'forum.tagsPlaceholder': 'p. ej. calculo, examenes (opcional, hasta 5)',
+        'forum.publish': 'Publicar',
+        'forum.loadingPosts': 'Cargando publicaciones...',
+        'forum.sortBy': 'Ordenar por',
+        'forum.sortNewest': 'Más recientes',
+        'forum.sortVotes': 'Más votadas',
+        'forum.sortActivity': 'Más activas',
+        'forum.sortUnanswered': 'Sin responder',
+
+        // Posts written offline (forum.js)
+        'queue.failed': 'No publicada: {error}',
+        'queue.rejected': 'rechazada por el servidor',
+        'queue.pending': 'Pendiente de publicar — se enviará cuando vuelva la conexión',
+        'queue.retry': 'Reintentar',
+        'queue.sendNow': 'Enviar ahora',
+        'queue.unavailable': 'No se pudo conectar con el servidor. Tu publicación sigue en el formulario; inténtalo más tarde.',
+        'queue.queued': 'Parece que estás sin conexión. Tu publicación se ha guardado y se publicará cuando vuelva la conexión.',
+        'queue.published': 'Tu publicación guardada se ha publicado.',
+        'queue.discardConfirm': '¿Descartar esta publicación? Todavía no se ha publicado.',
+
+        // Drafts (drafts.js)
+        'drafts.saved': 'Borrador guardado',
+        'drafts.restored': 'Borrador recuperado',
+        'drafts.untitled': 'Sin título',
+        'drafts.savedAt': 'guardado {date}',
+        'drafts.savedEditing': 'Editando ahora &middot; guardado {date}',
+        'drafts.resume': 'Continuar',
+        'drafts.discardConfirm': '¿Descartar este borrador?',
+        'drafts.heading': 'Borradores',
+        'drafts.new': 'Empezar otra publicación',
+
+        // Post page (post.js)
+        'post.notFound': 'Publicación no encontrada',
+        'post.linkCopied': 'Enlace copiado al portapapeles',
+        'post.showingCached': 'Estás sin conexión. Se muestra la versión guardada en tu última visita.',
+        'post.loadFailed': 'No se pudo cargar la publicación',
+        'post.copyLink': 'Copiar enlace',
+        'post.pageTitle': 'Publicación - AcademiaTalk',
+        'post.backToForum': 'Volver al foro',
+        'post.loading': 'Cargando publicación...',
+        'post.notFoundHint': 'Esta publicación no existe o se ha eliminado.',
+
+        // Profile page (profile.js)
+        'profile.loadFailed': 'No se pudo cargar el perfil',
+        'profile.notFound': 'Usuario no encontrado',
+        'profile.noPosts': 'Todavía no hay publicaciones.',
+        'profile.noChanges': 'No hay cambios que guardar',
+        'profile.updateFailed': 'No se pudo actualizar el perfil. Inténtalo de nuevo.',
+        'profile.currentPasswordRequired': 'La contraseña actual es obligatoria',
+        'profile.passwordMismatch': 'Las contraseñas nuevas no coinciden',
+        'profile.passwordUnchanged': 'La contraseña nueva debe ser distinta de la actual',
+        'profile.passwordFailed': 'No se pudo cambiar la contraseña. Inténtalo de nuevo.',
+        'profile.deleteConfirmHint': 'Escribe {text} para confirmar',
+        'profile.deleteFailed': 'No se pudo eliminar la cuenta. Inténtalo de nuevo.',
+        'profile.myPosts': 'Mis publicaciones',
+        'profile.pageTitle': 'Perfil - AcademiaTalk',
+        'profile.heading': 'Mi perfil',
+        'profile.loading': 'Cargando perfil...',
+        'profile.notFoundHint': 'Este usuario no existe o ha eliminado su cuenta.',
+        'profile.accountInfo': 'Datos de la cuenta',
+        'profile.userId': 'ID de usuario',
+        'profile.memberSince': 'Miembro desde',
+        'profile.posts': 'Publicaciones',
+        'profile.replies': 'Respuestas',
+        'profile.accountTab': 'Cuenta',
+        'profile.postsTab': 'Mis publicaciones',
+        'profile.editTitle': 'Editar perfil',
+        'profile.saveChanges': 'Guardar cambios',
+        'profile.passwordTitle': 'Cambiar contraseña',
+        'profile.currentPassword': 'Contraseña actual',
+        'profile.newPassword': 'Contraseña nueva',
+        'profile.confirmPassword': 'Repite la contraseña nueva',
+        'profile.deleteTitle': 'Eliminar cuenta',
+        'profile.deleteWarning': 'Se eliminará tu cuenta para siempre. No se puede deshacer.',
+        'profile.deleteConfirmLabel': 'Escribe <strong>DELETE</strong> para confirmar',
+        'profile.deleteButton': 'Eliminar mi cuenta',
+        'profile.savedTab': 'Guardadas',
+        'profile.savedHeading': 'Publicaciones guardadas',
+        'profile.savedSearchPlaceholder': 'Buscar en las guardadas por título o contenido',
+        'profile.savedSearchLabel': 'Buscar publicaciones guardadas',
+        'profile.noSaved': 'Todavía no has guardado publicaciones. Usa &laquo;Guardar&raquo; en una publicación para tenerla aquí.',
+        'profile.noSavedMatches': 'Ninguna publicación guardada coincide con tu búsqueda.',
+
+        // Notifications (notifications.js)
+        'notifications.untitledPost': 'una publicación',
+        'notifications.mention': '{actor} te mencionó en &laquo;{title}&raquo;',
+        'notifications.reply': '{actor} respondió a tu publicación &laquo;{title}&raquo;',
+        'notifications.title': 'Notificaciones',
+        'notifications.unreadLabel': { one: 'Notificaciones ({count} sin leer)', other: 'Notificaciones ({count} sin leer)' },
+        'notifications.empty': 'Todavía no tienes notificaciones.',
+        'notifications.markRead': 'Marcar como leída',
+        'notifications.markReadLabel': 'Marcar como leída',
+        'notifications.updateFailed': 'No se pudo actualizar la notificación',
+        'notifications.updateAllFailed': 'No se pudieron actualizar las notificaciones',
+        'notifications.desktopOff': 'Desactivar notificaciones del navegador',
+        'notifications.desktopOn': 'Activar notificaciones del navegador',
+        'notifications.desktopEnabled': 'Notificaciones del navegador activadas',
+        'notifications.desktopBlocked': 'Las notificaciones del navegador están bloqueadas para este sitio',
+        'notifications.markAllRead': 'Marcar todas como leídas',
+        'notifications.followedReply': '{actor} respondió en &laquo;{title}&raquo;, un hilo que sigues',
+
+        // Mentions (mentions.js)
+        'mentions.label': 'Sugerencias de menciones',
+
+        // Attachments (attachments.js)
+        'attachments.label': 'Adjuntos',
+        'attachments.dropHint': 'Arrastra imágenes o PDF aquí, o',
+        'attachments.browse': 'elige archivos',
+        'attachments.limits': { one: 'Hasta {count} archivo: imágenes JPEG, PNG, GIF o WebP y PDF, de {size} como máximo cada uno', other: 'Hasta {count} archivos: imágenes JPEG, PNG, GIF o WebP y PDF, de {size} como máximo cada uno' },
+        'attachments.invalidType': 'No se puede adjuntar {name}: solo se permiten imágenes y PDF.',
+        'attachments.tooLarge': '{name} ocupa más de {size}.',
+        'attachments.tooMany': { one: 'Una publicación puede tener como máximo {count} adjunto.', other: 'Una publicación puede tener como máximo {count} adjuntos.' },
+        'attachments.preparing': 'Preparando...',
+        'attachments.uploading': 'Subiendo... {percent}%',
+        'attachments.uploaded': 'Subido',
+        'attachments.uploadFailed': 'No se pudo subir el archivo.',
+        'attachments.retry': 'Reintentar',
+        'attachments.remove': 'Quitar {name}',
+        'attachments.unfinished': 'Espera a que terminen de subirse los adjuntos o quita los que fallaron.',
+        'attachments.gallery': 'Imágenes adjuntas',
+        'attachments.pdf': 'Documento PDF',
+        'attachments.viewer': 'Visor de imágenes',
+        'attachments.close': 'Cerrar',
+        'attachments.previous': 'Imagen anterior',
+        'attachments.next': 'Imagen siguiente',
+        'attachments.imagePosition': '{name} ({current} de {total})',
+
+        // Reporting posts (reports.js)
+        'reports.report': 'Denunciar',
+        'reports.reported': 'Denunciada',
+        'reports.reasonLabel': '¿Por qué denuncias esta publicación?',
+        'reports.chooseReason': 'Elige un motivo',
+        'reports.reasons.spam': 'Spam o publicidad',
+        'reports.reasons.harassment': 'Acoso',
+        'reports.reasons.offensive': 'Contenido ofensivo o de odio',
+        'reports.reasons.off_topic': 'Fuera de tema o en la materia equivocada',
+        'reports.reasons.other': 'Otro motivo',
+        'reports.detailsLabel': 'Detalles (opcional)',
+        'reports.detailsPlaceholder': 'Cuéntales a los moderadores qué ocurre',
+        'reports.send': 'Enviar denuncia',
+        'reports.sent': 'Gracias. Los moderadores revisarán esta publicación.',
+        'reports.reasonRequired': 'Elige un motivo para la denuncia.',
+        'reports.detailsRequired': 'Cuéntales a los moderadores qué ocurre con esta publicación.',
+        'reports.failed': 'No se pudo enviar la denuncia. Inténtalo de nuevo.',
+
+        // Moderation page (moderation.js)
+        'moderation.pageTitle': 'Moderación - AcademiaTalk',
+        'moderation.heading': 'Moderación',
+        'moderation.loading': 'Cargando denuncias...',
+        'moderation.openTab': 'Denunciadas',
+        'moderation.hiddenTab': 'Ocultas',
+        'moderation.noReports': 'No hay publicaciones denunciadas. ¡Todo en orden!',
+        'moderation.noHidden': 'No hay publicaciones ocultas.',
+        'moderation.loadFailed': 'No se pudo cargar la cola de moderación. Inténtalo de nuevo.',
+        'moderation.reportCount': { one: '{count} denuncia', other: '{count} denuncias' },
+        'moderation.author': 'De {name}',
+        'moderation.warningCount': { one: '{count} aviso', other: '{count} avisos' },
+        'moderation.suspendedUntil': 'suspendido hasta el {date}',
+        'moderation.reportedBy': '{name} · {date}',
+        'moderation.hide': 'Ocultar',
+        'moderation.restore': 'Restaurar',
+        'moderation.dismiss': 'Descartar denuncias',
+        'moderation.deleteConfirm': '¿Eliminar esta publicación definitivamente? No se puede deshacer.',
+        'moderation.warn': 'Avisar al autor',
+        'moderation.warnLabel': 'Mensaje para el autor',
+        'moderation.sendWarning': 'Enviar aviso',
+        'moderation.messageRequired': 'Escribe el mensaje del aviso.',
+        'moderation.suspend': 'Suspender al autor',
+        'moderation.suspendLength': 'Suspender durante',
+        'moderation.days': { one: '{count} día', other: '{count} días' },
+        'moderation.suspendReason': 'Motivo, visible para el autor',
+        'moderation.reasonRequired': 'Indica el motivo de la suspensión.',
+        'moderation.actionFailed': 'No se pudo completar la acción. Inténtalo de nuevo.',
+
+        // Bookmarks and follows (bookmarks.js)
+        'bookmarks.save': 'Guardar',
+        'bookmarks.saved': 'Guardada',
+        'bookmarks.saveHint': 'Guarda esta publicación para leerla más tarde',
+        'bookmarks.removeHint': 'Quitar de tus publicaciones guardadas',
+        'bookmarks.follow': 'Seguir',
+        'bookmarks.following': 'Siguiendo',
+        'bookmarks.followHint': 'Recibe avisos de las nuevas respuestas en este hilo',
+        'bookmarks.unfollowHint': 'Deja de recibir avisos de este hilo',
+        'bookmarks.followed': 'Recibirás avisos de las nuevas respuestas en este hilo.',
+        'bookmarks.unfollowed': 'Ya no sigues este hilo.',
+        'bookmarks.savedOffline': 'Estás sin conexión. El cambio se guarda en este dispositivo y se sincronizará al volver a conectarte.',
+        'bookmarks.offlineNotice': 'Estás sin conexión: se muestran las publicaciones guardadas en este dispositivo.',
+        'bookmarks.saveFailed': 'No se pudieron actualizar tus publicaciones guardadas. Inténtalo de nuevo.',
+        'bookmarks.followFailed': 'No se pudo actualizar el seguimiento del hilo. Inténtalo de nuevo.',
+        'bookmarks.loadFailed': 'No se pudieron cargar tus publicaciones guardadas. Inténtalo de nuevo.',
+
+        // Direct messages (direct-messages.js, inbox.js)
+        'messages.pageTitle': 'Mensajes - AcademiaTalk',
+        'messages.heading': 'Mensajes',
+        'messages.loading': 'Cargando conversaciones...',
+        'messages.conversations': 'Conversaciones',
+        'messages.noConversations': 'Todavía no tienes conversaciones.',
+        'messages.pickConversation': 'Elige una conversación, o usa &laquo;Mensaje&raquo; junto al nombre de un autor para empezar una.',
+        'messages.noMessages': 'Todavía no hay mensajes. ¡Saluda!',
+        'messages.loadOlder': 'Cargar mensajes anteriores',
+        'messages.bodyLabel': 'Tu mensaje',
+        'messages.bodyPlaceholder': 'Escribe un mensaje... (Intro para enviar, Mayús+Intro para una nueva línea)',
+        'messages.send': 'Enviar',
+        'messages.message': 'Mensaje',
+        'messages.messageUser': 'Enviar un mensaje a {name}',
+        'messages.youPrefix': 'Tú: {text}',
+        'messages.unreadLabel': { one: 'Mensajes ({count} sin leer)', other: 'Mensajes ({count} sin leer)' },
+        'messages.bodyRequired': 'Escribe un mensaje primero.',
+        'messages.bodyTooLong': 'Los mensajes pueden tener como máximo {max} caracteres.',
+        'messages.cannotMessageSelf': 'No puedes enviarte mensajes.',
+        'messages.loadConversationsFailed': 'No se pudieron cargar tus conversaciones. Inténtalo de nuevo.',
+        'messages.loadMessagesFailed': 'No se pudieron cargar los mensajes. Inténtalo de nuevo.',
+        'messages.startFailed': 'No se pudo iniciar la conversación. Inténtalo de nuevo.',
+        'messages.sendFailed': 'No se pudo enviar tu mensaje. Inténtalo de nuevo.',
+
+        // Polls (polls.js)
+        'polls.add': '+ Añadir una encuesta',
+        'polls.label': 'Encuesta',
+        'polls.addOption': 'Añadir opción',
+        'polls.optionLabel': 'Opción {number}',
+        'polls.removeOption': 'Quitar la opción {number}',
+        'polls.allowMultiple': 'Permitir elegir más de una opción',
+        'polls.closesAtLabel': 'Se cierra el (opcional)',
+        'polls.remove': 'Quitar la encuesta',
+        'polls.tooFewOptions': 'Una encuesta necesita al menos {min} opciones.',
+        'polls.tooManyOptions': 'Una encuesta puede tener como máximo {max} opciones.',
+        'polls.optionTooLong': 'Las opciones pueden tener como máximo {max} caracteres.',
+        'polls.duplicateOptions': 'Cada opción de la encuesta debe ser distinta.',
+        'polls.closeDateInPast': 'La fecha de cierre debe ser posterior a ahora.',
+        'polls.singleChoice': 'Elige una opción',
+        'polls.multipleChoice': 'Elige una o más opciones',
+        'polls.result': { one: '{percent}% ({count} voto)', other: '{percent}% ({count} votos)' },
+        'polls.voters': { one: 'Ha votado {count} persona', other: 'Han votado {count} personas' },
+        'polls.yourVote': 'Tu voto',
+        'polls.closed': 'La votación está cerrada',
+        'polls.closesOn': 'Se cierra el {date}',
+        'polls.vote': 'Votar',
+        'polls.voted': 'Se guardó tu voto.',
+        'polls.chooseOption': 'Elige una opción primero.',
+        'polls.alreadyVoted': 'Ya votaste en esta encuesta.',
+        'polls.closedError': 'Esta encuesta está cerrada.',
+        'polls.voteFailed': 'No se pudo guardar tu voto. Inténtalo de nuevo.',
+
+        // Color themes (theme.js)
+        'theme.system': 'Tema del sistema',
+        'theme.light': 'Claro',
+        'theme.dark': 'Oscuro',
+        'theme.highContrast': 'Alto contraste'
+    }
+};
@@ -0,0 +1,402 @@
+/**
+ * Moderation Module
+ *
+ * The moderation page (moderation.html), for moderators and admins only.
+ * Lists reported posts with their reports, or the posts already hidden,
+ * and lets moderators hide, restore or delete a post, dismiss its reports,
+ * and warn or suspend its author. Every action is checked again by the backend.
+ */
+
+// apiRequest, showMessage, toggleLoading, reportApiError and escapeHtml are defined in api.js
+// createPostBodyHTML and formatDate are defined in posts.js
+// REPORT_REASONS is defined in reports.js
+// registerView is defined in router.js
+// t and formatLocalDate are defined in i18n.js
+
+// Number of reported posts requested per page
+const MODERATION_PAGE_SIZE = 20;
+
+// Suspension lengths offered, in days
+const SUSPENSION_DAYS = [1, 3, 7, 30];
+
+// Actions on a post: endpoint and, for delete, the confirmation to ask first
+const MODERATION_POST_ACTIONS = {
+    hide: { path: 'moderation/hide-post.php' },
+    restore: { path: 'moderation/restore-post.php' },
+    dismiss: { path: 'moderation/dismiss-reports.php' },
+    delete: { path: 'moderation/delete-post.php', confirm: 'moderation.deleteConfirm' }
+};
+
+// Queue being shown
+const moderationState = {
+    status: 'open',
+    nextCursor: null,
+    loading: false,
+    requestId: 0
+};
+
+/**
+ * Read the queue to show from the page URL
+ * @returns {string} 'open' for reported posts, or 'hidden'
+ */
+function getModerationStatusFromUrl() {
+    return new URLSearchParams(window.location.search).get('status') === 'hidden' ? 'hidden' : 'open';
+}
+
+/**
+ * Create HTML for what is known about a post's author
+ * @param {Object} author - user_id, name, warning_count and suspended_until
+ * @returns {string} HTML string
+ */
+function createModerationAuthorHTML(author) {
+    const notes = [];
+    if (Number(author.warning_count) > 0) {
+        notes.push(t('moderation.warningCount', { count: Number(author.warning_count) }));
+    }
+    if (author.suspended_until && new Date(author.suspended_until) > new Date()) {
+        notes.push(t('moderation.suspendedUntil', { date: formatLocalDate(author.suspended_until, { dateStyle: 'medium' }) }));
+    }
+
+    return `
+        ${t('moderation.author', { name: escapeHtml(author.name) })}
+        ${notes.length ? `<span class="text-muted">(${escapeHtml(notes.join(', '))})</span>` : ''}
+    `;
+}
+
+/**
+ * Create HTML for the reports of a post
+ * @param {Array<Object>} reports - reason, details, reporter_name and created_at of each report
+ * @returns {string} HTML string
+ */
+function createReportsListHTML(reports) {
+    return `
+        <ul class="moderation-reports">
+            ${reports.map(report => `
+                <li>
+                    <strong>${escapeHtml(REPORT_REASONS.includes(report.reason) ? t(`reports.reasons.${report.reason}`) : report.reason)}</strong>
+                    ${report.details ? `<span>${escapeHtml(report.details)}</span>` : ''}
+                    <small class="text-muted">${t('moderation.reportedBy', { name: escapeHtml(report.reporter_name), date: formatDate(report.created_at) })}</small>
+                </li>
+            `).join('')}
+        </ul>
+    `;
+}
+
+/**
+ * Create HTML for the warn and suspend forms of an item, closed at first
+ * @param {number} postId - Post ID, to keep field IDs unique
+ * @returns {string} HTML string
+ */
+function createUserActionFormsHTML(postId) {
+    return `
+        <form class="moderation-user-form hidden" data-action="warn">
+            <div class="form-group">
+                <label for="warnMessage${postId}">${t('moderation.warnLabel')}</label>
+                <textarea id="warnMessage${postId}" name="message" maxlength="500" required></textarea>
+            </div>
+            <div class="reply-form-actions">
+                <button type="button" class="btn-link moderation-form-cancel">${t('common.cancel')}</button>
+                <button type="submit" class="btn btn-primary btn-sm">${t('moderation.sendWarning')}</button>
+            </div>
+        </form>
+        <form class="moderation-user-form hidden" data-action="suspend">
+            <div class="form-group">
+                <label for="suspendDays${postId}">${t('moderation.suspendLength')}</label>
+                <select id="suspendDays${postId}" name="days">
+                    ${SUSPENSION_DAYS.map(days => `<option value="${days}">${t('moderation.days', { count: days })}</option>`).join('')}
+                </select>
+            </div>
+            <div class="form-group">
+                <label for="suspendReason${postId}">${t('moderation.suspendReason')}</label>
+                <textarea id="suspendReason${postId}" name="reason" maxlength="500" required></textarea>
+            </div>
+            <div class="reply-form-actions">
+                <button type="button" class="btn-link moderation-form-cancel">${t('common.cancel')}</button>
+                <button type="submit" class="btn btn-danger btn-sm">${t('moderation.suspend')}</button>
+            </div>
+        </form>
+    `;
+}
+
+/**
+ * Create HTML for one post of the queue
+ * @param {Object} item - post, reports and author, from moderation/reports.php
+ * @returns {string} HTML string
+ */
+function createModerationItemHTML(item) {
+    const post = item.post;
+    const postId = Number(post.post_id);
+    const reports = item.reports || [];
+
+    const postActionsHTML = post.is_hidden
+        ? `<button type="button" class="btn btn-primary btn-sm" data-action="restore">${t('moderation.restore')}</button>`
+        : `<button type="button" class="btn btn-primary btn-sm" data-action="hide">${t('moderation.hide')}</button>` +
+          `<button type="button" class="btn-link" data-action="dismiss">${t('moderation.dismiss')}</button>`;
+
+    return `
+        <article class="card moderation-item" data-post-id="${postId}" data-author-id="${Number(item.author.user_id)}">
+            <div class="moderation-summary">
+                ${reports.length ? `<strong>${t('moderation.reportCount', { count: reports.length })}</strong>` : ''}
+                <span class="moderation-author">${createModerationAuthorHTML(item.author)}</span>
+            </div>
+            ${reports.length ? createReportsListHTML(reports) : ''}
+            <div class="post moderation-post">
+                ${createPostBodyHTML(post)}
+            </div>
+            <div class="moderation-actions">
+                ${postActionsHTML}
+                <button type="button" class="btn btn-danger btn-sm" data-action="delete">${t('common.delete')}</button>
+                <button type="button" class="btn-link moderation-user-toggle" data-form="warn">${t('moderation.warn')}</button>
+                <button type="button" class="btn-link moderation-user-toggle" data-form="suspend">${t('moderation.suspend')}</button>
+            </div>
+            ${createUserActionFormsHTML(postId)}
+        </article>
+    `;
+}
+
+/**
+ * Show the empty state once the last item of the queue is gone
+ */
+function updateModerationEmptyState() {
+    const queue = document.getElementById('moderationQueue');
+    if (!queue.querySelector('.moderation-item') && !moderationState.nextCursor) {
+        const key = moderationState.status === 'hidden' ? 'moderation.noHidden' : 'moderation.noReports';
+        queue.innerHTML = `<div class="no-posts">${t(key)}</div>`;
+    }
+}
+
+/**
+ * Show the "load more" button only while there are more items
+ */
+function updateLoadMoreReportsButton() {
+    const loadMoreBtn = document.getElementById('loadMoreReportsBtn');
+    loadMoreBtn.classList.toggle('hidden', !moderationState.nextCursor);
+    loadMoreBtn.disabled = moderationState.loading;
+    loadMoreBtn.textContent = moderationState.loading ? t('common.loading') : t('common.loadMore');
+}
+
+/**
+ * Load a page of the queue
+ * A load started for the other queue is dropped when its answer comes in.
+ * @param {boolean} append - Add to the list instead of replacing it
+ */
+async function loadModerationQueue(append = false) {
+    if (append && (moderationState.loading || !moderationState.nextCursor)) {
+        return;
+    }
+
+    const requestId = ++moderationState.requestId;
+    const queue = document.getElementById('moderationQueue');
+    moderationState.loading = true;
+    updateLoadMoreReportsButton();
+    if (!append) {
+        toggleLoading(true);
+        queue.innerHTML = '';
+    }
+
+    try {
+        const data = await apiRequest('moderation/reports.php', {
+            params: {
+                status: moderationState.status,
+                limit: MODERATION_PAGE_SIZE,
+                cursor: append ? moderationState.nextCursor : null
+            }
+        });
+        if (requestId !== moderationState.requestId) {
+            return;
+        }
+
+        if (data.success) {
+            queue.insertAdjacentHTML('beforeend', data.data.map(createModerationItemHTML).join(''));
+            moderationState.nextCursor = data.next_cursor || null;
+            updateModerationEmptyState();
+        } else {
+            showMessage(data.message, 'error');
+        }
+
+    } catch (error) {
+        if (requestId !== moderationState.requestId) {
+            return;
+        }
+        reportApiError(error, t('moderation.loadFailed'));
+    }
+
+    toggleLoading(false);
+    moderationState.loading = false;
+    updateLoadMoreReportsButton();
+}
+
+/**
+ * Switch between the reported and hidden queues
+ * The queue is kept in the URL (?status=hidden) so it can be linked to.
+ * @param {string} status - 'open' or 'hidden'
+ */
+function showModerationQueue(status) {
+    moderationState.status = status;
+    moderationState.nextCursor = null;
+
+    document.querySelectorAll('#moderationTabs .profile-tab').forEach(button => {
+        const active = button.dataset.status === status;
+        button.classList.toggle('active', active);
+        button.setAttribute('aria-selected', String(active));
+    });
+
+    const url = new URL(window.location.href);
+    if (status === 'hidden') {
+        url.searchParams.set('status', 'hidden');
+    } else {
+        url.searchParams.delete('status');
+    }
+    history.replaceState(history.state, '', url.href);
+
+    loadModerationQueue();
+}
+
+/**
+ * Hide, restore or delete a post, or dismiss its reports
+ * The post then leaves the queue being shown.
+ * @param {HTMLElement} itemElement - The .moderation-item element
+ * @param {string} action - Key of MODERATION_POST_ACTIONS
+ * @param {HTMLButtonElement} button - The clicked button
+ */
+async function moderatePost(itemElement, action, button) {
+    const config = MODERATION_POST_ACTIONS[action];
+    if (config.confirm && !confirm(t(config.confirm))) {
+        return;
+    }
+
+    button.disabled = true;
+
+    try {
+        const data = await apiRequest(config.path, {
+            method: 'POST',
+            body: { post_id: Number(itemElement.dataset.postId) }
+        });
+
+        if (data.success) {
+            showMessage(data.message, 'success');
+            itemElement.remove();
+            updateModerationEmptyState();
+        } else {
+            showMessage(data.message, 'error');
+            button.disabled = false;
+        }
+
+    } catch (error) {
+        reportApiError(error, t('moderation.actionFailed'));
+        button.disabled = false;
+    }
+}
+
+/**
+ * Open one of the warn/suspend forms of an item, closing the other
+ * @param {HTMLElement} itemElement - The .moderation-item element
+ * @param {string|null} name - 'warn', 'suspend', or null to close both
+ */
+function toggleUserActionForm(itemElement, name) {
+    itemElement.querySelectorAll('.moderation-user-form').forEach(form => {
+        const open = form.dataset.action === name && form.classList.contains('hidden');
+        form.classList.toggle('hidden', !open);
+        if (open) {
+            form.querySelector('textarea').focus();
+        }
+    });
+}
+
+/**
+ * Warn or suspend the author of a post
+ * The author line of every item by the same user is refreshed.
+ * @param {HTMLFormElement} form - The submitted .moderation-user-form
+ */
+async function handleUserAction(form) {
+    const itemElement = form.closest('.moderation-item');
+    const userId = Number(itemElement.dataset.authorId);
+    const suspend = form.dataset.action === 'suspend';
+    const text = form.elements[suspend ? 'reason' : 'message'].value.trim();
+
+    if (!text) {
+        showMessage(t(suspend ? 'moderation.reasonRequired' : 'moderation.messageRequired'), 'error');
+        return;
+    }
+
+    const body = suspend
+        ? { user_id: userId, days: Number(form.elements.days.value), reason: text }
+        : { user_id: userId, post_id: Number(itemElement.dataset.postId), message: text };
+
+    const submitButton = form.querySelector('button[type="submit"]');
+    submitButton.disabled = true;
+
+    try {
+        const data = await apiRequest(suspend ? 'moderation/suspend-user.php' : 'moderation/warn-user.php', {
+            method: 'POST',
+            body
+        });
+
+        if (data.success) {
+            showMessage(data.message, 'success');
+            form.reset();
+            form.classList.add('hidden');
+
+            // data is the author's updated record
+            if (data.data) {
+                document.querySelectorAll(`.moderation-item[data-author-id="${userId}"] .moderation-author`).forEach(element => {
+                    element.innerHTML = createModerationAuthorHTML(data.data);
+                });
+            }
+        } else {
+            showMessage(data.message, 'error');
+        }
+
+    } catch (error) {
+        reportApiError(error, t('moderation.actionFailed'));
+    }
+
+    submitButton.disabled = false;
+}
+
+/**
+ * Start the moderation view
+ * Only reached by moderators; see requireModerator in router.js.
+ */
+function initModerationView() {
+    const queue = document.getElementById('moderationQueue');
+
+    queue.addEventListener('click', function(e) {
+        const itemElement = e.target.closest('.moderation-item');
+        if (!itemElement) {
+            return;
+        }
+
+        const actionButton = e.target.closest('button[data-action]');
+        const userToggle = e.target.closest('.moderation-user-toggle');
+        if (actionButton) {
+            moderatePost(itemElement, actionButton.dataset.action, actionButton);
+        } else if (userToggle) {
+            toggleUserActionForm(itemElement, userToggle.dataset.form);
+        } else if (e.target.closest('.moderation-form-cancel')) {
+            toggleUserActionForm(itemElement, null);
+        }
+    });
+
+    queue.addEventListener('submit', function(e) {
+        const form = e.target.closest('.moderation-user-form');
+        if (form) {
+            e.preventDefault();
+            handleUserAction(form);
+        }
+    });
+
+    document.getElementById('moderationTabs').addEventListener('click', function(e) {
+        const tab = e.target.closest('.profile-tab');
+        if (tab && tab.dataset.status !== moderationState.status) {
+            showModerationQueue(tab.dataset.status);
+        }
+    });
+    document.getElementById('loadMoreReportsBtn').addEventListener('click', function() {
+        loadModerationQueue(true);
+    });
+
+    showModerationQueue(getModerationStatusFromUrl());
+}
+
+registerView('moderation', initModerationView);
@@ -0,0 +1,333 @@
+/**
+ * Notifications Module
+ *
+ * The notification bell in the header: unread count, a dropdown of recent
+ * notifications (replies to your posts and @mentions) linking to the post,
+ * and mark-as-read actions. Can also show browser notifications while the
+ * tab is in the background, once the user allows it.
+ */
+
+// apiRequest, escapeHtml, escapeAttribute, showMessage and reportApiError are defined in api.js
+// formatDate and getPostUrl are defined in posts.js
+// navigate is defined in router.js
+// t is defined in i18n.js
+
+// How often to check for new notifications
+const NOTIFICATIONS_POLL_MS = 60000;
+
+// Number of recent notifications shown in the dropdown
+const NOTIFICATIONS_LIMIT = 20;
+
+// localStorage key remembering that browser notifications were turned on
+const DESKTOP_NOTIFICATIONS_KEY = 'desktopNotifications';
+
+// State of the bell
+const notificationsState = {
+    items: [],
+    unreadCount: 0,
+    seenIds: null,
+    pollTimer: null
+};
+
+/**
+ * Create the text of a notification
+ * @param {Object} notification - Notification data
+ * @returns {string} HTML string
+ */
+function createNotificationTextHTML(notification) {
+    const params = {
+        actor: `<strong>${escapeHtml(notification.actor_name)}</strong>`,
+        title: escapeHtml(notification.post_title || t('notifications.untitledPost'))
+    };
+
+    if (notification.type === 'mention') {
+        return t('notifications.mention', params);
+    }
+    // A reply in a thread the user follows (see bookmarks.js)
+    if (notification.type === 'followed_reply') {
+        return t('notifications.followedReply', params);
+    }
+    return t('notifications.reply', params);
+}
+
+/**
+ * Render the dropdown list and the unread count
+ */
+function renderNotifications() {
+    const list = document.getElementById('notificationsList');
+    const count = document.getElementById('notificationsCount');
+    const { items, unreadCount } = notificationsState;
+
+    count.textContent = unreadCount > 99 ? '99+' : unreadCount;
+    count.classList.toggle('hidden', unreadCount === 0);
+    document.getElementById('notificationsBtn').setAttribute(
+        'aria-label',
+        unreadCount ? t('notifications.unreadLabel', { count: unreadCount }) : t('notifications.title')
+    );
+    document.getElementById('markAllReadBtn').disabled = unreadCount === 0;
+
+    if (items.length === 0) {
+        list.innerHTML = `<li class="notifications-empty text-muted">${t('notifications.empty')}</li>`;
+        return;
+    }
+
+    list.innerHTML = items.map(notification => {
+        const id = Number(notification.notification_id);
+        const unread = !notification.is_read;
+
+        return `
+            <li class="notification-item${unread ? ' unread' : ''}" data-notification-id="${id}">
+                <a href="${getPostUrl(Number(notification.post_id))}" class="notification-link">
+                    <span class="notification-text">${createNotificationTextHTML(notification)}</span>
+                    <span class="notification-date">${formatDate(notification.created_at)}</span>
+                </a>
+                ${unread ? `<button type="button" class="btn-link notification-read" aria-label="${escapeAttribute(t('notifications.markReadLabel'))}">${t('notifications.markRead')}</button>` : ''}
+            </li>
+        `;
+    }).join('');
+}
+
+/**
+ * Show browser notifications for ones that arrived while the tab was in the background
+ * @param {Array} items - Notifications from the latest load
+ */
+function showDesktopNotifications(items) {
+    const seenIds = notificationsState.seenIds;
+    notificationsState.seenIds = new Set(items.map(item => Number(item.notification_id)));
+
+    // The first load only records what is already there
+    if (!seenIds || !document.hidden || !desktopNotificationsEnabled()) {
+        return;
+    }
+
+    items
+        .filter(item => !item.is_read && !seenIds.has(Number(item.notification_id)))
+        .forEach(item => {
+            const text = document.createElement('div');
+            text.innerHTML = createNotificationTextHTML(item);
+
+            const desktopNotification = new Notification('AcademiaTalk', {
+                body: text.textContent,
+                icon: 'img/icono.png',
+                tag: `notification-${item.notification_id}`
+            });
+            desktopNotification.onclick = function() {
+                window.focus();
+                openNotification(item);
+                desktopNotification.close();
+            };
+        });
+}
+
+/**
+ * Load recent notifications and the unread count
+ */
+async function loadNotifications() {
+    try {
+        const data = await apiRequest('notifications/list.php', {
+            params: { limit: NOTIFICATIONS_LIMIT }
+        });
+
+        if (data.success) {
+            notificationsState.items = data.data || [];
+            notificationsState.unreadCount = data.unread_count !== undefined
+                ? Number(data.unread_count)
+                : notificationsState.items.filter(item => !item.is_read).length;
+
+            renderNotifications();
+            showDesktopNotifications(notificationsState.items);
+        } else {
+            console.error('Load notifications error:', data.message);
+        }
+
+    } catch (error) {
+        // The bell is secondary, so failures stay out of the user's way
+        console.error('Load notifications error:', error);
+    }
+}
+
+/**
+ * Mark one notification as read
+ * @param {number} notificationId - Notification ID
+ * @param {boolean} keepalive - Let the request outlive the page, when following the link
+ */
+async function markNotificationRead(notificationId, keepalive = false) {
+    const item = notificationsState.items.find(notification => Number(notification.notification_id) === notificationId);
+    if (!item || item.is_read) {
+        return;
+    }
+
+    item.is_read = true;
+    notificationsState.unreadCount = Math.max(0, notificationsState.unreadCount - 1);
+    renderNotifications();
+
+    try {
+        const data = await apiRequest('notifications/read.php', {
+            method: 'POST',
+            body: { notification_id: notificationId },
+            keepalive
+        });
+
+        if (!data.success) {
+            item.is_read = false;
+            notificationsState.unreadCount++;
+            renderNotifications();
+            showMessage(data.message, 'error');
+        }
+
+    } catch (error) {
+        item.is_read = false;
+        notificationsState.unreadCount++;
+        renderNotifications();
+        reportApiError(error, t('notifications.updateFailed'));
+    }
+}
+
+/**
+ * Mark every notification as read
+ */
+async function markAllNotificationsRead() {
+    try {
+        const data = await apiRequest('notifications/read-all.php', { method: 'POST' });
+
+        if (data.success) {
+            notificationsState.items.forEach(item => {
+                item.is_read = true;
+            });
+            notificationsState.unreadCount = 0;
+            renderNotifications();
+        } else {
+            showMessage(data.message, 'error');
+        }
+
+    } catch (error) {
+        reportApiError(error, t('notifications.updateAllFailed'));
+    }
+}
+
+/**
+ * Mark a notification as read and go to its post
+ * @param {Object} notification - Notification data
+ */
+function openNotification(notification) {
+    markNotificationRead(Number(notification.notification_id), true);
+    toggleNotificationsPanel(false);
+    navigate(getPostUrl(Number(notification.post_id)));
+}
+
+/**
+ * Open or close the dropdown
+ * @param {boolean} open - True to open
+ */
+function toggleNotificationsPanel(open) {
+    document.getElementById('notificationsPanel').classList.toggle('hidden', !open);
+    document.getElementById('notificationsBtn').setAttribute('aria-expanded', String(open));
+
+    if (open) {
+        updateDesktopNotificationsButton();
+        loadNotifications();
+    }
+}
+
+/**
+ * Check whether browser notifications are on
+ * @returns {boolean} True if supported, allowed and turned on
+ */
+function desktopNotificationsEnabled() {
+    return 'Notification' in window &&
+        Notification.permission === 'granted' &&
+        localStorage.getItem(DESKTOP_NOTIFICATIONS_KEY) === 'on';
+}
+
+/**
+ * Show the browser notifications toggle with the right label, if supported
+ */
+function updateDesktopNotificationsButton() {
+    const button = document.getElementById('desktopNotificationsBtn');
+    const supported = 'Notification' in window && Notification.permission !== 'denied';
+
+    button.classList.toggle('hidden', !supported);
+    button.textContent = desktopNotificationsEnabled()
+        ? t('notifications.desktopOff')
+        : t('notifications.desktopOn');
+}
+
+/**
+ * Turn browser notifications on or off, asking for permission if needed
+ */
+async function toggleDesktopNotifications() {
+    if (desktopNotificationsEnabled()) {
+        localStorage.removeItem(DESKTOP_NOTIFICATIONS_KEY);
+        updateDesktopNotificationsButton();
+        return;
+    }
+
+    const permission = await Notification.requestPermission();
+    if (permission === 'granted') {
+        localStorage.setItem(DESKTOP_NOTIFICATIONS_KEY, 'on');
+        showMessage(t('notifications.desktopEnabled'), 'success');
+    } else {
+        showMessage(t('notifications.desktopBlocked'), 'error');
+    }
+    updateDesktopNotificationsButton();
+}
+
+/**
+ * Set up the notification bell in the header
+ * Call once the user is authenticated.
+ * @param {AbortSignal} signal - Stops polling and removes page listeners when the view is left
+ */
+function initNotifications(signal) {
+    const bell = document.getElementById('notificationsBtn');
+    if (!bell) {
+        return;
+    }
+
+    const panel = document.getElementById('notificationsPanel');
+
+    bell.addEventListener('click', function() {
+        toggleNotificationsPanel(panel.classList.contains('hidden'));
+    });
+
+    document.getElementById('markAllReadBtn').addEventListener('click', markAllNotificationsRead);
+    document.getElementById('desktopNotificationsBtn').addEventListener('click', toggleDesktopNotifications);
+
+    document.getElementById('notificationsList').addEventListener('click', function(e) {
+        const itemElement = e.target.closest('.notification-item');
+        if (!itemElement) {
+            return;
+        }
+
+        const notificationId = Number(itemElement.dataset.notificationId);
+        if (e.target.closest('.notification-read')) {
+            markNotificationRead(notificationId);
+        } else if (e.target.closest('.notification-link')) {
+            e.preventDefault();
+            const notification = notificationsState.items.find(item => Number(item.notification_id) === notificationId);
+            openNotification(notification);
+        }
+    });
+
+    // Close on outside click or Escape. The event path is checked rather than
+    // e.target, as marking an item read re-renders the list under the click.
+    const container = bell.closest('.notifications');
+    document.addEventListener('click', function(e) {
+        if (!panel.classList.contains('hidden') && !e.composedPath().includes(container)) {
+            toggleNotificationsPanel(false);
+        }
+    }, { signal });
+    document.addEventListener('keydown', function(e) {
+        if (e.key === 'Escape' && !panel.classList.contains('hidden')) {
+            toggleNotificationsPanel(false);
+            bell.focus();
+        }
+    }, { signal });
+
+    container.classList.remove('hidden');
+    loadNotifications();
+
+    const clearPollTimer = () => clearInterval(notificationsState.pollTimer);
+    notificationsState.pollTimer = setInterval(loadNotifications, NOTIFICATIONS_POLL_MS);
+    window.addEventListener('sessionexpired', clearPollTimer, { signal });
+    signal.addEventListener('abort', clearPollTimer);
+}
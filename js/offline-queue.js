@@ -0,0 +1,104 @@
+/**
+ * Offline Queue Module
+ *
+ * Keeps posts written while the backend can't be reached in IndexedDB,
+ * so they survive reloads and are sent once the connection is back.
+ *
+ * Queued posts have a status: 'pending' while waiting to be sent, or
+ * 'failed' when the backend rejected them (error holds its message).
+ * Each one keeps the user_id of its author, as the browser may be shared:
+ * only that user sees it and sends it.
+ */
+
+const OFFLINE_DB_NAME = 'academiatalk';
+const OFFLINE_DB_VERSION = 1;
+const QUEUED_POSTS_STORE = 'queuedPosts';
+
+// Open database connection, shared by the functions below
+let offlineDbPromise = null;
+
+/**
+ * Open the IndexedDB database, creating the store on first use
+ * @returns {Promise<IDBDatabase>}
+ */
+function openOfflineDb() {
+    if (!offlineDbPromise) {
+        offlineDbPromise = new Promise((resolve, reject) => {
+            if (!window.indexedDB) {
+                reject(new Error('IndexedDB is not available'));
+                return;
+            }
+
+            const request = indexedDB.open(OFFLINE_DB_NAME, OFFLINE_DB_VERSION);
+            request.onupgradeneeded = function() {
+                request.result.createObjectStore(QUEUED_POSTS_STORE, { keyPath: 'queue_id', autoIncrement: true });
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+
+        // Let a later call try again
+        offlineDbPromise.catch(() => {
+            offlineDbPromise = null;
+        });
+    }
+
+    return offlineDbPromise;
+}
+
+/**
+ * Run a request against the queued posts store
+ * @param {string} mode - 'readonly' or 'readwrite'
+ * @param {Function} makeRequest - Called with the store, returns an IDBRequest
+ * @returns {Promise<*>} The request's result
+ */
+async function withQueueStore(mode, makeRequest) {
+    const db = await openOfflineDb();
+
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(QUEUED_POSTS_STORE, mode);
+        const request = makeRequest(transaction.objectStore(QUEUED_POSTS_STORE));
+        transaction.oncomplete = () => resolve(request.result);
+        transaction.onerror = () => reject(transaction.error);
+    });
+}
+
+/**
+ * Add a post to the queue
+ * @param {Object} post - Post fields as sent to posts/create.php
+ * @param {number} userId - ID of the logged-in user writing the post
+ * @returns {Promise<Object>} The queued post, with queue_id, user_id, status and queued_at
+ */
+async function queuePost(post, userId) {
+    const queued = { ...post, user_id: Number(userId), status: 'pending', error: '', queued_at: new Date().toISOString() };
+    queued.queue_id = await withQueueStore('readwrite', store => store.add(queued));
+    return queued;
+}
+
+/**
+ * Get a user's queued posts, oldest first
+ * @param {number} userId - ID of the logged-in user
+ * @returns {Promise<Array<Object>>}
+ */
+async function getQueuedPosts(userId) {
+    const queue = await withQueueStore('readonly', store => store.getAll());
+    return queue.filter(queued => queued.user_id === Number(userId));
+}
+
+/**
+ * Save changes to a queued post
+ * @param {Object} queued - Queued post, including queue_id
+ * @returns {Promise<void>}
+ */
+async function updateQueuedPost(queued) {
+    await withQueueStore('readwrite', store => store.put(queued));
+}
+
+/**
+ * Remove a post from the queue
+ * @param {number} queueId - Queue ID
+ * @returns {Promise<void>}
+ */
+async function removeQueuedPost(queueId) {
+    await withQueueStore('readwrite', store => store.delete(queueId));
+}
@@ -0,0 +1,109 @@
+/**
+ * Password Reset Module
+ *
+ * The page a password reset email links to. The link carries a one-time
+ * token in its ?token= parameter, which lets the user choose a new password
+ * without being logged in.
+ */
+
+// apiRequest, showMessage, reportApiError, toggleLoading and setFieldError are defined in api.js
+// t is defined in i18n.js
+// validatePassword and validatePasswordConfirmation are defined in validation.js
+// registerView is defined in router.js
+
+/**
+ * Show one of the reset page's panels: the new password form, the
+ * invalid link notice or the confirmation
+ * @param {string} panelId - ID of the panel to show
+ */
+function showResetPanel(panelId) {
+    ['resetPasswordPanel', 'resetLinkInvalid', 'resetDone'].forEach(id => {
+        document.getElementById(id).classList.toggle('hidden', id !== panelId);
+    });
+}
+
+/**
+ * Check the new password fields and show or clear their errors,
+ * with the same rules as the registration form
+ * @param {HTMLFormElement} form - The reset form
+ * @returns {HTMLInputElement|null} First field with an error, or null if both are valid
+ */
+function validateResetFields(form) {
+    const password = form.elements.password;
+    const confirmPassword = form.elements.confirm_password;
+    const passwordError = validatePassword(password.value);
+    const confirmError = validatePasswordConfirmation(password.value, confirmPassword.value);
+
+    setFieldError(password, passwordError);
+    setFieldError(confirmPassword, confirmError);
+
+    if (passwordError) {
+        return password;
+    }
+    return confirmError ? confirmPassword : null;
+}
+
+/**
+ * Set the new password
+ * @param {Event} event - Form submit event
+ * @param {string} token - Token from the reset link
+ */
+async function handleResetPassword(event, token) {
+    event.preventDefault();
+
+    const form = document.getElementById('resetPasswordForm');
+    const password = form.elements.password.value;
+
+    // Once submitted, the fields are checked again as they change
+    form.dataset.validated = 'true';
+    const firstInvalid = validateResetFields(form);
+    if (firstInvalid) {
+        firstInvalid.focus();
+        return;
+    }
+
+    toggleLoading(true);
+
+    try {
+        const data = await apiRequest('auth/reset-password.php', {
+            method: 'POST',
+            body: { token, password },
+            handleUnauthorized: false
+        });
+
+        toggleLoading(false);
+
+        if (data.success) {
+            showMessage(data.message, 'success');
+            showResetPanel('resetDone');
+        } else {
+            showMessage(data.message, 'error');
+            if (data.data && data.data.invalid_token) {
+                showResetPanel('resetLinkInvalid');
+            }
+        }
+
+    } catch (error) {
+        toggleLoading(false);
+        reportApiError(error, t('reset.failed'));
+    }
+}
+
+// Reset view; open whether or not someone is logged in on this browser
+registerView('resetPassword', function() {
+    const token = new URLSearchParams(window.location.search).get('token');
+    if (!token) {
+        showResetPanel('resetLinkInvalid');
+        return;
+    }
+
+    const form = document.getElementById('resetPasswordForm');
+    form.addEventListener('submit', function(event) {
+        handleResetPassword(event, token);
+    });
+    form.addEventListener('input', function() {
+        if (form.dataset.validated) {
+            validateResetFields(form);
+        }
+    });
+});
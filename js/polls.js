@@ -0,0 +1,358 @@
+/**
+ * Polls Module
+ *
+ * Optional polls in forum posts: the poll builder of the new post form, and
+ * the poll shown in each post with result bars, the user's own vote and
+ * whether voting has closed. Each user votes once; the backend enforces it
+ * and answers a second vote with 409.
+ */
+
+// apiRequestWithStatus, showMessage, reportApiError, escapeHtml and escapeAttribute are defined in api.js
+// renderedPosts is defined in posts.js
+// t and formatLocalDate are defined in i18n.js
+
+// Number of options a poll can have
+const POLL_MIN_OPTIONS = 2;
+const POLL_MAX_OPTIONS = 10;
+
+// Longest option text accepted by the backend
+const POLL_OPTION_MAX_LENGTH = 100;
+
+/**
+ * Format a date for a datetime-local field, in the user's local time
+ * @param {Date} date - Date
+ * @returns {string} E.g. '2024-05-01T18:30'
+ */
+function toDateTimeLocalValue(date) {
+    const local = new Date(date.getTime() - date.getTimezoneOffset() * 60000);
+    return local.toISOString().slice(0, 16);
+}
+
+/**
+ * Create HTML for one option field of the poll builder
+ * @param {string} value - Option text
+ * @returns {string} HTML string
+ */
+function createPollOptionInputHTML(value = '') {
+    return `
+        <li class="poll-option-field">
+            <input type="text" class="poll-option-input" maxlength="${POLL_OPTION_MAX_LENGTH}" value="${escapeAttribute(value)}">
+            <button type="button" class="btn-link poll-option-remove">&times;</button>
+        </li>
+    `;
+}
+
+/**
+ * Number the option fields and allow adding or removing only within the limits
+ */
+function updatePollOptionFields() {
+    const fields = document.querySelectorAll('#pollOptionInputs .poll-option-field');
+
+    fields.forEach((field, index) => {
+        const label = t('polls.optionLabel', { number: index + 1 });
+        const input = field.querySelector('.poll-option-input');
+        input.placeholder = label;
+        input.setAttribute('aria-label', label);
+
+        const removeButton = field.querySelector('.poll-option-remove');
+        removeButton.setAttribute('aria-label', t('polls.removeOption', { number: index + 1 }));
+        removeButton.classList.toggle('hidden', fields.length <= POLL_MIN_OPTIONS);
+    });
+
+    document.getElementById('addPollOptionBtn').disabled = fields.length >= POLL_MAX_OPTIONS;
+}
+
+/**
+ * Add an option field to the poll builder
+ * @param {string} value - Option text
+ */
+function addPollOption(value = '') {
+    const list = document.getElementById('pollOptionInputs');
+    if (list.children.length >= POLL_MAX_OPTIONS) {
+        return;
+    }
+    list.insertAdjacentHTML('beforeend', createPollOptionInputHTML(value));
+    updatePollOptionFields();
+}
+
+/**
+ * Show or remove the poll builder
+ * Removing it drops what was typed, as the post then has no poll.
+ * @param {boolean} open - True to show it
+ */
+function togglePollBuilder(open) {
+    const builder = document.getElementById('pollBuilder');
+    const addButton = document.getElementById('addPollBtn');
+
+    builder.classList.toggle('hidden', !open);
+    addButton.classList.toggle('hidden', open);
+    addButton.setAttribute('aria-expanded', String(open));
+
+    if (!open) {
+        resetPollBuilder();
+        return;
+    }
+
+    // Only future closing dates
+    document.getElementById('pollClosesAt').min = toDateTimeLocalValue(new Date());
+
+    document.querySelector('#pollOptionInputs .poll-option-input').focus();
+}
+
+/**
+ * Empty the poll builder, leaving the minimum number of option fields
+ */
+function resetPollBuilder() {
+    document.getElementById('pollOptionInputs').innerHTML = createPollOptionInputHTML().repeat(POLL_MIN_OPTIONS);
+    document.getElementById('pollMultiple').checked = false;
+    document.getElementById('pollClosesAt').value = '';
+    updatePollOptionFields();
+}
+
+/**
+ * Fill the poll builder, e.g. when a queued post goes back into the form
+ * @param {Object|null} poll - Poll fields as from getPollFormData, or null for no poll
+ */
+function setPollFormData(poll) {
+    togglePollBuilder(Boolean(poll));
+    if (!poll) {
+        return;
+    }
+
+    document.getElementById('pollOptionInputs').innerHTML = poll.options
+        .slice(0, POLL_MAX_OPTIONS)
+        .map(option => createPollOptionInputHTML(option))
+        .join('');
+    while (document.getElementById('pollOptionInputs').children.length < POLL_MIN_OPTIONS) {
+        addPollOption();
+    }
+    updatePollOptionFields();
+    document.getElementById('pollMultiple').checked = Boolean(poll.multiple);
+    document.getElementById('pollClosesAt').value = poll.closes_at ? toDateTimeLocalValue(new Date(poll.closes_at)) : '';
+}
+
+/**
+ * Read and check the poll of the new post form
+ * @returns {{poll: Object|null, error: string|null}} Poll fields for
+ *   posts/create.php (null without a poll), or why they can't be sent
+ */
+function getPollFormData() {
+    if (document.getElementById('pollBuilder').classList.contains('hidden')) {
+        return { poll: null, error: null };
+    }
+
+    const options = Array.from(document.querySelectorAll('#pollOptionInputs .poll-option-input'))
+        .map(input => input.value.trim())
+        .filter(Boolean);
+
+    if (options.length < POLL_MIN_OPTIONS) {
+        return { poll: null, error: t('polls.tooFewOptions', { min: POLL_MIN_OPTIONS }) };
+    }
+    if (options.length > POLL_MAX_OPTIONS) {
+        return { poll: null, error: t('polls.tooManyOptions', { max: POLL_MAX_OPTIONS }) };
+    }
+    if (options.some(option => option.length > POLL_OPTION_MAX_LENGTH)) {
+        return { poll: null, error: t('polls.optionTooLong', { max: POLL_OPTION_MAX_LENGTH }) };
+    }
+    if (new Set(options.map(option => option.toLowerCase())).size !== options.length) {
+        return { poll: null, error: t('polls.duplicateOptions') };
+    }
+
+    let closesAt = null;
+    const closesAtValue = document.getElementById('pollClosesAt').value;
+    if (closesAtValue) {
+        const date = new Date(closesAtValue);
+        if (Number.isNaN(date.getTime()) || date <= new Date()) {
+            return { poll: null, error: t('polls.closeDateInPast') };
+        }
+        closesAt = date.toISOString();
+    }
+
+    return {
+        poll: {
+            options,
+            multiple: document.getElementById('pollMultiple').checked,
+            closes_at: closesAt
+        },
+        error: null
+    };
+}
+
+/**
+ * Set up the poll builder of the new post form
+ */
+function initPollBuilder() {
+    resetPollBuilder();
+
+    document.getElementById('addPollBtn').addEventListener('click', function() {
+        togglePollBuilder(true);
+    });
+    document.getElementById('removePollBtn').addEventListener('click', function() {
+        togglePollBuilder(false);
+        document.getElementById('addPollBtn').focus();
+    });
+    document.getElementById('addPollOptionBtn').addEventListener('click', function() {
+        addPollOption();
+        const inputs = document.querySelectorAll('#pollOptionInputs .poll-option-input');
+        inputs[inputs.length - 1].focus();
+    });
+    document.getElementById('pollOptionInputs').addEventListener('click', function(e) {
+        const removeButton = e.target.closest('.poll-option-remove');
+        if (removeButton && this.children.length > POLL_MIN_OPTIONS) {
+            removeButton.closest('.poll-option-field').remove();
+            updatePollOptionFields();
+        }
+    });
+}
+
+/**
+ * Check whether voting on a poll has ended
+ * @param {Object} poll - Poll data
+ * @returns {boolean} True if closed by the backend or past its closing date
+ */
+function isPollClosed(poll) {
+    return Boolean(poll.is_closed) || (Boolean(poll.closes_at) && new Date(poll.closes_at) <= new Date());
+}
+
+/**
+ * Create HTML for the poll of a post
+ * Results are always shown; the options can be picked until the user votes
+ * or the poll closes.
+ * @param {Object} poll - Poll data: poll_id, multiple, closes_at, is_closed,
+ *   total_voters, options ({option_id, text, votes}) and my_votes (option IDs)
+ * @returns {string} HTML string, empty if the post has no poll
+ */
+function createPollHTML(poll) {
+    if (!poll || !Array.isArray(poll.options) || poll.options.length === 0) {
+        return '';
+    }
+
+    const pollId = Number(poll.poll_id);
+    const closed = isPollClosed(poll);
+    const myVotes = (poll.my_votes || []).map(Number);
+    const canVote = !closed && myVotes.length === 0;
+    const totalVotes = poll.options.reduce((sum, option) => sum + (Number(option.votes) || 0), 0);
+    const voters = Number(poll.total_voters) || totalVotes;
+    // Multiple choice: share of voters who picked the option, so bars can add up to more than 100%
+    const base = poll.multiple ? voters : totalVotes;
+
+    const optionsHTML = poll.options.map(option => {
+        const optionId = Number(option.option_id);
+        const votes = Number(option.votes) || 0;
+        const percent = base ? Math.round((votes / base) * 100) : 0;
+        const mine = myVotes.includes(optionId);
+
+        return `
+            <li class="poll-option${mine ? ' poll-option-mine' : ''}">
+                <label class="poll-option-label">
+                    ${canVote ? `<input type="${poll.multiple ? 'checkbox' : 'radio'}" name="poll${pollId}" value="${optionId}">` : ''}
+                    <span class="poll-option-text">${escapeHtml(option.text)}</span>
+                    ${mine ? `<span class="poll-your-vote">${t('polls.yourVote')}</span>` : ''}
+                    <span class="poll-option-result">${t('polls.result', { percent, count: votes })}</span>
+                </label>
+                <div class="poll-bar"><div class="poll-bar-fill" style="width: ${percent}%"></div></div>
+            </li>
+        `;
+    }).join('');
+
+    let statusText = t('polls.voters', { count: voters });
+    if (closed) {
+        statusText += ` &middot; ${t('polls.closed')}`;
+    } else if (poll.closes_at) {
+        statusText += ` &middot; ${t('polls.closesOn', { date: formatLocalDate(poll.closes_at, { dateStyle: 'medium', timeStyle: 'short' }) })}`;
+    }
+
+    return `
+        <div class="poll${closed ? ' poll-closed' : ''}" data-poll-id="${pollId}" role="group" aria-label="${escapeAttribute(t('polls.label'))}">
+            <p class="poll-meta text-muted">${t(poll.multiple ? 'polls.multipleChoice' : 'polls.singleChoice')}</p>
+            <ul class="poll-options">${optionsHTML}</ul>
+            <div class="poll-footer">
+                <span class="poll-status text-muted">${statusText}</span>
+                ${canVote ? `<button type="button" class="btn btn-primary btn-sm poll-vote">${t('polls.vote')}</button>` : ''}
+            </div>
+        </div>
+    `;
+}
+
+/**
+ * Show new poll data on every card of its post
+ * @param {number} postId - Post ID
+ * @param {Object} poll - Poll data from the backend
+ */
+function updatePoll(postId, poll) {
+    const entry = renderedPosts.get(postId);
+    if (entry) {
+        entry.post.poll = poll;
+    }
+
+    document.querySelectorAll(`.post[data-post-id="${postId}"] .poll`).forEach(pollElement => {
+        pollElement.outerHTML = createPollHTML(poll);
+    });
+}
+
+/**
+ * Send the options picked in a poll
+ * @param {HTMLElement} pollElement - The .poll element
+ */
+async function handlePollVote(pollElement) {
+    const postId = Number(pollElement.closest('.post').dataset.postId);
+    const entry = renderedPosts.get(postId);
+    const optionIds = Array.from(pollElement.querySelectorAll('input:checked')).map(input => Number(input.value));
+
+    if (optionIds.length === 0) {
+        showMessage(t('polls.chooseOption'), 'error');
+        return;
+    }
+    if (entry && entry.post.poll && isPollClosed(entry.post.poll)) {
+        updatePoll(postId, entry.post.poll);
+        showMessage(t('polls.closedError'), 'error');
+        return;
+    }
+
+    const voteButton = pollElement.querySelector('.poll-vote');
+    voteButton.disabled = true;
+
+    try {
+        const { status, data } = await apiRequestWithStatus('polls/vote.php', {
+            method: 'POST',
+            body: { poll_id: Number(pollElement.dataset.pollId), option_ids: optionIds }
+        });
+
+        if (data.success) {
+            updatePoll(postId, data.data);
+            showMessage(t('polls.voted'), 'success');
+            return;
+        }
+
+        // 409: already voted, e.g. in another tab; 410: closed meanwhile.
+        // The backend then sends the poll as it is now.
+        const fallback = { 409: 'polls.alreadyVoted', 410: 'polls.closedError' }[status] || 'polls.voteFailed';
+        showMessage(data.message || t(fallback), 'error');
+        if (data.data && Array.isArray(data.data.options)) {
+            updatePoll(postId, data.data);
+        } else {
+            voteButton.disabled = false;
+        }
+
+    } catch (error) {
+        reportApiError(error, t('polls.voteFailed'));
+        voteButton.disabled = false;
+    }
+}
+
+/**
+ * Attach poll voting handlers to a posts container
+ * @param {HTMLElement} container - Element holding the .post cards
+ */
+function initPollVoting(container) {
+    if (!container) {
+        return;
+    }
+
+    container.addEventListener('click', function(e) {
+        const voteButton = e.target.closest('.poll-vote');
+        if (voteButton && !voteButton.disabled) {
+            handlePollVote(voteButton.closest('.poll'));
+        }
+    });
+}
@@ -0,0 +1,241 @@
+/**
+ * Post Actions Module
+ *
+ * Edit and delete actions on the logged-in user's own posts.
+ * Editing happens inline; deleting waits a few seconds so it can be undone.
+ */
+
+// apiRequest, showMessage, showUndoToast, escapeAttribute and updateCharCount are defined in api.js
+// renderedPosts, createPostBodyHTML and validatePost are defined in posts.js
+// t is defined in i18n.js
+
+// How long a deleted post can be restored before the request is sent
+const DELETE_UNDO_MS = 5000;
+
+// Deletions waiting for the undo window to pass, by post ID
+const pendingDeletes = new Map();
+
+/**
+ * Create HTML for the inline edit form of a post
+ * @param {Object} post - Post data object
+ * @returns {string} HTML string for the form
+ */
+function createEditFormHTML(post) {
+    const postId = Number(post.post_id);
+
+    return `
+        <form class="post-edit-form">
+            <div class="form-group">
+                <label for="editTitle${postId}">${t('posts.title')}</label>
+                <input type="text" id="editTitle${postId}" name="title" minlength="5" maxlength="200" required value="${escapeAttribute(post.title)}">
+                <small class="text-muted">${t('common.characterCount')} <span class="edit-title-count">${post.title.length}</span>/200</small>
+            </div>
+            <div class="form-group">
+                <label for="editContent${postId}">${t('posts.content')}</label>
+                <textarea id="editContent${postId}" name="content" minlength="10" maxlength="5000" required>${escapeHtml(post.content)}</textarea>
+                <small class="text-muted">${t('common.characterCount')} <span class="edit-content-count">${post.content.length}</span>/5000</small>
+            </div>
+            <div class="reply-form-actions">
+                <button type="button" class="btn-link post-edit-cancel">${t('common.cancel')}</button>
+                <button type="submit" class="btn btn-primary btn-sm">${t('common.save')}</button>
+            </div>
+        </form>
+    `;
+}
+
+/**
+ * Replace a post's body with an inline edit form
+ * @param {HTMLElement} postElement - The .post element
+ */
+function startEditPost(postElement) {
+    const entry = renderedPosts.get(Number(postElement.dataset.postId));
+    if (!entry || postElement.querySelector('.post-edit-form')) {
+        return;
+    }
+
+    const body = postElement.querySelector('.post-body');
+    body.classList.add('hidden');
+    body.insertAdjacentHTML('afterend', createEditFormHTML(entry.post));
+    postElement.querySelector('.post-edit-form input[name="title"]').focus();
+}
+
+/**
+ * Close the inline edit form and show the post body again
+ * @param {HTMLElement} postElement - The .post element
+ */
+function cancelEditPost(postElement) {
+    const form = postElement.querySelector('.post-edit-form');
+    if (form) {
+        form.remove();
+    }
+    postElement.querySelector('.post-body').classList.remove('hidden');
+}
+
+/**
+ * Handle edit form submission
+ * @param {HTMLFormElement} form - The submitted .post-edit-form
+ */
+async function handleUpdatePost(form) {
+    const postElement = form.closest('.post');
+    const postId = Number(postElement.dataset.postId);
+    const entry = renderedPosts.get(postId);
+    const title = form.elements.title.value.trim();
+    const content = form.elements.content.value.trim();
+
+    // Same rules as the create form
+    const validationError = validatePost(title, content);
+    if (validationError) {
+        showMessage(validationError, 'error');
+        return;
+    }
+
+    const submitButton = form.querySelector('button[type="submit"]');
+    submitButton.disabled = true;
+
+    try {
+        const data = await apiRequest('posts/update.php', {
+            method: 'POST',
+            body: { post_id: postId, title, content }
+        });
+
+        if (data.success) {
+            showMessage(data.message, 'success');
+
+            const post = { ...entry.post, title, content, updated_at: new Date().toISOString(), ...data.data };
+            renderedPosts.set(postId, { post, options: entry.options });
+
+            form.remove();
+            postElement.querySelector('.post-body').outerHTML = createPostBodyHTML(post, entry.options);
+        } else {
+            showMessage(data.message, 'error');
+            submitButton.disabled = false;
+        }
+
+    } catch (error) {
+        reportApiError(error, t('posts.updateFailed'));
+        submitButton.disabled = false;
+    }
+}
+
+/**
+ * Send a pending deletion to the backend
+ * @param {number} postId - Post ID
+ * @param {boolean} keepalive - Let the request outlive the page
+ */
+async function commitDeletePost(postId, keepalive = false) {
+    const pending = pendingDeletes.get(postId);
+    if (!pending) {
+        return;
+    }
+    pendingDeletes.delete(postId);
+    clearTimeout(pending.timer);
+    pending.dismissToast();
+
+    try {
+        const data = await apiRequest('posts/delete.php', {
+            method: 'POST',
+            body: { post_id: postId },
+            keepalive
+        });
+
+        if (data.success) {
+            pending.postElement.remove();
+            renderedPosts.delete(postId);
+            pending.onDeleted(postId);
+        } else {
+            pending.postElement.classList.remove('hidden');
+            showMessage(data.message, 'error');
+        }
+
+    } catch (error) {
+        pending.postElement.classList.remove('hidden');
+        reportApiError(error, t('posts.deleteFailed'));
+    }
+}
+
+/**
+ * Delete a post after confirmation, with a short undo window
+ * @param {HTMLElement} postElement - The .post element
+ * @param {Function} onDeleted - Called with the post ID once the post is deleted
+ */
+function deletePost(postElement, onDeleted) {
+    const postId = Number(postElement.dataset.postId);
+    if (pendingDeletes.has(postId) || !confirm(t('posts.deleteConfirm'))) {
+        return;
+    }
+
+    postElement.classList.add('hidden');
+
+    const dismissToast = showUndoToast(t('posts.deleted'), function() {
+        clearTimeout(pendingDeletes.get(postId).timer);
+        pendingDeletes.delete(postId);
+        postElement.classList.remove('hidden');
+    }, DELETE_UNDO_MS);
+
+    pendingDeletes.set(postId, {
+        postElement,
+        onDeleted,
+        dismissToast,
+        timer: setTimeout(() => commitDeletePost(postId), DELETE_UNDO_MS)
+    });
+}
+
+/**
+ * Attach edit/delete handlers to a posts container
+ * @param {HTMLElement} container - Element holding the .post cards
+ * @param {Object} options - Options
+ * @param {Function} options.onDeleted - Called with the post ID once a post is deleted
+ * @param {AbortSignal} options.signal - Aborted when the view is left
+ */
+function initPostActions(container, options = {}) {
+    if (!container) {
+        return;
+    }
+    const onDeleted = options.onDeleted || function() {};
+
+    container.addEventListener('click', function(e) {
+        const postElement = e.target.closest('.post');
+        if (!postElement) {
+            return;
+        }
+
+        if (e.target.closest('.post-edit')) {
+            startEditPost(postElement);
+        } else if (e.target.closest('.post-edit-cancel')) {
+            cancelEditPost(postElement);
+        } else if (e.target.closest('.post-delete')) {
+            deletePost(postElement, onDeleted);
+        }
+    });
+
+    container.addEventListener('submit', function(e) {
+        const form = e.target.closest('.post-edit-form');
+        if (form) {
+            e.preventDefault();
+            handleUpdatePost(form);
+        }
+    });
+
+    // Character counts in the edit form
+    container.addEventListener('input', function(e) {
+        const form = e.target.closest('.post-edit-form');
+        if (!form) {
+            return;
+        }
+
+        if (e.target.name === 'title') {
+            updateCharCount(e.target, form.querySelector('.edit-title-count'));
+        } else if (e.target.name === 'content') {
+            updateCharCount(e.target, form.querySelector('.edit-content-count'));
+        }
+    });
+
+    // Don't lose deletions the user already confirmed when leaving the page or view
+    const commitPendingDeletes = () => {
+        Array.from(pendingDeletes.keys()).forEach(postId => commitDeletePost(postId, true));
+    };
+    window.addEventListener('pagehide', commitPendingDeletes, { signal: options.signal });
+    if (options.signal) {
+        options.signal.addEventListener('abort', commitPendingDeletes);
+    }
+}
@@ -0,0 +1,132 @@
+/**
+ * Post Detail Module
+ *
+ * Loads a single post from its permalink (post.html?id=123)
+ * and shows it with its reply thread expanded.
+ */
+
+// apiRequestWithStatus, showMessage, toggleLoading and session helpers are defined in api.js
+// createPostHTML, getPostUrl and isPostHiddenFromUser are defined in posts.js
+// initReportActions is defined in reports.js
+// initBookmarkActions is defined in bookmarks.js
+// initPollVoting is defined in polls.js
+// registerView and navigate are defined in router.js
+// t is defined in i18n.js
+
+/**
+ * Read the post ID from the page URL
+ * @returns {number|null} Post ID, or null if missing or invalid
+ */
+function getPostIdFromUrl() {
+    const id = Number(new URLSearchParams(window.location.search).get('id'));
+    return Number.isInteger(id) && id > 0 ? id : null;
+}
+
+/**
+ * Show the "post not found" state
+ */
+function showPostNotFound() {
+    document.title = t('common.pageTitle', { title: t('post.notFound') });
+    document.getElementById('postDetail').innerHTML = '';
+    document.getElementById('postNotFound').classList.remove('hidden');
+}
+
+/**
+ * Copy the post permalink to the clipboard
+ * @param {number} postId - Post ID
+ */
+async function copyPostLink(postId) {
+    const url = new URL(getPostUrl(postId), window.location.href).href;
+
+    try {
+        await navigator.clipboard.writeText(url);
+        showMessage(t('post.linkCopied'), 'success');
+    } catch (error) {
+        // Clipboard API unavailable (e.g. insecure context), show the link instead
+        showMessage(url, 'info');
+    }
+}
+
+/**
+ * Load and display a single post
+ * @param {number} postId - Post ID
+ */
+async function loadPost(postId) {
+    const postDetail = document.getElementById('postDetail');
+    toggleLoading(true);
+
+    try {
+        const { status, data } = await apiRequestWithStatus('posts/get.php', { params: { post_id: postId } });
+
+        toggleLoading(false);
+
+        if (data.success) {
+            const post = data.data;
+
+            if (data.from_cache) {
+                showMessage(t('post.showingCached'), 'info');
+            }
+            document.title = t('common.pageTitle', { title: post.title });
+            postDetail.innerHTML = createPostHTML(post, { linkTitle: false });
+            if (isPostHiddenFromUser(post)) {
+                return;
+            }
+
+            const postElement = postDetail.querySelector('.post');
+            postElement.querySelector('.post-actions').insertAdjacentHTML(
+                'beforeend',
+                `<button type="button" class="btn-link copy-link">${t('post.copyLink')}</button>`
+            );
+
+            // Replies are the point of the detail page, so open them straight away
+            toggleReplyThread(postElement);
+        } else if (status === 404) {
+            showPostNotFound();
+        } else {
+            showMessage(data.message, 'error');
+            postDetail.innerHTML = `<div class="no-posts">${t('post.loadFailed')}</div>`;
+        }
+
+    } catch (error) {
+        toggleLoading(false);
+        reportApiError(error, t('api.connectionFailed'));
+        postDetail.innerHTML = `<div class="no-posts">${t('post.loadFailed')}</div>`;
+    }
+}
+
+/**
+ * Start the post detail view
+ * @param {Object} context - View context from the router: user and signal
+ */
+function initPostView({ signal }) {
+    const postId = getPostIdFromUrl();
+    if (!postId) {
+        showPostNotFound();
+        return;
+    }
+
+    const postDetail = document.getElementById('postDetail');
+    initReplyThreads(postDetail);
+    initVoting(postDetail);
+    initPostActions(postDetail, {
+        onDeleted: function() {
+            // Unless the user already went elsewhere
+            if (!signal.aborted) {
+                navigate('forum.html', { replace: true });
+            }
+        },
+        signal
+    });
+    initReportActions(postDetail);
+    initBookmarkActions(postDetail);
+    initPollVoting(postDetail);
+    postDetail.addEventListener('click', function(e) {
+        if (e.target.closest('.copy-link')) {
+            copyPostLink(postId);
+        }
+    });
+
+    loadPost(postId);
+}
+
+registerView('post', initPostView);
@@ -0,0 +1,229 @@
+/**
+ * Posts Module
+ *
+ * Post rendering and validation shared by the forum, post detail and profile pages.
+ */
+
+// escapeHtml, escapeAttribute, getStoredUser and isModerator are defined in api.js
+// renderMarkdown is defined in markdown.js
+// createPostChipsHTML is defined in categories.js
+// formatReplyCount is defined in replies.js
+// createVoteControlsHTML is defined in votes.js
+// createAttachmentsHTML is defined in attachments.js
+// createPollHTML is defined in polls.js
+// createReportButtonHTML is defined in reports.js
+// createBookmarkButtonsHTML is defined in bookmarks.js
+// createMessageLinkHTML is defined in direct-messages.js
+// t, formatRelativeTime and formatLocalDate are defined in i18n.js
+
+// Data and rendering options of every post on the page, by post ID
+const renderedPosts = new Map();
+
+/**
+ * Format date for display
+ * Recent dates are relative ("5 minutes ago"), older ones a short date, in the user's language.
+ * @param {string} dateString - ISO date string
+ * @returns {string} Formatted date string
+ */
+function formatDate(dateString) {
+    return formatRelativeTime(dateString);
+}
+
+/**
+ * Validate post content
+ * Shared by posts and replies so both follow the same rules.
+ * @param {string} content - Trimmed content
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateContent(content) {
+    if (content.length < 10 || content.length > 5000) {
+        return t('posts.contentLength', { min: 10, max: 5000 });
+    }
+    return null;
+}
+
+/**
+ * Validate post title and content
+ * @param {string} title - Trimmed title
+ * @param {string} content - Trimmed content
+ * @returns {string|null} Error message, or null if valid
+ */
+function validatePost(title, content) {
+    if (title.length < 5 || title.length > 200) {
+        return t('posts.titleLength', { min: 5, max: 200 });
+    }
+    return validateContent(content);
+}
+
+/**
+ * Escape a string for use inside a regular expression
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Escape text and wrap search term matches in <mark>
+ * Matching happens on the raw text, and every piece is escaped with
+ * escapeHtml, so the markup never touches user content.
+ * @param {string} text - Raw text
+ * @param {Array<string>} terms - Search terms
+ * @returns {string} Escaped HTML with highlights
+ */
+function highlightText(text, terms = []) {
+    if (terms.length === 0) {
+        return escapeHtml(text);
+    }
+
+    const pattern = new RegExp(`(${terms.map(escapeRegExp).join('|')})`, 'gi');
+
+    // split() with a capturing group puts the matches at odd indexes
+    return String(text).split(pattern).map((part, index) => (
+        index % 2 === 1 ? `<mark>${escapeHtml(part)}</mark>` : escapeHtml(part)
+    )).join('');
+}
+
+/**
+ * Get the permalink of a post
+ * @param {number} postId - Post ID
+ * @returns {string} Relative URL of the post detail page
+ */
+function getPostUrl(postId) {
+    return `post.html?id=${encodeURIComponent(postId)}`;
+}
+
+/**
+ * Get the public profile page of a user
+ * @param {number} userId - User ID
+ * @returns {string} Relative URL of the profile page
+ */
+function getProfileUrl(userId) {
+    return `profile.html?id=${encodeURIComponent(userId)}`;
+}
+
+/**
+ * Create HTML for the author name of a post or reply, linked to their profile,
+ * with a link to message them
+ * @param {Object} item - Post or reply data with author_id and author_name
+ * @returns {string} HTML string
+ */
+function createAuthorHTML(item) {
+    const name = escapeHtml(item.author_name);
+    if (!item.author_id) {
+        return `<span class="post-author">${name}</span>`;
+    }
+    return `<a href="${getProfileUrl(Number(item.author_id))}" class="post-author author-link">${name}</a>${createMessageLinkHTML(item)}`;
+}
+
+/**
+ * Check whether a post belongs to the logged-in user
+ * @param {Object} post - Post data object
+ * @returns {boolean} True if the current user wrote the post
+ */
+function isOwnPost(post) {
+    const user = getStoredUser();
+    return Boolean(user) && Number(post.author_id) === Number(user.user_id);
+}
+
+/**
+ * Check whether a post was hidden by moderators and must not be shown to the logged-in user
+ * Moderators still see hidden posts, marked as such, so they can restore them.
+ * @param {Object} post - Post data object
+ * @returns {boolean} True if only a placeholder should be shown
+ */
+function isPostHiddenFromUser(post) {
+    return Boolean(post.is_hidden) && !isModerator(getStoredUser());
+}
+
+/**
+ * Create HTML for the "edited" marker of a post
+ * @param {Object} post - Post data object
+ * @returns {string} HTML string, empty if the post was never edited
+ */
+function createEditedMarkerHTML(post) {
+    if (!post.updated_at || post.updated_at === post.created_at) {
+        return '';
+    }
+
+    const editedAt = formatLocalDate(post.updated_at, { dateStyle: 'medium', timeStyle: 'short' });
+    return `<span class="post-edited" title="${escapeAttribute(editedAt)}">${t('posts.edited', { date: formatDate(post.updated_at) })}</span>`;
+}
+
+/**
+ * Create HTML for the title, metadata and content of a post
+ * Kept separate from the card so it can be re-rendered after an edit.
+ * @param {Object} post - Post data object
+ * @param {Object} options - Rendering options, see createPostHTML
+ * @returns {string} HTML string for the post body
+ */
+function createPostBodyHTML(post, options = {}) {
+    const title = highlightText(post.title, options.highlight);
+    const titleHTML = options.linkTitle === false
+        ? title
+        : `<a href="${getPostUrl(Number(post.post_id))}" class="post-link">${title}</a>`;
+
+    return `
+        <div class="post-body">
+            <div class="post-header">
+                <div>
+                    <h3 class="post-title">${titleHTML}</h3>
+                    <div class="post-meta">
+                        ${createAuthorHTML(post)}
+                        <span class="post-date">${formatDate(post.created_at)}</span>
+                        ${createEditedMarkerHTML(post)}
+                        ${post.accepted_reply_id ? `<span class="answered-badge">&#10003; ${t('posts.answered')}</span>` : ''}
+                        ${post.is_hidden ? `<span class="hidden-badge">${t('posts.hiddenBadge')}</span>` : ''}
+                    </div>
+                </div>
+            </div>
+            ${createPostChipsHTML(post)}
+            <div class="post-content markdown">${renderMarkdown(post.content, { highlight: options.highlight })}</div>
+            ${createPollHTML(post.poll)}
+            ${createAttachmentsHTML(post.attachments)}
+        </div>
+    `;
+}
+
+/**
+ * Create HTML for a single post
+ * Posts hidden by moderators are only a placeholder for everyone but moderators.
+ * @param {Object} post - Post data object
+ * @param {Object} options - Rendering options
+ * @param {boolean} options.linkTitle - Link the title to the post page (default true)
+ * @param {Array<string>} options.highlight - Search terms to highlight in title and content
+ * @returns {string} HTML string for the post
+ */
+function createPostHTML(post, options = {}) {
+    const postId = Number(post.post_id);
+    renderedPosts.set(postId, { post, options });
+
+    if (isPostHiddenFromUser(post)) {
+        return `
+            <div class="post post-removed" data-post-id="${postId}">
+                <p class="text-muted">${t('posts.hiddenPlaceholder')}</p>
+            </div>
+        `;
+    }
+
+    const ownerActionsHTML = isOwnPost(post)
+        ? `<button type="button" class="btn-link post-edit">${t('common.edit')}</button>` +
+          `<button type="button" class="btn-link post-delete">${t('common.delete')}</button>`
+        : createReportButtonHTML(post);
+
+    return `
+        <div class="post${post.is_hidden ? ' post-hidden' : ''}" data-post-id="${postId}">
+            ${createPostBodyHTML(post, options)}
+            <div class="post-actions">
+                ${createVoteControlsHTML('post', postId, post, isOwnPost(post))}
+                <button type="button" class="btn-link reply-toggle" aria-expanded="false">
+                    ${formatReplyCount(post.reply_count || 0)}
+                </button>
+                ${ownerActionsHTML}
+                ${createBookmarkButtonsHTML(post)}
+            </div>
+            <div class="reply-thread hidden"></div>
+        </div>
+    `;
+}
@@ -1,179 +1,617 @@
 /**
  * Profile Module
  * 
- * Handles user profile display and authentication state.
- * Loads and displays user information from the backend.
+ * Shows a user's public profile (profile.html?id=123) with their recent posts.
+ * On your own profile it also shows private details and lets you edit them,
+ * change your password or delete your account, and lists your saved posts.
  */
 
-// API_BASE_URL is defined in config.js
+// apiRequest, apiRequestWithStatus, showMessage, toggleLoading and session helpers are defined in api.js
+// validateName, validateEmail and validatePassword are defined in validation.js
+// createPostHTML is defined in posts.js
+// initReportActions is defined in reports.js
+// initBookmarkActions and fetchBookmarkedPosts are defined in bookmarks.js
+// getMessageUrl is defined in direct-messages.js
+// initPollVoting is defined in polls.js
+// registerView and navigate are defined in router.js
+// t and formatLocalDate are defined in i18n.js
+
+// Text the user must type before their account can be deleted
+const DELETE_CONFIRMATION_TEXT = 'DELETE';
+
+// Number of posts requested per page of the user's post list
+const USER_POSTS_PAGE_SIZE = 10;
+
+// Post list of the profile being viewed
+const userPostsState = {
+    userId: null,
+    nextCursor: null,
+    loading: false,
+    loaded: false,
+    requestId: 0
+};
+
+// Tabs of your own profile, as in the ?tab= URL parameter
+const PROFILE_TABS = ['account', 'posts', 'saved'];
+
+// Saved (bookmarked) posts list of your own profile
+const savedPostsState = {
+    query: '',
+    nextCursor: null,
+    loading: false,
+    loaded: false,
+    requestId: 0
+};
 
 /**
- * Show a message to the user
- * @param {string} message - The message text
- * @param {string} type - Message type: 'success', 'error', or 'info'
+ * Read the user ID of the profile to show from the page URL
+ * @returns {number|null} User ID, or null for your own profile
  */
-function showMessage(message, type = 'info') {
-    const messageDiv = document.getElementById('message');
-    messageDiv.textContent = message;
-    messageDiv.className = `message message-${type} show`;
-    
-    // Auto-hide after 5 seconds
-    setTimeout(() => {
-        messageDiv.classList.remove('show');
-    }, 5000);
+function getProfileIdFromUrl() {
+    const id = Number(new URLSearchParams(window.location.search).get('id'));
+    return Number.isInteger(id) && id > 0 ? id : null;
 }
 
 /**
- * Show/hide loading spinner
- * @param {boolean} show - Whether to show or hide the spinner
+ * Format a date in full for display
+ * Named apart from formatDate in posts.js, which shows relative times.
+ * @param {string} dateString - ISO date string
+ * @returns {string} Formatted date string
  */
-function toggleLoading(show) {
-    const loadingDiv = document.getElementById('loading');
-    if (show) {
-        loadingDiv.classList.add('show');
-    } else {
-        loadingDiv.classList.remove('show');
-    }
+function formatFullDate(dateString) {
+    return formatLocalDate(dateString, {
+        year: 'numeric',
+        month: 'long',
+        day: 'numeric',
+        hour: '2-digit',
+        minute: '2-digit'
+    });
 }
 
 /**
- * Check if user is authenticated
- * Redirects to login page if not authenticated
+ * Display user profile information
+ * Email and user ID are only shown on your own profile.
+ * @param {Object} user - User data from users/profile.php or users/get.php
+ * @param {boolean} isOwnProfile - True when showing the logged-in user
  */
-function checkAuthentication() {
-    const isLoggedIn = localStorage.getItem('isLoggedIn');
+function renderProfile(user, isOwnProfile) {
+    // Update profile information in the UI
+    document.getElementById('profileName').textContent = user.name;
+    document.getElementById('profileCreatedAt').textContent = formatFullDate(user.created_at);
+    
+    if (isOwnProfile) {
+        document.getElementById('profileEmail').textContent = user.email;
+        document.getElementById('profileUserId').textContent = user.user_id;
+    }
+    document.querySelectorAll('#profileCard .private-field').forEach(field => {
+        field.classList.toggle('hidden', !isOwnProfile);
+    });
+    
+    // Activity counts come from users/get.php only
+    if (user.post_count !== undefined) {
+        document.getElementById('profilePostCount').textContent = Number(user.post_count) || 0;
+    }
+    if (user.reply_count !== undefined) {
+        document.getElementById('profileReplyCount').textContent = Number(user.reply_count) || 0;
+    }
     
-    if (isLoggedIn !== 'true') {
-        // Not logged in, redirect to login page
-        window.location.href = 'index.html';
-        return false;
+    // Others can be sent a direct message
+    const messageLink = document.getElementById('profileMessageLink');
+    messageLink.classList.toggle('hidden', isOwnProfile);
+    if (!isOwnProfile) {
+        messageLink.href = getMessageUrl(Number(user.user_id));
     }
     
-    return true;
+    // Show profile card
+    document.getElementById('profileCard').style.display = 'block';
 }
 
 /**
- * Display user name in header
- * @param {string} name - User's name
+ * Load the public profile of a user
+ * @param {number} userId - User ID
+ * @param {boolean} quiet - Don't report failures, e.g. when only the counts are missing
+ * @returns {Promise<Object|null>} Public user data, or null if unavailable
  */
-function displayUserName(name) {
-    const userNameElement = document.getElementById('userName');
-    if (userNameElement && name) {
-        userNameElement.textContent = name;
+async function loadPublicProfile(userId, quiet = false) {
+    try {
+        const { status, data } = await apiRequestWithStatus('users/get.php', { params: { user_id: userId } });
+
+        if (data.success) {
+            return data.data;
+        }
+
+        if (quiet) {
+            console.error('Load profile error:', data.message);
+        } else if (status === 404) {
+            showProfileNotFound();
+        } else {
+            showMessage(data.message, 'error');
+        }
+
+    } catch (error) {
+        if (quiet) {
+            console.error('Load profile error:', error);
+        } else {
+            reportApiError(error, t('profile.loadFailed'));
+        }
     }
+
+    return null;
 }
 
 /**
- * Handle user logout
+ * Show the "user not found" state
  */
-async function handleLogout() {
+function showProfileNotFound() {
+    document.title = t('common.pageTitle', { title: t('profile.notFound') });
+    document.getElementById('profileHeading').classList.add('hidden');
+    document.getElementById('profileNotFound').classList.remove('hidden');
+}
+
+/**
+ * Show the "load more" button only while the user has more posts
+ */
+function updateLoadMoreUserPostsButton() {
+    const loadMoreBtn = document.getElementById('loadMoreUserPostsBtn');
+    loadMoreBtn.classList.toggle('hidden', !userPostsState.nextCursor);
+    loadMoreBtn.disabled = userPostsState.loading;
+    loadMoreBtn.textContent = userPostsState.loading ? t('common.loading') : t('common.loadMore');
+}
+
+/**
+ * Load a page of the viewed user's posts
+ * @param {boolean} append - Add to the list instead of replacing it
+ */
+async function loadUserPosts(append = false) {
+    if (userPostsState.loading || (append && !userPostsState.nextCursor)) {
+        return;
+    }
+
+    const requestId = ++userPostsState.requestId;
+    const container = document.getElementById('userPostsContainer');
+    userPostsState.loading = true;
+    updateLoadMoreUserPostsButton();
+
     try {
-        const response = await fetch(`${API_BASE_URL}/auth/logout.php`, {
-            method: 'POST',
-            credentials: 'include'
+        const data = await apiRequest('posts/list.php', {
+            params: {
+                limit: USER_POSTS_PAGE_SIZE,
+                cursor: append ? userPostsState.nextCursor : null,
+                author_id: userPostsState.userId
+            }
         });
-        
-        // Clear local storage
-        localStorage.removeItem('user');
-        localStorage.removeItem('isLoggedIn');
-        
-        // Redirect to login page
-        window.location.href = 'index.html';
-        
+
+        if (requestId !== userPostsState.requestId) {
+            return; // The view was left or started again meanwhile
+        }
+
+        if (data.success) {
+            const postsHTML = data.data.map(post => createPostHTML(post)).join('');
+
+            if (append) {
+                container.insertAdjacentHTML('beforeend', postsHTML);
+            } else {
+                container.innerHTML = postsHTML || `<div class="no-posts">${t('profile.noPosts')}</div>`;
+            }
+            userPostsState.nextCursor = data.next_cursor || null;
+            userPostsState.loaded = true;
+        } else {
+            showMessage(data.message, 'error');
+        }
+
     } catch (error) {
-        console.error('Logout error:', error);
-        // Still redirect even if API call fails
-        localStorage.removeItem('user');
-        localStorage.removeItem('isLoggedIn');
-        window.location.href = 'index.html';
+        if (requestId !== userPostsState.requestId) {
+            return;
+        }
+        reportApiError(error, t('forum.loadFailed'));
     }
+
+    userPostsState.loading = false;
+    updateLoadMoreUserPostsButton();
 }
 
 /**
- * Format date for display
- * @param {string} dateString - ISO date string
- * @returns {string} Formatted date string
+ * Show the "load more" button only while there are more saved posts
  */
-function formatDate(dateString) {
-    const date = new Date(dateString);
-    return date.toLocaleDateString('en-US', { 
-        year: 'numeric', 
-        month: 'long', 
-        day: 'numeric',
-        hour: '2-digit',
-        minute: '2-digit'
+function updateLoadMoreSavedPostsButton() {
+    const loadMoreBtn = document.getElementById('loadMoreSavedPostsBtn');
+    loadMoreBtn.classList.toggle('hidden', !savedPostsState.nextCursor);
+    loadMoreBtn.disabled = savedPostsState.loading;
+    loadMoreBtn.textContent = savedPostsState.loading ? t('common.loading') : t('common.loadMore');
+}
+
+/**
+ * Get the empty-state HTML of the Saved list
+ * @returns {string} HTML string
+ */
+function createNoSavedPostsHTML() {
+    const key = savedPostsState.query ? 'profile.noSavedMatches' : 'profile.noSaved';
+    return `<div class="no-posts">${t(key)}</div>`;
+}
+
+/**
+ * Load a page of your saved posts, matching the current search
+ * Offline, the posts saved on this device are shown instead.
+ * @param {boolean} append - Add to the list instead of replacing it
+ */
+async function loadSavedPosts(append = false) {
+    if (savedPostsState.loading || (append && !savedPostsState.nextCursor)) {
+        return;
+    }
+
+    const requestId = ++savedPostsState.requestId;
+    const container = document.getElementById('savedPostsContainer');
+    savedPostsState.loading = true;
+    updateLoadMoreSavedPostsButton();
+
+    try {
+        const data = await fetchBookmarkedPosts({
+            query: savedPostsState.query,
+            cursor: append ? savedPostsState.nextCursor : null
+        });
+
+        if (requestId !== savedPostsState.requestId) {
+            return; // The view was left or started again meanwhile
+        }
+
+        if (data.success) {
+            const postsHTML = data.data.map(post => createPostHTML(post)).join('');
+
+            if (append) {
+                container.insertAdjacentHTML('beforeend', postsHTML);
+            } else {
+                container.innerHTML = postsHTML || createNoSavedPostsHTML();
+            }
+            document.getElementById('savedOfflineNotice').classList.toggle('hidden', !data.offline);
+            savedPostsState.nextCursor = data.next_cursor || null;
+            savedPostsState.loaded = true;
+        } else {
+            showMessage(data.message, 'error');
+        }
+
+    } catch (error) {
+        if (requestId !== savedPostsState.requestId) {
+            return;
+        }
+        reportApiError(error, t('bookmarks.loadFailed'));
+    }
+
+    savedPostsState.loading = false;
+    updateLoadMoreSavedPostsButton();
+}
+
+/**
+ * Switch between the tabs of your own profile
+ * The tab is kept in the URL (?tab=posts) so it can be linked to.
+ * @param {string} tab - One of PROFILE_TABS
+ */
+function showProfileTab(tab) {
+    document.querySelectorAll('#profileTabs .profile-tab').forEach(button => {
+        const active = button.dataset.tab === tab;
+        button.classList.toggle('active', active);
+        button.setAttribute('aria-selected', String(active));
     });
+
+    document.getElementById('profileCard').classList.toggle('hidden', tab !== 'account');
+    document.getElementById('accountSettings').classList.toggle('hidden', tab !== 'account');
+    document.getElementById('userPostsSection').classList.toggle('hidden', tab !== 'posts');
+    document.getElementById('savedPostsSection').classList.toggle('hidden', tab !== 'saved');
+
+    const url = new URL(window.location.href);
+    if (tab === 'account') {
+        url.searchParams.delete('tab');
+    } else {
+        url.searchParams.set('tab', tab);
+    }
+    history.replaceState(null, '', url);
+
+    if (tab === 'posts' && !userPostsState.loaded) {
+        loadUserPosts();
+    } else if (tab === 'saved' && !savedPostsState.loaded) {
+        loadSavedPosts();
+    }
+}
+
+/**
+ * Fill the edit form with the user's current details
+ * @param {Object} user - User data
+ */
+function fillProfileForm(user) {
+    document.getElementById('editName').value = user.name;
+    document.getElementById('editEmail').value = user.email;
+}
+
+/**
+ * Handle profile form submission
+ * @param {Event} event - Form submit event
+ */
+async function handleUpdateProfile(event) {
+    event.preventDefault();
+
+    const user = getStoredUser() || {};
+    const name = document.getElementById('editName').value.trim();
+    const email = document.getElementById('editEmail').value.trim();
+
+    // Same rules as registration
+    const validationError = validateName(name) || validateEmail(email);
+    if (validationError) {
+        showMessage(validationError, 'error');
+        return;
+    }
+
+    if (name === user.name && email === user.email) {
+        showMessage(t('profile.noChanges'), 'info');
+        return;
+    }
+
+    const submitButton = event.target.querySelector('button[type="submit"]');
+    submitButton.disabled = true;
+
+    try {
+        const data = await apiRequest('users/update.php', {
+            method: 'POST',
+            body: { name, email }
+        });
+
+        if (data.success) {
+            const updatedUser = { ...user, name, email, ...data.data };
+            updateStoredUser(updatedUser);
+            renderProfile(updatedUser, true);
+            fillProfileForm(updatedUser);
+            showMessage(data.message, 'success');
+        } else {
+            showMessage(data.message, 'error');
+        }
+
+    } catch (error) {
+        reportApiError(error, t('profile.updateFailed'));
+    }
+
+    submitButton.disabled = false;
 }
 
 /**
- * Load and display user profile information
+ * Handle password form submission
+ * @param {Event} event - Form submit event
  */
-async function loadProfile() {
+async function handleChangePassword(event) {
+    event.preventDefault();
+
+    const form = event.target;
+    const currentPassword = document.getElementById('currentPassword').value;
+    const newPassword = document.getElementById('newPassword').value;
+    const confirmPassword = document.getElementById('confirmPassword').value;
+
+    if (!currentPassword) {
+        showMessage(t('profile.currentPasswordRequired'), 'error');
+        return;
+    }
+
+    const validationError = validatePassword(newPassword);
+    if (validationError) {
+        showMessage(validationError, 'error');
+        return;
+    }
+
+    if (newPassword !== confirmPassword) {
+        showMessage(t('profile.passwordMismatch'), 'error');
+        return;
+    }
+
+    if (newPassword === currentPassword) {
+        showMessage(t('profile.passwordUnchanged'), 'error');
+        return;
+    }
+
+    const submitButton = form.querySelector('button[type="submit"]');
+    submitButton.disabled = true;
+
+    try {
+        // A wrong current password may come back as 401; that is not an expired session
+        const data = await apiRequest('users/change-password.php', {
+            method: 'POST',
+            body: { current_password: currentPassword, new_password: newPassword },
+            handleUnauthorized: false
+        });
+
+        if (data.success) {
+            form.reset();
+            showMessage(data.message, 'success');
+        } else {
+            showMessage(data.message, 'error');
+        }
+
+    } catch (error) {
+        reportApiError(error, t('profile.passwordFailed'));
+    }
+
+    submitButton.disabled = false;
+}
+
+/**
+ * Handle delete account form submission
+ * @param {Event} event - Form submit event
+ */
+async function handleDeleteAccount(event) {
+    event.preventDefault();
+
+    const confirmation = document.getElementById('deleteConfirm').value.trim();
+    if (confirmation !== DELETE_CONFIRMATION_TEXT) {
+        showMessage(t('profile.deleteConfirmHint', { text: DELETE_CONFIRMATION_TEXT }), 'error');
+        return;
+    }
+
+    const submitButton = document.getElementById('deleteAccountBtn');
+    submitButton.disabled = true;
     toggleLoading(true);
-    
+
     try {
-        const response = await fetch(`${API_BASE_URL}/users/profile.php`, {
-            method: 'GET',
-            credentials: 'include'
+        const data = await apiRequest('users/delete.php', {
+            method: 'POST',
+            body: { confirmation }
         });
-        
-        const data = await response.json();
-        
+
         toggleLoading(false);
-        
+
         if (data.success) {
-            // Update profile information in the UI
-            document.getElementById('profileName').textContent = data.data.name;
-            document.getElementById('profileEmail').textContent = data.data.email;
-            document.getElementById('profileUserId').textContent = data.data.user_id;
-            document.getElementById('profileCreatedAt').textContent = formatDate(data.data.created_at);
-            
-            // Show profile card
-            document.getElementById('profileCard').style.display = 'block';
-
-            // Display user name in header
-            displayUserName(data.data.name);
-
-            // Update localStorage with fresh data
-            localStorage.setItem('user', JSON.stringify(data.data));
-            
-        } else {
-            if (response.status === 401) {
-                // Session expired
-                showMessage('Session expired. Please login again.', 'error');
-                setTimeout(() => {
-                    localStorage.removeItem('user');
-                    localStorage.removeItem('isLoggedIn');
-                    window.location.href = 'index.html';
-                }, 2000);
-            } else {
-                showMessage(data.message, 'error');
-            }
+            clearSession();
+            showMessage(`${data.message} ${t('common.redirecting')}`, 'success');
+
+            setTimeout(() => {
+                navigate('index.html', { replace: true });
+            }, 1500);
+            return;
         }
-        
+
+        showMessage(data.message, 'error');
+
     } catch (error) {
         toggleLoading(false);
-        console.error('Load profile error:', error);
-        showMessage('Failed to load profile information', 'error');
+        reportApiError(error, t('profile.deleteFailed'));
     }
+
+    submitButton.disabled = false;
 }
 
-// Initialize when page loads
-document.addEventListener('DOMContentLoaded', function() {
-    // Check authentication
-    if (!checkAuthentication()) {
-        return; // Will be redirected
+/**
+ * Start the profile view
+ * @param {Object} context - View context from the router: user and signal
+ */
+async function initProfileView({ user, signal }) {
+    // Load profile information
+    toggleLoading(true);
+    
+    const profileId = getProfileIdFromUrl() || Number(user.user_id);
+    const isOwnProfile = profileId === Number(user.user_id);
+    // Start the lists afresh, dropping what the previous profile still had loading
+    userPostsState.userId = profileId;
+    userPostsState.nextCursor = null;
+    userPostsState.loading = false;
+    userPostsState.loaded = false;
+    userPostsState.requestId++;
+    savedPostsState.query = '';
+    savedPostsState.nextCursor = null;
+    savedPostsState.loading = false;
+    savedPostsState.loaded = false;
+    savedPostsState.requestId++;
+    
+    const profile = await loadPublicProfile(profileId, isOwnProfile);
+    if (signal.aborted) {
+        return; // The user moved on while it loaded
     }
+    toggleLoading(false);
     
-    // Load profile information
-    loadProfile();
-    
-    // Attach logout handler
-    const logoutBtn = document.getElementById('logoutBtn');
-    if (logoutBtn) {
-        logoutBtn.addEventListener('click', function(e) {
-            e.preventDefault();
-            handleLogout();
-        });
+    if (isOwnProfile) {
+        renderProfile({ ...profile, ...user }, true);
+    } else if (profile) {
+        document.title = t('common.pageTitle', { title: profile.name });
+        document.getElementById('profileHeading').textContent = profile.name;
+        renderProfile(profile, false);
+    } else {
+        return;
+    }
+    
+    // Posts list: replies, votes, edit/delete, reports, bookmarks and polls work as on the forum
+    const postsContainer = document.getElementById('userPostsContainer');
+    initReplyThreads(postsContainer);
+    initVoting(postsContainer);
+    initPostActions(postsContainer, {
+        onDeleted: function() {
+            if (!postsContainer.querySelector('.post')) {
+                postsContainer.innerHTML = `<div class="no-posts">${t('profile.noPosts')}</div>`;
+            }
+        },
+        signal
+    });
+    initReportActions(postsContainer);
+    initBookmarkActions(postsContainer);
+    initPollVoting(postsContainer);
+    document.getElementById('loadMoreUserPostsBtn').addEventListener('click', function() {
+        loadUserPosts(true);
+    });
+    
+    if (!isOwnProfile) {
+        document.getElementById('userPostsSection').classList.remove('hidden');
+        loadUserPosts();
+        return;
     }
-});
+    
+    fillProfileForm(user);
+    document.getElementById('accountSettings').classList.remove('hidden');
+    document.getElementById('userPostsHeading').textContent = t('profile.myPosts');
+    
+    // Account / My posts tabs
+    const profileTabs = document.getElementById('profileTabs');
+    profileTabs.classList.remove('hidden');
+    profileTabs.addEventListener('click', function(e) {
+        const tab = e.target.closest('.profile-tab');
+        if (tab) {
+            showProfileTab(tab.dataset.tab);
+        }
+    });
+    const initialTab = new URLSearchParams(window.location.search).get('tab');
+    if (PROFILE_TABS.includes(initialTab) && initialTab !== 'account') {
+        showProfileTab(initialTab);
+    }
+    
+    // Saved list: the same post actions, plus search
+    const savedContainer = document.getElementById('savedPostsContainer');
+    initReplyThreads(savedContainer);
+    initVoting(savedContainer);
+    initPostActions(savedContainer, {
+        onDeleted: function() {
+            if (!savedContainer.querySelector('.post')) {
+                savedContainer.innerHTML = createNoSavedPostsHTML();
+            }
+        },
+        signal
+    });
+    initReportActions(savedContainer);
+    initBookmarkActions(savedContainer);
+    initPollVoting(savedContainer);
+    document.getElementById('loadMoreSavedPostsBtn').addEventListener('click', function() {
+        loadSavedPosts(true);
+    });
+    document.getElementById('savedSearchForm').addEventListener('submit', function(e) {
+        e.preventDefault();
+        savedPostsState.query = document.getElementById('savedSearch').value.trim();
+        loadSavedPosts();
+    });
+    
+    // Posts un-saved anywhere on the page leave the Saved list
+    window.addEventListener('bookmarkchange', function(e) {
+        if (e.detail.bookmarked) {
+            // Reload now if the list is open, else next time it is shown
+            savedPostsState.loaded = false;
+            if (!document.getElementById('savedPostsSection').classList.contains('hidden')) {
+                loadSavedPosts();
+            }
+            return;
+        }
+        const card = savedContainer.querySelector(`.post[data-post-id="${e.detail.postId}"]`);
+        if (card) {
+            card.remove();
+            if (!savedContainer.querySelector('.post')) {
+                savedContainer.innerHTML = createNoSavedPostsHTML();
+            }
+        }
+    }, { signal });
+    
+    // Attach form handlers
+    document.getElementById('profileForm').addEventListener('submit', handleUpdateProfile);
+    document.getElementById('passwordForm').addEventListener('submit', handleChangePassword);
+    document.getElementById('deleteAccountForm').addEventListener('submit', handleDeleteAccount);
+    
+    // Only allow deleting once the confirmation text is typed
+    document.getElementById('deleteConfirm').addEventListener('input', function() {
+        document.getElementById('deleteAccountBtn').disabled = this.value.trim() !== DELETE_CONFIRMATION_TEXT;
+    });
+    
+    // Follow profile edits made in another tab
+    window.addEventListener('userchange', function(e) {
+        renderProfile(e.detail, true);
+        fillProfileForm(e.detail);
+    }, { signal });
+}
+
+registerView('profile', initProfileView);
@@ -0,0 +1,198 @@
+/**
+ * Realtime Module
+ *
+ * Keeps a live connection to the backend and hands forum events
+ * (new posts, edits, deletions, replies) to the page.
+ *
+ * Events arrive over server-sent events. When the stream drops it is
+ * reopened with exponential backoff, and after a few failed attempts the
+ * page polls for the same events until the stream comes back.
+ *
+ * Event types and their data:
+ *   post_created  { post }
+ *   post_updated  { post }
+ *   post_deleted  { post_id }
+ *   reply_created { post_id, reply, reply_count }
+ */
+
+// REALTIME_BASE_URL and REALTIME_POLL_INTERVAL_MS are defined in config.js
+// apiRequest and buildApiUrl are defined in api.js
+
+const REALTIME_EVENT_TYPES = ['post_created', 'post_updated', 'post_deleted', 'reply_created'];
+
+// Reconnect delays grow from the base up to the maximum
+const REALTIME_RECONNECT_BASE_MS = 1000;
+const REALTIME_RECONNECT_MAX_MS = 30000;
+
+// Failed stream attempts in a row before polling starts
+const REALTIME_ATTEMPTS_BEFORE_POLLING = 3;
+
+// Connection state shared by the functions below
+const realtimeState = {
+    onEvent: null,
+    source: null,
+    attempts: 0,
+    reconnectTimer: null,
+    pollTimer: null,
+    polling: false,
+    pollInFlight: false,
+    lastEventId: ''
+};
+
+/**
+ * Pass an event on to the page
+ * @param {string} type - Event type
+ * @param {Object} data - Event data
+ * @param {string} id - Event ID, remembered so missed events can be requested
+ */
+function dispatchRealtimeEvent(type, data, id) {
+    if (id) {
+        realtimeState.lastEventId = String(id);
+    }
+
+    if (!REALTIME_EVENT_TYPES.includes(type) || !data || !realtimeState.onEvent) {
+        return;
+    }
+
+    try {
+        realtimeState.onEvent(type, data);
+    } catch (error) {
+        console.error('Realtime event error:', type, error);
+    }
+}
+
+/**
+ * Open the event stream
+ */
+function connectEventStream() {
+    if (!window.EventSource) {
+        startPolling();
+        return;
+    }
+
+    // The ID of the last event seen lets the server replay what was missed meanwhile
+    const url = buildApiUrl('stream.php', { last_event_id: realtimeState.lastEventId }, REALTIME_BASE_URL);
+    const source = new EventSource(url, { withCredentials: true });
+    realtimeState.source = source;
+
+    source.addEventListener('open', function() {
+        realtimeState.attempts = 0;
+        stopPolling();
+    });
+
+    REALTIME_EVENT_TYPES.forEach(type => {
+        source.addEventListener(type, function(e) {
+            try {
+                dispatchRealtimeEvent(type, JSON.parse(e.data), e.lastEventId);
+            } catch (error) {
+                console.error('Realtime parse error:', error);
+            }
+        });
+    });
+
+    // EventSource retries on its own without backoff, so take over instead
+    source.addEventListener('error', function() {
+        source.close();
+        if (realtimeState.source === source) {
+            realtimeState.source = null;
+            scheduleReconnect();
+        }
+    });
+}
+
+/**
+ * Reopen the stream after a growing delay, polling meanwhile if it keeps failing
+ */
+function scheduleReconnect() {
+    realtimeState.attempts++;
+
+    if (realtimeState.attempts >= REALTIME_ATTEMPTS_BEFORE_POLLING) {
+        startPolling();
+    }
+
+    // Random jitter so a server restart isn't hit by every client at once
+    const delay = Math.min(REALTIME_RECONNECT_BASE_MS * 2 ** (realtimeState.attempts - 1), REALTIME_RECONNECT_MAX_MS);
+    clearTimeout(realtimeState.reconnectTimer);
+    realtimeState.reconnectTimer = setTimeout(connectEventStream, delay / 2 + Math.random() * delay / 2);
+}
+
+/**
+ * Fetch the events since the last one seen
+ */
+async function pollEvents() {
+    realtimeState.pollInFlight = true;
+
+    try {
+        const data = await apiRequest('poll.php', {
+            baseUrl: REALTIME_BASE_URL,
+            params: { since: realtimeState.lastEventId },
+            retries: 0
+        });
+
+        if (data.success && data.data) {
+            (data.data.events || []).forEach(event => dispatchRealtimeEvent(event.type, event.data, event.id));
+
+            if (data.data.last_event_id) {
+                realtimeState.lastEventId = String(data.data.last_event_id);
+            }
+        }
+
+    } catch (error) {
+        // Keep polling quietly; the next attempt may succeed
+        console.error('Realtime poll error:', error);
+    }
+
+    realtimeState.pollInFlight = false;
+    if (realtimeState.polling) {
+        clearTimeout(realtimeState.pollTimer);
+        realtimeState.pollTimer = setTimeout(pollEvents, REALTIME_POLL_INTERVAL_MS);
+    }
+}
+
+/**
+ * Start polling, unless already polling
+ */
+function startPolling() {
+    if (realtimeState.polling) {
+        return;
+    }
+
+    realtimeState.polling = true;
+
+    // A poll still on its way schedules the next one itself
+    if (!realtimeState.pollInFlight) {
+        pollEvents();
+    }
+}
+
+/**
+ * Stop polling
+ */
+function stopPolling() {
+    realtimeState.polling = false;
+    clearTimeout(realtimeState.pollTimer);
+}
+
+/**
+ * Start receiving live forum events
+ * @param {Function} onEvent - Called with (type, data) for each event
+ */
+function startRealtime(onEvent) {
+    stopRealtime();
+    realtimeState.onEvent = onEvent;
+    realtimeState.attempts = 0;
+    connectEventStream();
+}
+
+/**
+ * Close the connection and stop polling
+ */
+function stopRealtime() {
+    if (realtimeState.source) {
+        realtimeState.source.close();
+        realtimeState.source = null;
+    }
+
+    clearTimeout(realtimeState.reconnectTimer);
+    stopPolling();
+}
@@ -0,0 +1,327 @@
+/**
+ * Replies Module
+ *
+ * Handles the expandable reply thread under each post.
+ * Threads are loaded on first expand and support nested replies.
+ */
+
+// apiRequest, showMessage, escapeHtml, escapeAttribute and updateCharCount are defined in api.js
+// formatDate, validateContent, isOwnPost, createAuthorHTML, createPostBodyHTML and renderedPosts are defined in posts.js
+// createVoteControlsHTML is defined in votes.js
+// t is defined in i18n.js
+
+// Deepest nesting level shown; replies below it are listed at this level
+const MAX_REPLY_DEPTH = 3;
+
+/**
+ * Format the reply count label for a post
+ * @param {number} count - Number of replies
+ * @returns {string} Label text
+ */
+function formatReplyCount(count) {
+    return t('replies.count', { count });
+}
+
+/**
+ * Build a reply tree from the flat list returned by the API
+ * @param {Array} replies - Replies with reply_id and parent_id
+ * @returns {Array} Top-level replies, each with a children array
+ */
+function buildReplyTree(replies) {
+    const nodes = {};
+    const roots = [];
+
+    replies.forEach(reply => {
+        nodes[reply.reply_id] = { ...reply, children: [] };
+    });
+
+    replies.forEach(reply => {
+        const node = nodes[reply.reply_id];
+        const parent = reply.parent_id ? nodes[reply.parent_id] : null;
+        if (parent) {
+            parent.children.push(node);
+        } else {
+            roots.push(node);
+        }
+    });
+
+    return roots;
+}
+
+/**
+ * Create HTML for a reply form
+ * @param {number|null} parentId - Reply being answered, or null for a top-level reply
+ * @returns {string} HTML string for the form
+ */
+function createReplyFormHTML(parentId = null) {
+    return `
+        <form class="reply-form" data-parent-id="${parentId ? Number(parentId) : ''}">
+            <textarea
+                name="content"
+                placeholder="${escapeAttribute(t('replies.placeholder', { min: 10, max: 5000 }))}"
+                minlength="10"
+                maxlength="5000"
+                required
+            ></textarea>
+            <div class="reply-form-actions">
+                <small class="text-muted"><span class="reply-char-count">0</span>/5000</small>
+                ${parentId ? `<button type="button" class="btn-link reply-cancel">${t('common.cancel')}</button>` : ''}
+                <button type="submit" class="btn btn-primary btn-sm">${t('replies.reply')}</button>
+            </div>
+        </form>
+    `;
+}
+
+/**
+ * Create HTML for a list of replies and their children
+ * @param {Array} replies - Reply tree nodes
+ * @param {Object} thread - Thread context
+ * @param {number|null} thread.acceptedReplyId - Reply marked as the accepted answer
+ * @param {boolean} thread.canAccept - True if the current user asked the question
+ * @param {number} depth - Nesting level of these replies (1 = top level)
+ * @returns {string} HTML string for the replies
+ */
+function createRepliesHTML(replies, thread, depth = 1) {
+    return replies.map(reply => {
+        const replyId = Number(reply.reply_id);
+        const accepted = replyId === Number(thread.acceptedReplyId);
+        const nested = depth < MAX_REPLY_DEPTH;
+        const childrenHTML = createRepliesHTML(reply.children, thread, nested ? depth + 1 : depth);
+        const acceptHTML = thread.canAccept
+            ? `<button type="button" class="btn-link reply-accept">${accepted ? t('replies.unaccept') : t('replies.accept')}</button>`
+            : '';
+
+        return `
+            <div class="reply${accepted ? ' reply-accepted' : ''}" data-reply-id="${replyId}">
+                <div class="post-meta">
+                    ${createAuthorHTML(reply)}
+                    <span class="post-date">${formatDate(reply.created_at)}</span>
+                    ${accepted ? `<span class="answered-badge">&#10003; ${t('replies.accepted')}</span>` : ''}
+                </div>
+                <div class="reply-content">${escapeHtml(reply.content)}</div>
+                <div class="reply-actions">
+                    ${createVoteControlsHTML('reply', replyId, reply, isOwnPost(reply))}
+                    <button type="button" class="btn-link reply-to">${t('replies.reply')}</button>
+                    ${acceptHTML}
+                </div>
+                <div class="reply-children">${nested ? childrenHTML : ''}</div>
+            </div>
+            ${nested ? '' : childrenHTML}
+        `;
+    }).join('');
+}
+
+/**
+ * Get the thread context of a post for rendering its replies
+ * @param {HTMLElement} postElement - The .post element
+ * @returns {Object} acceptedReplyId and canAccept
+ */
+function getThreadContext(postElement) {
+    const entry = renderedPosts.get(Number(postElement.dataset.postId));
+    const post = entry ? entry.post : {};
+
+    return {
+        acceptedReplyId: post.accepted_reply_id || null,
+        canAccept: isOwnPost(post)
+    };
+}
+
+/**
+ * Update the reply count shown on a post card
+ * @param {HTMLElement} postElement - The .post element
+ * @param {number} count - Number of replies
+ */
+function updateReplyCount(postElement, count) {
+    const toggle = postElement.querySelector('.reply-toggle');
+    if (toggle) {
+        toggle.textContent = formatReplyCount(count);
+    }
+}
+
+/**
+ * Load and display the reply thread for a post
+ * @param {HTMLElement} postElement - The .post element
+ */
+async function loadReplies(postElement) {
+    const postId = postElement.dataset.postId;
+    const thread = postElement.querySelector('.reply-thread');
+    thread.innerHTML = `<div class="text-muted">${t('replies.loading')}</div>`;
+
+    try {
+        const data = await apiRequest('replies/list.php', { params: { post_id: postId } });
+
+        if (data.success) {
+            const replies = data.data || [];
+            const repliesHTML = replies.length === 0
+                ? `<div class="text-muted">${t('replies.empty')}</div>`
+                : createRepliesHTML(buildReplyTree(replies), getThreadContext(postElement));
+
+            thread.innerHTML = `<div class="reply-list">${repliesHTML}</div>${createReplyFormHTML()}`;
+            thread.dataset.loaded = 'true';
+            updateReplyCount(postElement, replies.length);
+        } else {
+            thread.innerHTML = `<div class="text-muted">${t('replies.loadFailed')}</div>`;
+            showMessage(data.message, 'error');
+        }
+
+    } catch (error) {
+        reportApiError(error, t('replies.loadFailed'));
+        thread.innerHTML = `<div class="text-muted">${t('replies.loadFailed')}</div>`;
+    }
+}
+
+/**
+ * Expand or collapse the reply thread of a post
+ * The thread is fetched the first time it is expanded.
+ * @param {HTMLElement} postElement - The .post element
+ */
+function toggleReplyThread(postElement) {
+    const thread = postElement.querySelector('.reply-thread');
+    const toggle = postElement.querySelector('.reply-toggle');
+    const expand = thread.classList.contains('hidden');
+
+    thread.classList.toggle('hidden', !expand);
+    toggle.setAttribute('aria-expanded', String(expand));
+
+    if (expand && thread.dataset.loaded !== 'true') {
+        loadReplies(postElement);
+    }
+}
+
+/**
+ * Show a reply form under an existing reply
+ * @param {HTMLElement} replyElement - The .reply element being answered
+ */
+function openNestedReplyForm(replyElement) {
+    const existing = replyElement.querySelector(':scope > .reply-form');
+    if (existing) {
+        existing.querySelector('textarea').focus();
+        return;
+    }
+
+    const children = replyElement.querySelector(':scope > .reply-children');
+    children.insertAdjacentHTML('beforebegin', createReplyFormHTML(replyElement.dataset.replyId));
+    replyElement.querySelector(':scope > .reply-form textarea').focus();
+}
+
+/**
+ * Handle reply submission
+ * @param {HTMLFormElement} form - The submitted .reply-form
+ */
+async function handleCreateReply(form) {
+    const postElement = form.closest('.post');
+    const content = form.elements.content.value.trim();
+    const parentId = form.dataset.parentId ? Number(form.dataset.parentId) : null;
+
+    // Same content rules as posts
+    const validationError = validateContent(content);
+    if (validationError) {
+        showMessage(validationError, 'error');
+        return;
+    }
+
+    const submitButton = form.querySelector('button[type="submit"]');
+    submitButton.disabled = true;
+
+    try {
+        const data = await apiRequest('replies/create.php', {
+            method: 'POST',
+            body: {
+                post_id: Number(postElement.dataset.postId),
+                parent_id: parentId,
+                content
+            }
+        });
+
+        if (data.success) {
+            showMessage(data.message, 'success');
+            // Reload the thread to show the new reply in place
+            loadReplies(postElement);
+        } else {
+            showMessage(data.message, 'error');
+            submitButton.disabled = false;
+        }
+
+    } catch (error) {
+        reportApiError(error, t('replies.createFailed'));
+        submitButton.disabled = false;
+    }
+}
+
+/**
+ * Mark a reply as the accepted answer, or unmark it
+ * Only the author of the post can do this.
+ * @param {HTMLElement} replyElement - The .reply element
+ */
+async function handleAcceptReply(replyElement) {
+    const postElement = replyElement.closest('.post');
+    const postId = Number(postElement.dataset.postId);
+    const entry = renderedPosts.get(postId);
+    const replyId = Number(replyElement.dataset.replyId);
+    const unaccept = replyId === Number(entry.post.accepted_reply_id);
+
+    try {
+        const data = await apiRequest('replies/accept.php', {
+            method: 'POST',
+            body: { post_id: postId, reply_id: unaccept ? null : replyId }
+        });
+
+        if (data.success) {
+            entry.post.accepted_reply_id = unaccept ? null : replyId;
+            showMessage(data.message, 'success');
+
+            // Re-render the thread and the post's "Answered" badge
+            loadReplies(postElement);
+            postElement.querySelector('.post-body').outerHTML = createPostBodyHTML(entry.post, entry.options);
+        } else {
+            showMessage(data.message, 'error');
+        }
+
+    } catch (error) {
+        reportApiError(error, t('replies.acceptFailed'));
+    }
+}
+
+/**
+ * Attach reply thread handlers to a posts container
+ * Uses event delegation so posts rendered later are covered too.
+ * @param {HTMLElement} container - Element holding the .post cards
+ */
+function initReplyThreads(container) {
+    if (!container) {
+        return;
+    }
+
+    container.addEventListener('click', function(e) {
+        const postElement = e.target.closest('.post');
+        if (!postElement) {
+            return;
+        }
+
+        if (e.target.closest('.reply-toggle')) {
+            toggleReplyThread(postElement);
+        } else if (e.target.closest('.reply-to')) {
+            openNestedReplyForm(e.target.closest('.reply'));
+        } else if (e.target.closest('.reply-cancel')) {
+            e.target.closest('.reply-form').remove();
+        } else if (e.target.closest('.reply-accept')) {
+            handleAcceptReply(e.target.closest('.reply'));
+        }
+    });
+
+    container.addEventListener('submit', function(e) {
+        const form = e.target.closest('.reply-form');
+        if (form) {
+            e.preventDefault();
+            handleCreateReply(form);
+        }
+    });
+
+    // Character count for reply textareas
+    container.addEventListener('input', function(e) {
+        const form = e.target.closest('.reply-form');
+        if (form && e.target.name === 'content') {
+            updateCharCount(e.target, form.querySelector('.reply-char-count'));
+        }
+    });
+}
@@ -0,0 +1,170 @@
+/**
+ * Reports Module
+ *
+ * The "Report" action on other people's posts. Users pick a reason, and may
+ * add details, in an inline form; moderators then review the report on the
+ * moderation page (see moderation.js).
+ */
+
+// apiRequestWithStatus, showMessage, reportApiError and escapeAttribute are defined in api.js
+// renderedPosts is defined in posts.js
+// t is defined in i18n.js
+
+// Reasons a post can be reported for, as sent to the backend
+const REPORT_REASONS = ['spam', 'harassment', 'offensive', 'off_topic', 'other'];
+
+// Longest details text accepted with a report
+const REPORT_DETAILS_MAX_LENGTH = 500;
+
+/**
+ * Create HTML for the report button of a post
+ * Posts the user already reported show that instead.
+ * @param {Object} post - Post data object; reported_by_me is set by the backend
+ * @returns {string} HTML string
+ */
+function createReportButtonHTML(post) {
+    if (post.reported_by_me) {
+        return `<span class="text-muted report-sent">${t('reports.reported')}</span>`;
+    }
+    return `<button type="button" class="btn-link post-report" aria-expanded="false">${t('reports.report')}</button>`;
+}
+
+/**
+ * Create HTML for the inline report form of a post
+ * @param {number} postId - Post ID
+ * @returns {string} HTML string for the form
+ */
+function createReportFormHTML(postId) {
+    return `
+        <form class="report-form">
+            <div class="form-group">
+                <label for="reportReason${postId}">${t('reports.reasonLabel')}</label>
+                <select id="reportReason${postId}" name="reason" required>
+                    <option value="">${t('reports.chooseReason')}</option>
+                    ${REPORT_REASONS.map(reason => `<option value="${reason}">${t(`reports.reasons.${reason}`)}</option>`).join('')}
+                </select>
+            </div>
+            <div class="form-group">
+                <label for="reportDetails${postId}">${t('reports.detailsLabel')}</label>
+                <textarea id="reportDetails${postId}" name="details" maxlength="${REPORT_DETAILS_MAX_LENGTH}" placeholder="${escapeAttribute(t('reports.detailsPlaceholder'))}"></textarea>
+            </div>
+            <div class="reply-form-actions">
+                <button type="button" class="btn-link report-cancel">${t('common.cancel')}</button>
+                <button type="submit" class="btn btn-danger btn-sm">${t('reports.send')}</button>
+            </div>
+        </form>
+    `;
+}
+
+/**
+ * Open or close the report form of a post
+ * @param {HTMLElement} postElement - The .post element
+ * @param {boolean} open - True to open the form
+ */
+function toggleReportForm(postElement, open) {
+    const button = postElement.querySelector('.post-report');
+    const existing = postElement.querySelector('.report-form');
+    if (existing) {
+        existing.remove();
+    }
+    if (button) {
+        button.setAttribute('aria-expanded', String(open));
+    }
+    if (!open) {
+        return;
+    }
+
+    postElement.querySelector('.post-actions').insertAdjacentHTML('afterend', createReportFormHTML(Number(postElement.dataset.postId)));
+    postElement.querySelector('.report-form select').focus();
+}
+
+/**
+ * Replace the report button of a post once it is reported
+ * @param {HTMLElement} postElement - The .post element
+ */
+function markPostReported(postElement) {
+    const button = postElement.querySelector('.post-report');
+    if (button) {
+        button.outerHTML = createReportButtonHTML({ reported_by_me: true });
+    }
+
+    const entry = renderedPosts.get(Number(postElement.dataset.postId));
+    if (entry) {
+        entry.post.reported_by_me = true;
+    }
+}
+
+/**
+ * Handle report form submission
+ * @param {HTMLFormElement} form - The submitted .report-form
+ */
+async function handleReportPost(form) {
+    const postElement = form.closest('.post');
+    const reason = form.elements.reason.value;
+    const details = form.elements.details.value.trim();
+
+    if (!REPORT_REASONS.includes(reason)) {
+        showMessage(t('reports.reasonRequired'), 'error');
+        return;
+    }
+    if (reason === 'other' && !details) {
+        showMessage(t('reports.detailsRequired'), 'error');
+        form.elements.details.focus();
+        return;
+    }
+
+    const submitButton = form.querySelector('button[type="submit"]');
+    submitButton.disabled = true;
+
+    try {
+        const { status, data } = await apiRequestWithStatus('posts/report.php', {
+            method: 'POST',
+            body: { post_id: Number(postElement.dataset.postId), reason, details }
+        });
+
+        // 409: this user already reported the post
+        if (data.success || status === 409) {
+            showMessage(data.message || t('reports.sent'), data.success ? 'success' : 'info');
+            toggleReportForm(postElement, false);
+            markPostReported(postElement);
+        } else {
+            showMessage(data.message, 'error');
+            submitButton.disabled = false;
+        }
+
+    } catch (error) {
+        reportApiError(error, t('reports.failed'));
+        submitButton.disabled = false;
+    }
+}
+
+/**
+ * Attach report handlers to a posts container
+ * @param {HTMLElement} container - Element holding the .post cards
+ */
+function initReportActions(container) {
+    if (!container) {
+        return;
+    }
+
+    container.addEventListener('click', function(e) {
+        const postElement = e.target.closest('.post');
+        if (!postElement) {
+            return;
+        }
+
+        if (e.target.closest('.post-report')) {
+            toggleReportForm(postElement, !postElement.querySelector('.report-form'));
+        } else if (e.target.closest('.report-cancel')) {
+            toggleReportForm(postElement, false);
+        }
+    });
+
+    container.addEventListener('submit', function(e) {
+        const form = e.target.closest('.report-form');
+        if (form) {
+            e.preventDefault();
+            handleReportPost(form);
+        }
+    });
+}
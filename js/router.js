@@ -0,0 +1,400 @@
+/**
+ * Router Module
+ *
+ * Moves between the login, forum, post, profile, inbox and moderation views
+ * without reloading the app. Every view is still its own HTML page, so any URL
+ * can be opened or refreshed directly. Links between views are followed with
+ * the History API instead: the target page's header and main content are
+ * swapped in, any scripts it needs that aren't loaded yet are added, and the
+ * view is started.
+ * Config, scripts and the logged-in user stay loaded across views.
+ *
+ * Each view's module registers itself with registerView(). Routes have a
+ * guard that decides whether the view may be shown or where to go instead.
+ */
+
+// getCurrentUser, isModerator, displayUserName, bindLogoutButton and reportApiError are defined in api.js
+// initNotifications is defined in notifications.js
+// initMessagesBadge is defined in direct-messages.js
+// t and applyTranslations are defined in i18n.js
+// updateThemeSelects is defined in theme.js
+
+// Page the user goes to after logging in, unless they asked for another one
+const DEFAULT_ROUTE = 'forum.html';
+
+// Page of the login view
+const LOGIN_ROUTE = 'index.html';
+
+// Routes by page name
+const ROUTES = {
+    'index.html': { view: 'login', guard: requireGuest },
+    'reset-password.html': { view: 'resetPassword', guard: allowAnyone },
+    'forum.html': { view: 'forum', guard: requireAuth },
+    'post.html': { view: 'post', guard: requireAuth },
+    'profile.html': { view: 'profile', guard: requireAuth },
+    'inbox.html': { view: 'inbox', guard: requireAuth },
+    'moderation.html': { view: 'moderation', guard: requireModerator }
+};
+
+// Views registered by their modules, by name
+const views = new Map();
+
+// Page markup fetched for views not shown yet, by page name
+const pageCache = new Map();
+
+// What is on screen
+const routerState = {
+    page: null,
+    url: null,
+    context: null,
+    controller: null,
+    navigationId: 0
+};
+
+/**
+ * Register a view
+ * @param {string} name - View name, as used in ROUTES
+ * @param {Function} mount - Starts the view; called with { user, signal }. The
+ *   signal is aborted when the view is left, so listeners outside the view's
+ *   own elements and timers can be removed.
+ * @param {Object} options - Optional update(context), called instead of mount
+ *   when only the query string changes (e.g. back/forward between searches)
+ */
+function registerView(name, mount, options = {}) {
+    views.set(name, { mount, update: options.update || null });
+}
+
+/**
+ * Get the page name of a URL
+ * @param {URL} url - URL
+ * @returns {string} Page name, e.g. 'post.html'
+ */
+function getPageName(url) {
+    return url.pathname.split('/').pop() || LOGIN_ROUTE;
+}
+
+/**
+ * Find the route for a URL
+ * @param {URL} url - URL
+ * @returns {Object|null} Route, or null if the URL isn't one of the app's views
+ */
+function findRoute(url) {
+    if (url.origin !== window.location.origin) {
+        return null;
+    }
+    return ROUTES[getPageName(url)] || null;
+}
+
+/**
+ * Build the login URL that returns to a page afterwards
+ * @param {string} returnUrl - Page the user asked for
+ * @returns {string} Login URL
+ */
+function getLoginUrl(returnUrl) {
+    const url = new URL(returnUrl, window.location.href);
+    const next = `${getPageName(url)}${url.search}`;
+    return next === DEFAULT_ROUTE ? LOGIN_ROUTE : `${LOGIN_ROUTE}?next=${encodeURIComponent(next)}`;
+}
+
+/**
+ * Get the page to show after logging in
+ * Only the app's own logged-in views are accepted, so the login link can't send users elsewhere.
+ * @returns {string} URL of the page asked for before logging in, or the forum
+ */
+function getRedirectAfterLogin() {
+    const next = new URLSearchParams(window.location.search).get('next');
+    if (!next) {
+        return DEFAULT_ROUTE;
+    }
+
+    const url = new URL(next, window.location.href);
+    const route = findRoute(url);
+    return route && needsLogin(route) ? url.href : DEFAULT_ROUTE;
+}
+
+/**
+ * Check whether a route is only for logged-in users
+ * @param {Object} route - Route from ROUTES
+ * @returns {boolean} True if its view needs a logged-in user
+ */
+function needsLogin(route) {
+    return route.guard === requireAuth || route.guard === requireModerator;
+}
+
+/**
+ * Guard for views that need a logged-in user
+ * Visitors are sent to the login view, which brings them back afterwards.
+ * @param {Object} context - View context; user is filled in
+ * @returns {Promise<string|null|false>} URL to go to instead, null to show the
+ *   view, or false if the session couldn't be checked
+ */
+async function requireAuth(context) {
+    try {
+        context.user = await getCurrentUser();
+    } catch (error) {
+        reportApiError(error, t('router.authCheckFailed'));
+        return false;
+    }
+
+    return context.user ? null : getLoginUrl(window.location.href);
+}
+
+/**
+ * Guard for views only moderators may use
+ * Other logged-in users are sent to the forum instead.
+ * @param {Object} context - View context; user is filled in
+ * @returns {Promise<string|null|false>} As requireAuth
+ */
+async function requireModerator(context) {
+    const redirect = await requireAuth(context);
+    if (redirect !== null) {
+        return redirect;
+    }
+    return isModerator(context.user) ? null : DEFAULT_ROUTE;
+}
+
+/**
+ * Guard for the login view
+ * Users who are already logged in go straight on.
+ * @returns {Promise<string|null>} URL to go to instead, or null to show the view
+ */
+async function requireGuest() {
+    try {
+        return await getCurrentUser() ? getRedirectAfterLogin() : null;
+    } catch (error) {
+        // Can't tell, so let them log in again
+        console.error('Session verification error:', error);
+        return null;
+    }
+}
+
+/**
+ * Guard for views that work the same whether or not someone is logged in,
+ * such as the page a password reset email links to
+ * @returns {Promise<null>} Always null: show the view
+ */
+async function allowAnyone() {
+    return null;
+}
+
+/**
+ * Fetch a page and parse it
+ * @param {string} page - Page name
+ * @returns {Promise<Document>}
+ */
+async function fetchPage(page) {
+    if (!pageCache.has(page)) {
+        const response = await fetch(page);
+        if (!response.ok) {
+            throw new Error(`Failed to load ${page}: HTTP ${response.status}`);
+        }
+        pageCache.set(page, await response.text());
+    }
+
+    return new DOMParser().parseFromString(pageCache.get(page), 'text/html');
+}
+
+/**
+ * Add the stylesheets and scripts of a page that aren't loaded yet
+ * Scripts run one at a time in page order, as later ones use earlier ones.
+ * @param {Document} doc - Parsed page
+ */
+async function loadPageAssets(doc) {
+    doc.querySelectorAll('link[rel="stylesheet"]').forEach(link => {
+        if (!document.querySelector(`link[rel="stylesheet"][href="${link.getAttribute('href')}"]`)) {
+            document.head.appendChild(document.importNode(link));
+        }
+    });
+
+    for (const source of doc.querySelectorAll('script[src]')) {
+        if (document.querySelector(`script[src="${source.getAttribute('src')}"]`)) {
+            continue;
+        }
+
+        await new Promise((resolve, reject) => {
+            const script = document.createElement('script');
+            Array.from(source.attributes).forEach(attribute => script.setAttribute(attribute.name, attribute.value));
+            script.onload = resolve;
+            script.onerror = () => reject(new Error(`Failed to load ${source.getAttribute('src')}`));
+            document.body.appendChild(script);
+        });
+    }
+}
+
+/**
+ * Put a page's header and main content on screen
+ * @param {Document} doc - Parsed page
+ */
+function swapPage(doc) {
+    applyTranslations(doc);
+    updateThemeSelects(doc);
+    document.querySelector('header').replaceWith(document.adoptNode(doc.querySelector('header')));
+    document.querySelector('main').replaceWith(document.adoptNode(doc.querySelector('main')));
+    document.title = doc.title;
+    window.scrollTo(0, 0);
+}
+
+/**
+ * Set up the header shared by the logged-in views
+ * @param {Object} context - View context
+ */
+function initAppHeader(context) {
+    displayUserName(context.user.name);
+    document.querySelectorAll('.moderation-link').forEach(link => {
+        link.classList.toggle('hidden', !isModerator(context.user));
+    });
+    bindLogoutButton();
+    initNotifications(context.signal);
+    initMessagesBadge(context.signal);
+}
+
+/**
+ * Show the view for the current URL
+ * Runs the route's guard, loads the page if another one is on screen and starts the view.
+ * @param {Object} options - Options
+ * @param {boolean} options.initial - True on page load, when the page is already on screen
+ * @param {boolean} options.reload - Start the view again from a fresh page, e.g. after a language change
+ */
+async function renderRoute({ initial = false, reload = false } = {}) {
+    const navigationId = ++routerState.navigationId;
+    const url = new URL(window.location.href);
+    const route = findRoute(url);
+    const page = getPageName(url);
+
+    if (!route) {
+        window.location.reload();
+        return;
+    }
+
+    // Same view, only the query string changed: let the view follow along
+    const view = views.get(route.view);
+    const samePage = !initial && !reload && page === routerState.page;
+    if (samePage && routerState.context && view && view.update) {
+        routerState.url = url.pathname + url.search;
+        view.update(routerState.context);
+        return;
+    }
+
+    // Following an in-page #anchor changes neither the page nor the view
+    if (samePage && url.pathname + url.search === routerState.url) {
+        return;
+    }
+
+    const context = { user: null, signal: null };
+    const redirect = await route.guard(context);
+    if (navigationId !== routerState.navigationId) {
+        return; // The user went somewhere else meanwhile
+    }
+    if (redirect) {
+        navigate(redirect, { replace: true });
+        return;
+    }
+
+    // Leave the current view, letting it save its state first
+    if (routerState.controller) {
+        routerState.controller.abort();
+        routerState.controller = null;
+        routerState.context = null;
+    }
+
+    if (!initial) {
+        try {
+            const doc = await fetchPage(page);
+            await loadPageAssets(doc);
+            if (navigationId !== routerState.navigationId) {
+                return;
+            }
+            swapPage(doc);
+        } catch (error) {
+            // Fall back to loading the page normally
+            console.error('Navigation error:', error);
+            window.location.reload();
+            return;
+        }
+    }
+
+    routerState.page = page;
+    routerState.url = url.pathname + url.search;
+
+    if (redirect === false) {
+        return; // Page shown, but not started without a verified user
+    }
+
+    routerState.controller = new AbortController();
+    context.signal = routerState.controller.signal;
+    routerState.context = context;
+
+    if (needsLogin(route)) {
+        initAppHeader(context);
+    }
+    if (views.has(route.view)) {
+        views.get(route.view).mount(context);
+    }
+}
+
+/**
+ * Go to another view
+ * URLs that aren't one of the app's views are loaded normally.
+ * @param {string} url - URL to go to
+ * @param {Object} options - replace: true to replace the current history entry
+ * @returns {Promise<void>}
+ */
+function navigate(url, { replace = false } = {}) {
+    const target = new URL(url, window.location.href);
+    if (!findRoute(target)) {
+        window.location.href = target.href;
+        return Promise.resolve();
+    }
+
+    if (replace) {
+        history.replaceState(null, '', target.href);
+    } else {
+        history.pushState(null, '', target.href);
+    }
+    return renderRoute();
+}
+
+/**
+ * Follow clicks on links to other views without reloading
+ * @param {MouseEvent} event - Click event
+ */
+function handleLinkClick(event) {
+    if (event.defaultPrevented || event.button !== 0 || event.metaKey || event.ctrlKey || event.shiftKey || event.altKey) {
+        return;
+    }
+
+    const link = event.target.closest('a[href]');
+    if (!link || link.target || link.hasAttribute('download')) {
+        return;
+    }
+
+    const url = new URL(link.href);
+    const samePage = url.pathname === window.location.pathname && url.search === window.location.search;
+    if (!findRoute(url) || (samePage && url.hash)) {
+        return;
+    }
+
+    event.preventDefault();
+    navigate(url.href);
+}
+
+// Start once every script of the first page has run and registered its view
+document.addEventListener('DOMContentLoaded', function() {
+    // Views restore their own scroll position (see forum.js)
+    if ('scrollRestoration' in history) {
+        history.scrollRestoration = 'manual';
+    }
+
+    document.addEventListener('click', handleLinkClick);
+
+    window.addEventListener('popstate', function() {
+        renderRoute();
+    });
+
+    // Show the current view again in the new language
+    window.addEventListener('localechange', function() {
+        renderRoute({ reload: true });
+    });
+
+    renderRoute({ initial: true });
+});
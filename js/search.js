@@ -0,0 +1,152 @@
+/**
+ * Search Module
+ *
+ * Handles the forum search bar and filters, including the category and
+ * tag chosen from the sidebar or a post's chips.
+ * The active search lives in the page URL so it can be shared and survives a reload.
+ */
+
+// t is defined in i18n.js
+
+// URL parameter names for each filter
+const SEARCH_URL_PARAMS = ['q', 'author', 'from', 'to', 'mine', 'category', 'tag', 'sort'];
+
+// Sort modes supported by posts/list.php; the first is the default
+const SORT_MODES = ['newest', 'votes', 'activity', 'unanswered'];
+
+/**
+ * Read the active search filters from the page URL
+ * @returns {Object} Filters: q, author, from, to, category, tag, sort (strings) and mine (boolean)
+ */
+function getSearchFiltersFromUrl() {
+    const params = new URLSearchParams(window.location.search);
+    return {
+        q: (params.get('q') || '').trim(),
+        author: (params.get('author') || '').trim(),
+        from: params.get('from') || '',
+        to: params.get('to') || '',
+        mine: params.get('mine') === '1',
+        category: params.get('category') || '',
+        tag: (params.get('tag') || '').toLowerCase(),
+        sort: SORT_MODES.includes(params.get('sort')) ? params.get('sort') : SORT_MODES[0]
+    };
+}
+
+/**
+ * Store search filters in the page URL, adding a history entry
+ * @param {Object} filters - Filters as returned by readSearchForm
+ */
+function setSearchFiltersInUrl(filters) {
+    const params = new URLSearchParams(window.location.search);
+    const values = {
+        ...filters,
+        mine: filters.mine ? '1' : '',
+        sort: filters.sort === SORT_MODES[0] ? '' : filters.sort
+    };
+
+    SEARCH_URL_PARAMS.forEach(name => {
+        if (values[name]) {
+            params.set(name, values[name]);
+        } else {
+            params.delete(name);
+        }
+    });
+
+    const queryString = params.toString();
+    history.pushState(null, '', `${window.location.pathname}${queryString ? `?${queryString}` : ''}`);
+}
+
+/**
+ * Check whether any search filter is set
+ * @param {Object} filters - Search filters
+ * @returns {boolean} True if the list is filtered
+ */
+function hasActiveFilters(filters) {
+    return hasSearchQuery(filters) || Boolean(filters.category || filters.tag);
+}
+
+/**
+ * Check whether a text, author, date or "only my posts" filter is set
+ * @param {Object} filters - Search filters
+ * @returns {boolean} True if the search form filters the list
+ */
+function hasSearchQuery(filters) {
+    return Boolean(filters.q || filters.author || filters.from || filters.to || filters.mine);
+}
+
+/**
+ * Split the search query into the words to highlight
+ * @param {Object} filters - Search filters
+ * @returns {Array<string>} Search terms
+ */
+function getSearchTerms(filters) {
+    return filters.q ? filters.q.split(/\s+/).filter(Boolean) : [];
+}
+
+/**
+ * Convert search filters into posts/list.php query parameters
+ * @param {Object} filters - Search filters
+ * @param {Object} user - Logged-in user, used for "only my posts"
+ * @returns {Object} Query parameters
+ */
+function getSearchParams(filters, user) {
+    return {
+        search: filters.q,
+        author: filters.author,
+        date_from: filters.from,
+        date_to: filters.to,
+        author_id: filters.mine && user ? user.user_id : '',
+        category_id: filters.category,
+        tag: filters.tag,
+        sort: filters.sort
+    };
+}
+
+/**
+ * Fill the search form from filters
+ * @param {Object} filters - Search filters
+ */
+function fillSearchForm(filters) {
+    document.getElementById('searchQuery').value = filters.q;
+    document.getElementById('filterAuthor').value = filters.author;
+    document.getElementById('filterFrom').value = filters.from;
+    document.getElementById('filterTo').value = filters.to;
+    document.getElementById('filterMine').checked = filters.mine;
+    document.getElementById('sortSelect').value = filters.sort;
+}
+
+/**
+ * Read filters from the search form
+ * Category, tag and sort are not part of the form; they are kept from the given filters.
+ * @param {Object} current - Active filters
+ * @returns {Object} Search filters
+ */
+function readSearchForm(current = {}) {
+    return {
+        q: document.getElementById('searchQuery').value.trim(),
+        author: document.getElementById('filterAuthor').value.trim(),
+        from: document.getElementById('filterFrom').value,
+        to: document.getElementById('filterTo').value,
+        mine: document.getElementById('filterMine').checked,
+        category: current.category || '',
+        tag: current.tag || '',
+        sort: current.sort || SORT_MODES[0]
+    };
+}
+
+/**
+ * Validate search filters
+ * @param {Object} filters - Search filters
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateSearchFilters(filters) {
+    if (filters.q.length > 200) {
+        return t('search.tooLong', { max: 200 });
+    }
+
+    if (filters.from && filters.to && filters.from > filters.to) {
+        return t('search.invalidDateRange');
+    }
+
+    return null;
+}
@@ -0,0 +1,108 @@
+/**
+ * Theme Module
+ *
+ * Light, dark and high-contrast color themes, set as data-theme on <html>
+ * (see the THEMES part of styles.css). Until the user picks a theme in the
+ * header, it follows the system's prefers-color-scheme setting.
+ *
+ * Loaded in each page's <head>, ahead of the page content, so the page is
+ * drawn in the right theme from the first paint instead of flashing light.
+ */
+
+// localStorage key of the theme picked in the header
+const THEME_KEY = 'theme';
+
+// Choices of the header's theme picker; 'system' follows prefers-color-scheme
+const THEME_CHOICES = ['system', 'light', 'dark', 'high-contrast'];
+
+// Header color of each theme, for the browser's own UI (<meta name="theme-color">)
+const THEME_COLORS = {
+    light: '#2c3e50',
+    dark: '#0e1419',
+    'high-contrast': '#000000'
+};
+
+// The system's dark mode setting
+const systemDarkQuery = window.matchMedia('(prefers-color-scheme: dark)');
+
+/**
+ * Get the theme picked by the user
+ * @returns {string} One of THEME_CHOICES
+ */
+function getThemeChoice() {
+    const stored = localStorage.getItem(THEME_KEY);
+    return THEME_CHOICES.includes(stored) ? stored : 'system';
+}
+
+/**
+ * Get the theme to show
+ * @returns {string} 'light', 'dark' or 'high-contrast'
+ */
+function getActiveTheme() {
+    const choice = getThemeChoice();
+    if (choice !== 'system') {
+        return choice;
+    }
+    return systemDarkQuery.matches ? 'dark' : 'light';
+}
+
+/**
+ * Show the user's choice in the theme pickers
+ * @param {Document|HTMLElement} root - Where to look, e.g. a page about to be swapped in
+ */
+function updateThemeSelects(root = document) {
+    const choice = getThemeChoice();
+    root.querySelectorAll('.theme-select').forEach(select => {
+        select.value = choice;
+    });
+}
+
+/**
+ * Apply the current theme to the page
+ */
+function applyTheme() {
+    const theme = getActiveTheme();
+    document.documentElement.dataset.theme = theme;
+    document.querySelectorAll('meta[name="theme-color"]').forEach(meta => {
+        meta.content = THEME_COLORS[theme];
+    });
+    updateThemeSelects();
+}
+
+/**
+ * Switch to another theme and remember it
+ * @param {string} choice - One of THEME_CHOICES
+ */
+function setTheme(choice) {
+    if (!THEME_CHOICES.includes(choice)) {
+        return;
+    }
+
+    if (choice === 'system') {
+        localStorage.removeItem(THEME_KEY);
+    } else {
+        localStorage.setItem(THEME_KEY, choice);
+    }
+    applyTheme();
+}
+
+// Theme picker in the header; delegated, as the header is replaced between views
+document.addEventListener('change', function(e) {
+    if (e.target.classList.contains('theme-select')) {
+        setTheme(e.target.value);
+    }
+});
+
+// Follow a theme change made in another tab
+window.addEventListener('storage', function(e) {
+    if (e.key === THEME_KEY) {
+        applyTheme();
+    }
+});
+
+// Follow the system setting while no theme is picked
+systemDarkQuery.addEventListener('change', applyTheme);
+
+// Before the body is parsed, so the first paint is already themed
+applyTheme();
+document.addEventListener('DOMContentLoaded', applyTheme);
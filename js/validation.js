@@ -0,0 +1,166 @@
+/**
+ * Validation Module
+ *
+ * Account field rules shared by the registration form and the profile page,
+ * so both check names, emails and passwords the same way. Also rates how
+ * hard a new password would be to guess, for the strength meter.
+ */
+
+// t is defined in i18n.js
+
+// Account field limits
+const NAME_MIN_LENGTH = 3;
+const NAME_MAX_LENGTH = 100;
+const EMAIL_MAX_LENGTH = 100;
+const PASSWORD_MIN_LENGTH = 6;
+
+// Length from which a password counts as long
+const PASSWORD_GOOD_LENGTH = 10;
+
+// Passwords that appear at the top of every leaked password list
+const COMMON_PASSWORDS = [
+    '123456', '1234567', '12345678', '123456789', '1234567890', '111111', '123123',
+    '000000', '654321', '121212', 'password', 'password1', 'passw0rd', 'qwerty',
+    'qwerty123', 'qwertyuiop', 'abc123', 'abcdef', 'iloveyou', 'letmein', 'welcome',
+    'monkey', 'dragon', 'football', 'baseball', 'sunshine', 'princess', 'admin',
+    'contraseña', 'contrasena', 'teamo', 'academia', 'academiatalk'
+];
+
+// Strength meter levels, from score 0 to 4
+const PASSWORD_STRENGTH_LEVELS = ['tooWeak', 'weak', 'fair', 'good', 'strong'];
+
+/**
+ * Validate email format
+ * @param {string} email - Email address to validate
+ * @returns {boolean} True if valid email format
+ */
+function isValidEmail(email) {
+    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+    return emailRegex.test(email);
+}
+
+/**
+ * Validate a display name
+ * @param {string} name - Trimmed name
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateName(name) {
+    if (name.length < NAME_MIN_LENGTH || name.length > NAME_MAX_LENGTH) {
+        return t('validation.nameLength', { min: NAME_MIN_LENGTH, max: NAME_MAX_LENGTH });
+    }
+    return null;
+}
+
+/**
+ * Validate an email address
+ * @param {string} email - Trimmed email
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateEmail(email) {
+    if (!isValidEmail(email) || email.length > EMAIL_MAX_LENGTH) {
+        return t('validation.invalidEmail');
+    }
+    return null;
+}
+
+/**
+ * Validate a new password
+ * @param {string} password - Password as typed
+ * @returns {string|null} Error message, or null if valid
+ */
+function validatePassword(password) {
+    if (password.length < PASSWORD_MIN_LENGTH) {
+        return t('validation.passwordLength', { min: PASSWORD_MIN_LENGTH });
+    }
+    if (isCommonPassword(password)) {
+        return t('validation.passwordCommon');
+    }
+    return null;
+}
+
+/**
+ * Validate the repeated new password
+ * @param {string} password - New password as typed
+ * @param {string} confirmPassword - Repeated password as typed
+ * @returns {string|null} Error message, or null if they match
+ */
+function validatePasswordConfirmation(password, confirmPassword) {
+    if (!confirmPassword) {
+        return t('validation.confirmRequired');
+    }
+    if (password !== confirmPassword) {
+        return t('validation.passwordMismatch');
+    }
+    return null;
+}
+
+/**
+ * Check a password against the common password list
+ * Case and trailing digits or symbols don't make a common password safe, so
+ * "Password123!" counts as common too.
+ * @param {string} password - Password as typed
+ * @returns {boolean} True if the password is too common to use
+ */
+function isCommonPassword(password) {
+    const lower = password.toLowerCase();
+    const stem = lower.replace(/[\d\W_]+$/, '');
+    return COMMON_PASSWORDS.includes(lower) || (stem.length >= 4 && COMMON_PASSWORDS.includes(stem));
+}
+
+/**
+ * Rate how hard a password would be to guess
+ * One point each for reaching the good length, mixing upper and lower case,
+ * using digits and using symbols. Short, common passwords and ones built on
+ * the user's own name or email score no more than 1.
+ * @param {string} password - Password as typed
+ * @param {Object} context - The user's name and email, if known
+ * @returns {{score: number, level: string, hints: Array<string>}} Score from 0 to 4,
+ *   its level name and what would make the password stronger
+ */
+function checkPasswordStrength(password, context = {}) {
+    const hints = [];
+    let score = 0;
+
+    if (password.length >= PASSWORD_GOOD_LENGTH) {
+        score++;
+    } else {
+        hints.push(t('validation.hintLength', { min: PASSWORD_GOOD_LENGTH }));
+    }
+
+    if (/[a-z]/.test(password) && /[A-Z]/.test(password)) {
+        score++;
+    } else {
+        hints.push(t('validation.hintCase'));
+    }
+
+    if (/\d/.test(password)) {
+        score++;
+    } else {
+        hints.push(t('validation.hintDigit'));
+    }
+
+    if (/[^A-Za-z0-9]/.test(password)) {
+        score++;
+    } else {
+        hints.push(t('validation.hintSymbol'));
+    }
+
+    const lower = password.toLowerCase();
+    const personal = [context.name, (context.email || '').split('@')[0]]
+        .map(part => String(part || '').toLowerCase().replace(/\s+/g, ''))
+        .filter(part => part.length >= 3);
+
+    if (isCommonPassword(password)) {
+        hints.unshift(t('validation.passwordCommon'));
+        score = Math.min(score, 1);
+    } else if (personal.some(part => lower.includes(part))) {
+        hints.unshift(t('validation.hintPersonal'));
+        score = Math.min(score, 1);
+    }
+
+    if (password.length < PASSWORD_MIN_LENGTH) {
+        score = 0;
+    }
+
+    return { score, level: PASSWORD_STRENGTH_LEVELS[score], hints };
+}
@@ -0,0 +1,117 @@
+/**
+ * Votes Module
+ *
+ * Upvotes and downvotes on posts and replies. Votes show up immediately
+ * and are rolled back if the backend rejects them.
+ */
+
+// apiRequest, showMessage and escapeAttribute are defined in api.js
+// t is defined in i18n.js
+
+/**
+ * Create HTML for the vote controls of a post or reply
+ * @param {string} targetType - 'post' or 'reply'
+ * @param {number} targetId - ID of the post or reply
+ * @param {Object} item - Post or reply data with score and user_vote
+ * @param {boolean} disabled - True for the user's own content, which can't be voted on
+ * @returns {string} HTML string for the controls
+ */
+function createVoteControlsHTML(targetType, targetId, item, disabled = false) {
+    const userVote = Number(item.user_vote) || 0;
+    const score = Number(item.score) || 0;
+    const disabledAttribute = disabled ? ` disabled title="${escapeAttribute(t('votes.ownContent'))}"` : '';
+
+    return `
+        <div class="vote-controls" data-target-type="${targetType}" data-target-id="${Number(targetId)}"
+             data-score="${score}" data-user-vote="${userVote}">
+            <button type="button" class="vote-btn vote-up${userVote === 1 ? ' active' : ''}" data-value="1"
+                    aria-label="${escapeAttribute(t('votes.upvote'))}" aria-pressed="${userVote === 1}"${disabledAttribute}>&#9650;</button>
+            <span class="vote-score" aria-label="${escapeAttribute(t('votes.score'))}">${score}</span>
+            <button type="button" class="vote-btn vote-down${userVote === -1 ? ' active' : ''}" data-value="-1"
+                    aria-label="${escapeAttribute(t('votes.downvote'))}" aria-pressed="${userVote === -1}"${disabledAttribute}>&#9660;</button>
+        </div>
+    `;
+}
+
+/**
+ * Show a vote state in the controls
+ * @param {HTMLElement} controls - The .vote-controls element
+ * @param {number} score - Score to show
+ * @param {number} userVote - Current user's vote: 1, -1 or 0
+ */
+function setVoteState(controls, score, userVote) {
+    controls.dataset.score = score;
+    controls.dataset.userVote = userVote;
+    controls.querySelector('.vote-score').textContent = score;
+
+    controls.querySelectorAll('.vote-btn').forEach(button => {
+        const active = Number(button.dataset.value) === userVote;
+        button.classList.toggle('active', active);
+        button.setAttribute('aria-pressed', String(active));
+    });
+}
+
+/**
+ * Handle a click on a vote button
+ * Clicking the active direction again removes the vote.
+ * @param {HTMLButtonElement} button - The clicked .vote-btn
+ */
+async function handleVote(button) {
+    const controls = button.closest('.vote-controls');
+    if (controls.dataset.pending === 'true') {
+        return;
+    }
+
+    const previousScore = Number(controls.dataset.score);
+    const previousVote = Number(controls.dataset.userVote);
+    const clickedValue = Number(button.dataset.value);
+    const newVote = previousVote === clickedValue ? 0 : clickedValue;
+
+    // Optimistic update
+    setVoteState(controls, previousScore - previousVote + newVote, newVote);
+    controls.dataset.pending = 'true';
+
+    try {
+        const data = await apiRequest('votes/cast.php', {
+            method: 'POST',
+            body: {
+                target_type: controls.dataset.targetType,
+                target_id: Number(controls.dataset.targetId),
+                value: newVote
+            }
+        });
+
+        if (data.success) {
+            // Trust the server's count if it sends one
+            if (data.data && data.data.score !== undefined) {
+                setVoteState(controls, Number(data.data.score), newVote);
+            }
+        } else {
+            setVoteState(controls, previousScore, previousVote);
+            showMessage(data.message, 'error');
+        }
+
+    } catch (error) {
+        setVoteState(controls, previousScore, previousVote);
+        reportApiError(error, t('votes.saveFailed'));
+    }
+
+    controls.dataset.pending = 'false';
+}
+
+/**
+ * Attach vote handlers to a container of posts
+ * @param {HTMLElement} container - Element holding .vote-controls
+ */
+function initVoting(container) {
+    if (!container) {
+        return;
+    }
+
+    container.addEventListener('click', function(e) {
+        const button = e.target.closest('.vote-btn');
+        if (button && !button.disabled) {
+            handleVote(button);
+        }
+    });
+}
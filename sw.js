@@ -0,0 +1,185 @@
+/**
+ * Service Worker
+ *
+ * Keeps the app usable when the backend is cold-starting or unreachable:
+ * - The app shell (pages, styles, scripts, images) is served from the cache
+ *   and refreshed in the background.
+ * - Post and reply lists are fetched from the network first and cached, so
+ *   the last ones seen can still be read offline. Cached API answers get
+ *   "from_cache": true so pages can say they are showing saved content.
+ *
+ * Bump CACHE_VERSION whenever the app shell changes.
+ */
+
+const CACHE_VERSION = 'v10';
+const SHELL_CACHE = `academiatalk-shell-${CACHE_VERSION}`;
+const API_CACHE = `academiatalk-api-${CACHE_VERSION}`;
+
+const APP_SHELL = [
+    'index.html',
+    'reset-password.html',
+    'forum.html',
+    'post.html',
+    'profile.html',
+    'moderation.html',
+    'inbox.html',
+    'manifest.webmanifest',
+    'css/styles.css',
+    'img/icono.png',
+    'img/logo.png',
+    'js/theme.js',
+    'js/config.js',
+    'js/messages.js',
+    'js/i18n.js',
+    'js/api.js',
+    'js/router.js',
+    'js/validation.js',
+    'js/auth.js',
+    'js/password-reset.js',
+    'js/markdown.js',
+    'js/categories.js',
+    'js/attachments.js',
+    'js/polls.js',
+    'js/posts.js',
+    'js/notifications.js',
+    'js/direct-messages.js',
+    'js/votes.js',
+    'js/replies.js',
+    'js/post-actions.js',
+    'js/reports.js',
+    'js/bookmarks.js',
+    'js/search.js',
+    'js/realtime.js',
+    'js/mentions.js',
+    'js/offline-queue.js',
+    'js/drafts.js',
+    'js/forum.js',
+    'js/post.js',
+    'js/profile.js',
+    'js/moderation.js',
+    'js/inbox.js'
+];
+
+// Read-only API endpoints whose answers are kept for offline reading
+const CACHED_API_PATHS = ['/posts/list.php', '/posts/get.php', '/replies/list.php', '/categories/list.php'];
+
+// How long to wait for the network before answering from the cache
+const API_NETWORK_TIMEOUT_MS = 5000;
+
+// Third-party assets (KaTeX) are cached as they are used
+const CDN_ORIGINS = ['https://cdn.jsdelivr.net'];
+
+self.addEventListener('install', event => {
+    event.waitUntil(
+        caches.open(SHELL_CACHE)
+            .then(cache => cache.addAll(APP_SHELL))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', event => {
+    // Drop caches from older versions
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(
+                keys
+                    .filter(key => key.startsWith('academiatalk-') && key !== SHELL_CACHE && key !== API_CACHE)
+                    .map(key => caches.delete(key))
+            ))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('message', event => {
+    // Sent on logout so the next user doesn't see the previous one's data
+    if (event.data === 'clear-api-cache') {
+        caches.delete(API_CACHE);
+    }
+});
+
+/**
+ * Serve from the cache, refreshing the cached copy from the network
+ * @param {Request} request - Request
+ * @param {Object} matchOptions - Options for cache.match
+ * @returns {Promise<Response>}
+ */
+async function staleWhileRevalidate(request, matchOptions = {}) {
+    const cache = await caches.open(SHELL_CACHE);
+    const cached = await cache.match(request, matchOptions);
+
+    const network = fetch(request)
+        .then(response => {
+            if (response.ok) {
+                cache.put(request, response.clone());
+            }
+            return response;
+        })
+        .catch(() => cached || Response.error());
+
+    return cached || network;
+}
+
+/**
+ * Mark a cached API answer as coming from the cache
+ * @param {Response} response - Cached response
+ * @returns {Promise<Response>}
+ */
+async function markFromCache(response) {
+    try {
+        const body = await response.clone().json();
+        return new Response(JSON.stringify({ ...body, from_cache: true }), {
+            status: response.status,
+            headers: { 'Content-Type': 'application/json' }
+        });
+    } catch (error) {
+        return response;
+    }
+}
+
+/**
+ * Fetch an API answer from the network, falling back to the last cached one
+ * The cache answers if the network fails, or is slow and a cached copy exists.
+ * @param {FetchEvent} event - Fetch event
+ * @returns {Promise<Response>}
+ */
+async function networkFirst(event) {
+    const cache = await caches.open(API_CACHE);
+    const cached = await cache.match(event.request);
+
+    const network = fetch(event.request).then(response => {
+        if (response.ok) {
+            cache.put(event.request, response.clone());
+        }
+        return response;
+    });
+
+    // Keep the worker alive so a slow answer still refreshes the cache
+    event.waitUntil(network.catch(() => null));
+
+    if (!cached) {
+        return network;
+    }
+
+    const timeout = new Promise(resolve => setTimeout(resolve, API_NETWORK_TIMEOUT_MS, null));
+    const response = await Promise.race([network.catch(() => null), timeout]);
+    return response || markFromCache(cached);
+}
+
+self.addEventListener('fetch', event => {
+    const request = event.request;
+    if (request.method !== 'GET') {
+        return;
+    }
+
+    const url = new URL(request.url);
+
+    if (url.origin === self.location.origin) {
+        // Pages are cached without their query string (post.html?id=5 -> post.html)
+        const matchOptions = request.mode === 'navigate' ? { ignoreSearch: true } : {};
+        event.respondWith(staleWhileRevalidate(request, matchOptions));
+    } else if (CACHED_API_PATHS.some(path => url.pathname.endsWith(path))) {
+        event.respondWith(networkFirst(event));
+    } else if (CDN_ORIGINS.includes(url.origin)) {
+        event.respondWith(staleWhileRevalidate(request));
+    }
+});